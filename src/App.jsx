@@ -14,6 +14,12 @@ import EnhancedGameScreen from './components/EnhancedGameScreen';
 import GameScreen from './components/GameScreen'; // Keep original for backward compatibility
 import StatisticsPage from './components/StatisticsPage';
 import SettingsPage from './components/SettingsPage';
+import DailyChallengePage from './components/DailyChallengePage';
+import PackEditorPage from './components/PackEditorPage';
+import ProfilesPage from './components/ProfilesPage';
+import ProfileGate from './components/ProfileGate';
+import HotSeatPage from './components/HotSeatPage';
+import LeaderboardPage from './components/LeaderboardPage';
 
 function App() {
   return (
@@ -26,14 +32,27 @@ function App() {
             {/* route – specific route definition */}
             <Route path="/" element={<HomePage />} />
             {/* route – specific route definition */}
-            <Route path="/game" element={<EnhancedGameScreen />} />
+            {/* profile gate: "who's playing?" before a game starts */}
+            <Route path="/game" element={<ProfileGate><EnhancedGameScreen /></ProfileGate>} />
             {/* route – specific route definition */}
             {/* props: passing onHome callback */}
-            <Route path="/game-classic" element={<GameScreen onHome={() => window.location.href = '/'} />} />
+            <Route path="/game-classic" element={<ProfileGate><GameScreen onHome={() => window.location.href = '/'} /></ProfileGate>} />
+            {/* route – specific route definition */}
+            <Route path="/daily" element={<ProfileGate><DailyChallengePage /></ProfileGate>} />
+            {/* route – specific route definition (players are chosen on the setup screen) */}
+            <Route path="/hotseat" element={<HotSeatPage />} />
+            {/* route – specific route definition */}
+            <Route path="/race" element={<EnhancedGameScreen mode="race" />} />
             {/* route – specific route definition */}
             <Route path="/statistics" element={<StatisticsPage />} />
             {/* route – specific route definition */}
+            <Route path="/leaderboard" element={<LeaderboardPage />} />
+            {/* route – specific route definition */}
             <Route path="/settings" element={<SettingsPage />} />
+            {/* route – specific route definition */}
+            <Route path="/packs/editor" element={<PackEditorPage />} />
+            {/* route – specific route definition */}
+            <Route path="/profiles" element={<ProfilesPage />} />
           </Routes>
         </Layout>
         <Analytics />
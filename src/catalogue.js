@@ -0,0 +1,49 @@
+/**
+ * ColorQuest Catalogue Module
+ * Colors and real-world objects that questions are generated from
+ * Objects reference colors by name through their `colors` tags
+ */
+
+// ==================== COLORS ====================
+
+// Each color has a display name, the hex used on the canvas and accepted alternative names
+export const colors = [
+  { name: "red", hex: "#ef4444", aliases: ["scarlet"] },
+  { name: "orange", hex: "#f97316", aliases: [] },
+  { name: "yellow", hex: "#facc15", aliases: [] },
+  { name: "green", hex: "#22c55e", aliases: [] },
+  { name: "blue", hex: "#3b82f6", aliases: ["sky blue"] },
+  { name: "purple", hex: "#8b5cf6", aliases: ["violet"] },
+  { name: "gray", hex: "#6b7280", aliases: ["grey"] },
+];
+
+// ==================== OBJECTS ====================
+
+// Each object has a label, an image under /public and one or more color tags
+export const objects = [
+  { label: "Apple", image: "/images/apple.png", colors: ["red"], category: "fruit" },
+  { label: "Banana", image: "/images/banana.png", colors: ["yellow"], category: "fruit" },
+  { label: "Cherry", image: "/images/cherry.png", colors: ["red"], category: "fruit" },
+  { label: "Grapes", image: "/images/grapes.png", colors: ["purple"], category: "fruit" },
+  { label: "Lemon", image: "/images/lemon.png", colors: ["yellow"], category: "fruit" },
+  { label: "Strawberry", image: "/images/strawberry.png", colors: ["red"], category: "fruit" },
+  { label: "Broccoli", image: "/images/broccoli.png", colors: ["green"], category: "vegetable" },
+  { label: "Carrot", image: "/images/carrot.png", colors: ["orange"], category: "vegetable" },
+  { label: "Eggplant", image: "/images/eggplant.png", colors: ["purple"], category: "vegetable" },
+  { label: "Tomato", image: "/images/tomato.png", colors: ["red"], category: "vegetable" },
+  { label: "Leaf", image: "/images/leaf.png", colors: ["green"], category: "nature" },
+  { label: "Sky", image: "/images/sky.png", colors: ["blue"], category: "nature" },
+  { label: "Sun", image: "/images/sun.png", colors: ["yellow", "orange"], category: "nature" },
+];
+
+// All categories present in the catalogue
+export const categories = [...new Set(objects.map(object => object.category))];
+
+// ==================== CLUES ====================
+
+// Hint text telling the player where the matching object is found, per category
+export const categoryClues = {
+  fruit: "You can find it in a fruit bowl 🍎",
+  vegetable: "It grows in the vegetable garden 🥕",
+  nature: "Look outside, up in the sky or in the trees 🌳",
+};
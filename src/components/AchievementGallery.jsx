@@ -0,0 +1,81 @@
+/**
+ * AchievementGallery Component - Every badge, unlocked ones with their date, locked ones with a progress bar
+ * Drawn in the Statistics page's theme classes (ui)
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  getAchievementProgress, getAchievementStats, loadUnlockedAchievements, subscribeAchievements,
+} from '../utils/achievements';
+
+export default function AchievementGallery({ totals, mastery, ui }) {
+  // state: unlocked badges of the active player (follows unlocks and profile switches)
+  const [unlocked, setUnlocked] = useState(loadUnlockedAchievements);
+  useEffect(() => subscribeAchievements(() => setUnlocked(loadUnlockedAchievements())), []);
+
+  // derived data: progress toward every badge
+  const badges = useMemo(
+    () => getAchievementProgress(getAchievementStats(totals, mastery), unlocked),
+    [totals, mastery, unlocked]
+  );
+  const unlockedCount = badges.filter(badge => badge.unlockedAt).length;
+
+  return (
+    <div className={`${ui.card} backdrop-blur-sm rounded-2xl p-6 border ${ui.border}`}>
+      <h3 className={`text-xl font-bold ${ui.heading} mb-4 flex items-center`}>
+        <span className="mr-2">🏅</span>
+        Achievements
+        <span className={`ml-auto text-sm font-semibold ${ui.muted}`}>{unlockedCount}/{badges.length}</span>
+      </h3>
+      <ul className="space-y-3">
+        {/* list & keys: one row per badge */}
+        {badges.map(badge => {
+          const percent = Math.round((badge.progress / badge.goal) * 100);
+          return (
+            <li
+              key={badge.id}
+              className={`p-3 rounded-lg border ${
+                badge.unlockedAt ? 'bg-yellow-500/10 border-yellow-500/40' : `${ui.tile} border-transparent`
+              }`}
+            >
+              <div className="flex items-center">
+                <span className={`text-2xl mr-3 ${badge.unlockedAt ? '' : 'grayscale opacity-50'}`}>{badge.icon}</span>
+                <div className="flex-1 min-w-0">
+                  <div className={`text-sm font-semibold ${ui.heading}`}>{badge.name}</div>
+                  <div className={`text-xs ${ui.muted}`}>{badge.description}</div>
+                </div>
+                {badge.unlockedAt ? (
+                  <span className="text-xs text-yellow-400 font-semibold ml-2 text-right">
+                    Unlocked<br />{new Date(badge.unlockedAt).toLocaleDateString()}
+                  </span>
+                ) : (
+                  <span className={`text-xs ${ui.muted} ml-2`}>🔒</span>
+                )}
+              </div>
+              {!badge.unlockedAt && (
+                <div className="mt-2">
+                  <div
+                    className={`h-2 ${ui.track} rounded-full overflow-hidden`}
+                    role="progressbar"
+                    aria-label={`${badge.name} progress`}
+                    aria-valuemin={0}
+                    aria-valuemax={badge.goal}
+                    aria-valuenow={badge.progress}
+                  >
+                    <div className="h-full bg-yellow-500 rounded-full" style={{ width: `${percent}%` }}></div>
+                  </div>
+                  <div className={`text-xs ${ui.muted} mt-1`}>
+                    {/* badges earned before achievements existed unlock with the next saved game */}
+                    {badge.progress >= badge.goal ? 'Unlocks after your next game'
+                      : badge.goal > 1 ? `${badge.progress}/${badge.goal}`
+                      : 'Not yet'}
+                  </div>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+/**
+ * AchievementToast Component - Announces badges as they unlock, one at a time
+ * Shown over every page, so it pops up on the end screen of the game that earned it
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { subscribeUnlocks } from '../utils/achievements';
+import { loadProfiles } from '../utils/profiles';
+
+// How long each badge stays on screen (ms)
+const TOAST_DURATION = 4000;
+
+export default function AchievementToast() {
+  // state: badges waiting to be shown, the first one is on screen
+  const [queue, setQueue] = useState([]);
+
+  // effect: queue every unlock (the player is named when several share the device)
+  useEffect(() => subscribeUnlocks(({ profileId, achievements }) => {
+    const profiles = loadProfiles();
+    const player = profiles.length > 1 ? profiles.find(profile => profile.id === profileId)?.name : null;
+    setQueue(current => [
+      ...current,
+      ...achievements.map(achievement => ({ key: `${profileId}-${achievement.id}`, achievement, player })),
+    ]);
+  }), []);
+
+  // effect: move on to the next badge after a while
+  const current = queue[0];
+  useEffect(() => {
+    if (!current) return undefined;
+    const timer = setTimeout(() => setQueue(rest => rest.slice(1)), TOAST_DURATION);
+    return () => clearTimeout(timer);
+  }, [current]);
+
+  if (!current) return null;
+
+  const { achievement, player } = current;
+  return (
+    <div
+      role="status"
+      className="fixed bottom-4 right-4 z-50 max-w-sm w-[calc(100%-2rem)] bg-gray-800 border border-yellow-500/60 rounded-2xl shadow-2xl p-4 flex items-center gap-3"
+    >
+      <span className="text-4xl">{achievement.icon}</span>
+      <div className="flex-1 min-w-0">
+        <p className="text-xs font-semibold uppercase tracking-wide text-yellow-400">
+          Achievement unlocked{player ? ` · ${player}` : ''}
+        </p>
+        <p className="font-bold text-white">{achievement.name}</p>
+        <p className="text-sm text-gray-300">{achievement.description}</p>
+        {/* routing link */}
+        <Link to="/statistics" className="text-xs text-yellow-300 underline">See all badges</Link>
+      </div>
+      <button
+        onClick={() => setQueue(rest => rest.slice(1))}
+        aria-label="Dismiss"
+        className="text-gray-400 hover:text-white text-xl px-1 self-start"
+      >
+        ✕
+      </button>
+    </div>
+  );
+}
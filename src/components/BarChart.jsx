@@ -0,0 +1,63 @@
+/**
+ * BarChart Component - Dependency-free SVG column chart
+ * Scales to its container's width; bars can bring their own color (e.g. the swatch they measure)
+ * Grid and labels are drawn in the surrounding text color
+ */
+
+import React from 'react';
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 18, right: 12, bottom: 28, left: 40 };
+const GRID_STEPS = 4;
+
+export default function BarChart({ bars, maxValue, formatValue = String, barColor, title }) {
+  // the scale tops out at maxValue, else at the tallest bar rounded up so grid lines land on whole numbers
+  const top = maxValue ?? Math.ceil(Math.max(1, ...bars.map(bar => bar.value)) / GRID_STEPS) * GRID_STEPS;
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const slot = plotWidth / Math.max(bars.length, 1);
+  const barWidth = Math.min(48, slot * 0.7);
+
+  const y = (value) => PADDING.top + plotHeight - (value / top) * plotHeight;
+  const gridValues = Array.from({ length: GRID_STEPS + 1 }, (_, step) => (top / GRID_STEPS) * step);
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label={title}>
+      <title>{title}</title>
+
+      {/* grid & y axis labels */}
+      {gridValues.map(value => (
+        <g key={value}>
+          <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(value)} y2={y(value)} stroke="currentColor" strokeOpacity="0.2" strokeWidth="1" />
+          <text x={PADDING.left - 6} y={y(value) + 4} textAnchor="end" fontSize="11" fill="currentColor">
+            {formatValue(value)}
+          </text>
+        </g>
+      ))}
+
+      {/* list & keys: one column per bar, value on top and label below */}
+      {bars.map((bar, index) => {
+        const center = PADDING.left + slot * index + slot / 2;
+        return (
+          <g key={bar.key}>
+            <rect
+              x={center - barWidth / 2}
+              y={y(bar.value)}
+              width={barWidth}
+              height={Math.max(0, PADDING.top + plotHeight - y(bar.value))}
+              rx="3"
+              fill={bar.color || barColor}
+            >
+              <title>{bar.title || `${bar.label}: ${formatValue(bar.value)}`}</title>
+            </rect>
+            {bar.value > 0 && (
+              <text x={center} y={y(bar.value) - 4} textAnchor="middle" fontSize="11" fill="currentColor">{formatValue(bar.value)}</text>
+            )}
+            <text x={center} y={HEIGHT - 8} textAnchor="middle" fontSize="11" fill="currentColor">{bar.label}</text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
@@ -0,0 +1,23 @@
+/**
+ * ColorSwatch Component - Paints a single color on a canvas
+ * Used for shade options so the browser renders exactly the generated hex
+ */
+
+import React from 'react';
+
+export default function ColorSwatch({ hex, size = 80, className = '' }) {
+  return (
+    <canvas
+      width={size}
+      height={size}
+      className={className}
+      ref={(canvas) => {
+        if (canvas) {
+          const ctx = canvas.getContext('2d');
+          ctx.fillStyle = hex;
+          ctx.fillRect(0, 0, canvas.width, canvas.height);
+        }
+      }}
+    />
+  );
+}
@@ -0,0 +1,43 @@
+/**
+ * CountdownRing Component - Circular per-question timer drawn around its children
+ */
+
+import React from 'react';
+
+const RADIUS = 46;
+const CIRCUMFERENCE = 2 * Math.PI * RADIUS;
+
+export default function CountdownRing({ timeLeft, total, children }) {
+  const progress = total > 0 ? timeLeft / total : 0;
+  const isCritical = timeLeft <= 5;
+
+  return (
+    <div className="relative p-3">
+      {/* ring drawn behind the content, emptying clockwise from the top */}
+      <svg viewBox="0 0 100 100" className="absolute inset-0 w-full h-full -rotate-90" aria-hidden="true">
+        <circle cx="50" cy="50" r={RADIUS} fill="none" strokeWidth="4" className="stroke-gray-700" />
+        <circle
+          cx="50"
+          cy="50"
+          r={RADIUS}
+          fill="none"
+          strokeWidth="4"
+          strokeLinecap="round"
+          strokeDasharray={CIRCUMFERENCE}
+          strokeDashoffset={CIRCUMFERENCE * (1 - progress)}
+          className={`transition-all duration-1000 ease-linear ${isCritical ? 'stroke-red-500' : 'stroke-yellow-400'}`}
+        />
+      </svg>
+
+      {children}
+
+      <span
+        className={`absolute -bottom-2 left-1/2 -translate-x-1/2 px-2 rounded-full text-xs font-bold ${
+          isCritical ? 'bg-red-600 text-white animate-pulse' : 'bg-gray-800 text-yellow-400'
+        }`}
+      >
+        {timeLeft}s
+      </span>
+    </div>
+  );
+}
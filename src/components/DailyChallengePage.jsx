@@ -0,0 +1,106 @@
+/**
+ * DailyChallengePage Component - Same date-seeded game for every player, one scored attempt per day
+ */
+
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import EnhancedGameScreen from './EnhancedGameScreen';
+import DailyCountdown from './DailyCountdown';
+import { findDailyResult, getDailyKey } from '../utils/daily';
+import { loadHistory } from '../utils/history';
+
+export default function DailyChallengePage() {
+  // state: today's key and attempt (undefined while loading), looked up once on entry
+  // so a finished game keeps its end screen
+  const [dailyKey] = useState(getDailyKey);
+  const [todaysResult, setTodaysResult] = useState(undefined);
+  // state: the saved games could not be read (storage blocked, aborted or full)
+  const [loadError, setLoadError] = useState(false);
+
+  // effect: look for today's attempt among the saved daily games
+  useEffect(() => {
+    loadHistory({ mode: 'daily' })
+      .then(history => setTodaysResult(findDailyResult(history, dailyKey) || null))
+      .catch(() => setLoadError(true));
+  }, [dailyKey]);
+
+  // conditional rendering: without the saved games there is no telling whether today's puzzle was played
+  if (loadError) {
+    return (
+      <div className="min-h-screen bg-gray-900 flex items-center justify-center p-4">
+        <div className="bg-gray-800/95 backdrop-blur-lg rounded-3xl shadow-2xl border border-gray-700 p-8 text-center max-w-md w-full" role="alert">
+          <span className="text-5xl mb-4 block">⚠️</span>
+          <h2 className="text-2xl font-bold text-white mb-2">Couldn't Load Your History</h2>
+          <p className="text-gray-400 mb-6">
+            Your browser's storage may be blocked or full, so the Daily Challenge can't be played or saved right now.
+          </p>
+          {/* routing link */}
+          <Link
+            to="/"
+            className="bg-blue-600 hover:bg-blue-700 text-white font-bold py-3 px-6 rounded-xl transition-all duration-300 inline-flex items-center space-x-2"
+          >
+            <span>🏠</span>
+            <span>Back to Home</span>
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  if (todaysResult === undefined) {
+    return (
+      <div className="min-h-screen bg-gray-900 flex items-center justify-center">
+        <div className="animate-spin w-8 h-8 border-4 border-blue-500 border-t-transparent rounded-full"></div>
+      </div>
+    );
+  }
+
+  if (!todaysResult) {
+    return <EnhancedGameScreen mode="daily" dailyKey={dailyKey} />;
+  }
+
+  // conditional rendering: already played today
+  return (
+    <div className="min-h-screen bg-gray-900 flex items-center justify-center p-4">
+      <div className="bg-gray-800/95 backdrop-blur-lg rounded-3xl shadow-2xl border border-gray-700 p-8 text-center max-w-xl w-full">
+        <div className="inline-block p-4 bg-blue-600 rounded-full mb-4 shadow-lg">
+          <span className="text-4xl md:text-5xl">📅</span>
+        </div>
+
+        <h2 className="text-2xl md:text-4xl font-extrabold text-blue-400 mb-3">
+          Daily Challenge Done!
+        </h2>
+        <p className="text-gray-300 mb-6">
+          You already played today's puzzle ({dailyKey}). Compare your score with friends!
+        </p>
+
+        <div className="bg-gray-700/50 rounded-2xl p-4 border border-gray-600 mb-6">
+          <p className="text-xl md:text-2xl font-bold text-green-400 mb-2">
+            Score: {todaysResult.score}/{todaysResult.totalQuestions} ({todaysResult.percentage}%)
+          </p>
+          <DailyCountdown className="text-lg text-gray-300" />
+        </div>
+
+        <div className="flex flex-col sm:flex-row gap-3 justify-center">
+          {/* routing link */}
+          <Link
+            to="/game"
+            className="bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 rounded-xl transition-all duration-300 flex items-center justify-center space-x-2"
+          >
+            <span>🎮</span>
+            <span>Free Play</span>
+          </Link>
+
+          {/* routing link */}
+          <Link
+            to="/statistics"
+            className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-3 px-6 rounded-xl transition-all duration-300 flex items-center justify-center space-x-2"
+          >
+            <span>📊</span>
+            <span>View Stats</span>
+          </Link>
+        </div>
+      </div>
+    </div>
+  );
+}
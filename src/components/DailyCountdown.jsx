@@ -0,0 +1,27 @@
+/**
+ * DailyCountdown Component - Live countdown until the next Daily Challenge unlocks
+ */
+
+import React, { useState, useEffect } from 'react';
+import { msUntilNextDaily } from '../utils/daily';
+
+export default function DailyCountdown({ className = '' }) {
+  // state: remaining milliseconds, refreshed every second
+  const [remaining, setRemaining] = useState(() => msUntilNextDaily());
+
+  useEffect(() => {
+    const timer = setInterval(() => setRemaining(msUntilNextDaily()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const totalSeconds = Math.floor(remaining / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  return (
+    <p className={className}>
+      ⏳ Next puzzle in {hours}:{minutes.toString().padStart(2, '0')}:{seconds.toString().padStart(2, '0')}
+    </p>
+  );
+}
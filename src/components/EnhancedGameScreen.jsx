@@ -2,149 +2,280 @@
  * EnhancedGameScreen Component - Multi-mode game interface with timer and difficulty settings
  */
 
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import { useSearchParams, useNavigate } from 'react-router-dom';
-import getShuffledQuestions from '../data';
+import { useGameEngine } from '../hooks/useGameEngine';
+import { useSettings } from '../hooks/useSettings';
+import { useSound } from '../hooks/useSound';
+import { useProfiles } from '../hooks/useProfiles';
+import { useGameSounds } from '../hooks/useGameSounds';
+import {
+  DEFAULT_HINT_BUDGET,
+  GAME_STATES,
+  HINTS,
+  SURVIVAL,
+  getDifficultySettings,
+  getLockedOutPlayers,
+  getPercentage,
+  getPlayerResults,
+  getQuestionTotal,
+  getScoreboard,
+  getShadeThreshold,
+  getSurvivalRules,
+  getTurnPlayer,
+} from '../engine/gameEngine';
+import { loadHistory, saveGameResult } from '../utils/history';
+import { LEADERBOARDS, getLeaderboardRank } from '../utils/leaderboard';
+import { getPracticePriority, loadMastery, recordMastery } from '../utils/mastery';
+import { getDailyQuestions } from '../utils/daily';
+import { BUILTIN_PACK, getPack } from '../utils/packs';
+import { getGameModeInfo } from '../utils/modes';
+import getShuffledQuestions, {
+  getHotSeatQuestions,
+  getMixingQuestions,
+  getMultiQuestions,
+  getPracticeQuestions,
+  getReverseQuestions,
+  getShadeQuestions,
+  getSpellingQuestions,
+} from '../data';
+import { getMixCredit } from '../utils/pigments';
+import { scoreSpelling } from '../utils/spelling';
+import DailyCountdown from './DailyCountdown';
+import LeaderboardEntry from './LeaderboardEntry';
+import CountdownRing from './CountdownRing';
+import HintBar from './HintBar';
+import OptionGrid from './OptionGrid';
+import PaintMixer from './PaintMixer';
+import ProfileAvatar from './ProfileAvatar';
+import SpellingInput from './SpellingInput';
 
-export default function EnhancedGameScreen() {
+// Inactivity before the glow hint is offered (ms)
+const GLOW_DELAY = 8000;
+
+const DIFFICULTY_LABELS = {
+  easy: { label: 'Easy', className: 'bg-green-600/20 text-green-400 border-green-600/30' },
+  normal: { label: 'Normal', className: 'bg-yellow-600/20 text-yellow-400 border-yellow-600/30' },
+  hard: { label: 'Hard', className: 'bg-red-600/20 text-red-400 border-red-600/30' },
+};
+
+// Places on the hot-seat and race scoreboards
+const RANK_MEDALS = ['🥇', '🥈', '🥉'];
+
+// Race mode: two players share the keyboard (or one half of the touchscreen each); one key per option
+const RACE_PLAYERS = [
+  { name: 'Player 1', keys: ['1', '2', '3'], className: 'text-blue-400' },
+  { name: 'Player 2', keys: ['8', '9', '0'], className: 'text-orange-400' },
+];
+const RACE_OPTIONS = RACE_PLAYERS[0].keys.length;
+
+// Seconds with one decimal, for reaction times
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+const NO_PLAYERS = [];
+
+export default function EnhancedGameScreen({ mode, dailyKey, players = NO_PLAYERS }) {
   // routing hooks: read query params and navigate
   const [searchParams] = useSearchParams();
   const navigate = useNavigate();
   
-  const gameMode = searchParams.get('mode') || 'classic';
-  
-  // state: core game state
-  const [currentIndex, setCurrentIndex] = useState(0);
-  const [feedback, setFeedback] = useState('');
-  const [isFinished, setIsFinished] = useState(false);
-  const [showFeedback, setShowFeedback] = useState(false);
-  const [isTransitioning, setIsTransitioning] = useState(false);
-  const [score, setScore] = useState(0);
-  const [questions, setQuestions] = useState([]);
-  const [selectedOption, setSelectedOption] = useState(null);
-  
-  // state: timer
-  const [timeLeft, setTimeLeft] = useState(0);
-  const [totalTime, setTotalTime] = useState(0);
-  const [gameStartTime, setGameStartTime] = useState(null);
-  
-  // state: per-mode configuration
-  const [modeSettings, setModeSettings] = useState({
-    timeLimit: null,
-    showTimer: false,
-    autoAdvance: true,
-    feedbackDuration: 1800,
-    questionTime: null,
-  });
+  // props: routes like /daily pin the mode, otherwise read it from the query string
+  const gameMode = mode || searchParams.get('mode') || 'classic';
+  const isDaily = gameMode === 'daily';
+  const isReverse = gameMode === 'reverse';
+  const isMix = gameMode === 'mix';
+  const isSpell = gameMode === 'spell';
+  const isMulti = gameMode === 'multi';
+  const isSurvival = gameMode === 'survival';
+  const isPractice = gameMode === 'practice';
+  const isHotSeat = gameMode === 'hotseat';
+  const isRace = gameMode === 'race';
+
+  // settings: hints and difficulty come from the settings page
+  // (the Daily Challenge always uses normal difficulty so everyone plays the same game;
+  // hints pick among options, so they are off in mixing and spelling modes, and in hot-seat
+  // and race games, where they would help one player and not the other)
+  const { settings: playerSettings } = useSettings();
+  const { activeProfile } = useProfiles();
+  const { readingMode } = playerSettings;
+  const hintsEnabled = playerSettings.hintsEnabled && !isMix && !isSpell && !isHotSeat && !isRace;
+  const difficulty = isDaily ? 'normal' : playerSettings.difficulty;
+
+  // question pack: ?pack=<id> picks an imported pack (the Daily Challenge always uses the built-in one)
+  const packId = isDaily ? null : searchParams.get('pack');
+  const pack = useMemo(() => getPack(packId), [packId]);
+  const isCustomPack = pack.id !== BUILTIN_PACK.id;
 
-  // derived config: set mode settings based on query param
-  const initializeGameMode = useCallback(() => {
-    switch (gameMode) {
-      case 'timed':
-        setModeSettings({
-          timeLimit: 60,
-          showTimer: true,
-          autoAdvance: true,
-          feedbackDuration: 1000,
-          questionTime: null,
-        });
-        setTimeLeft(60);
-        setTotalTime(60);
-        break;
-      case 'speed':
-        setModeSettings({
-          timeLimit: null,
-          showTimer: true,
-          autoAdvance: true,
-          feedbackDuration: 800,
-          questionTime: null,
-        });
-        setTimeLeft(0);
-        setTotalTime(0);
-        break;
-      case 'hard':
-        setModeSettings({
-          timeLimit: 90,
-          showTimer: true,
-          autoAdvance: true,
-          feedbackDuration: 1200,
-          questionTime: 15,
-        });
-        setTimeLeft(90);
-        setTotalTime(90);
-        break;
-      default: // classic
-        setModeSettings({
-          timeLimit: null,
-          showTimer: false,
-          autoAdvance: true,
-          feedbackDuration: 1800,
-          questionTime: null,
-        });
-        break;
+  // question source: date-seeded for the Daily Challenge, shades for hard mode,
+  // object-to-color rounds for reverse mode, paint recipes for mixing mode,
+  // swatches to name in spelling mode, larger grids for "select all", one level at a time
+  // for survival (more options each level), weakest items first for practice, the same colors
+  // for every player in hot-seat games, random otherwise
+  const createQuestions = useCallback(({ level = 1 } = {}) => {
+    if (isDaily) return getDailyQuestions(dailyKey);
+
+    const { optionsPerQuestion, distractorSimilarity, shadeDeltaE, mixRecipe, gridSize } = getDifficultySettings(difficulty);
+    if (isMix) return getMixingQuestions(mixRecipe);
+    if (isSpell) return getSpellingQuestions({ colors: pack.colors });
+    if (gameMode === 'hard') {
+      return getShadeQuestions({ optionsPerQuestion, startDeltaE: shadeDeltaE[0], endDeltaE: shadeDeltaE[1], colors: pack.colors });
+    }
+    const options = { optionsPerQuestion, distractorSimilarity, colors: pack.colors, objects: pack.items };
+    if (isMulti) return getMultiQuestions({ ...options, gridSize });
+    if (isPractice) return getPracticeQuestions({ ...options, priority: getPracticePriority(loadMastery()) });
+    if (isHotSeat) return getHotSeatQuestions({ ...options, playerCount: players.length });
+    if (isRace) return getShuffledQuestions({ ...options, optionsPerQuestion: RACE_OPTIONS });
+    if (isSurvival) {
+      const { optionsPerQuestion: levelOptions } = getSurvivalRules(level, difficulty);
+      return getShuffledQuestions({ ...options, optionsPerQuestion: levelOptions, questionCount: SURVIVAL.roundsPerLevel });
     }
-  }, [gameMode]);
+    return isReverse ? getReverseQuestions(options) : getShuffledQuestions(options);
+  }, [isDaily, dailyKey, gameMode, isReverse, isMix, isSpell, isMulti, isSurvival, isPractice, isHotSeat, isRace, players.length, difficulty, pack]);
 
-  // persistence: save results to localStorage
-  const saveGameResult = useCallback((finalScore) => {
-    const endTime = Date.now();
-    const duration = gameStartTime ? Math.floor((endTime - gameStartTime) / 1000) : 0;
-    
-    const gameResult = {
-      id: Date.now(),
-      score: finalScore,
-      totalQuestions: questions.length,
-      percentage: Math.round((finalScore / questions.length) * 100),
-      date: new Date().toLocaleDateString(),
-      time: new Date().toLocaleTimeString(),
-      gameMode: gameMode,
-      duration: duration,
-      timeBonus: gameMode === 'speed' ? Math.max(0, 300 - duration) : 0,
-    };
+  // hot-seat and race: the engine takes turns between (or races) the player names
+  const playerNames = useMemo(() => (isRace ? RACE_PLAYERS : players).map(player => player.name), [isRace, players]);
 
-    const savedHistory = localStorage.getItem('colorquest-history');
-    const history = savedHistory ? JSON.parse(savedHistory) : [];
-    const updatedHistory = [gameResult, ...history].slice(0, 50);
-    
-    localStorage.setItem('colorquest-history', JSON.stringify(updatedHistory));
-  }, [questions.length, gameMode, gameStartTime]);
+  // state: the place this game took on its mode's leaderboard ({ id, rank }), once saved
+  const [leaderboardPlace, setLeaderboardPlace] = useState(null);
+  // state: results that could not be saved (storage blocked, full or aborted), kept for another try
+  const [unsavedResults, setUnsavedResults] = useState(null);
 
-  // effects: initialize game and questions
-  useEffect(() => {
-    initializeGameMode();
-    setQuestions(getShuffledQuestions());
-    setGameStartTime(Date.now());
-  }, [gameMode, initializeGameMode]);
+  // persistence: save results, then look up the leaderboard place of a game in a leaderboard mode
+  // (the game is saved even when that lookup fails; it just gets no leaderboard banner)
+  const saveResults = useCallback((results) => {
+    Promise.all(results.map(result => saveGameResult(result))).then(([record]) => {
+      if (!(record.gameMode in LEADERBOARDS)) return;
+      loadHistory({ mode: record.gameMode, profile: null })
+        .then(history => {
+          const rank = getLeaderboardRank(history, record);
+          if (rank) setLeaderboardPlace({ id: record.id, rank });
+        })
+        .catch(() => {});
+    }, () => setUnsavedResults(results));
+  }, []);
 
-  // effects: countdown for timed/hard
-  useEffect(() => {
-    if (modeSettings.timeLimit && timeLeft > 0 && !isFinished) {
-      const timer = setInterval(() => {
-        setTimeLeft(prev => {
-          if (prev <= 1) {
-            setIsFinished(true);
-            return 0;
-          }
-          return prev - 1;
-        });
-      }, 1000);
-      
-      return () => clearInterval(timer);
+  // persistence: save the result and update the mastery schedule
+  // (a hot-seat game is saved once per player, to that player's profile; mastery is left alone
+  // since the profile switcher does not follow the turns; race players have no profile, so races are not saved)
+  const handleFinish = useCallback((gameResult) => {
+    if (isRace) return;
+    if (isHotSeat) {
+      saveResults(getPlayerResults(gameResult).map(playerResult => ({
+        ...playerResult,
+        profile: players[playerResult.playerIndex].id,
+        ...(isCustomPack && { pack: pack.id }),
+      })));
+      return;
     }
-  }, [modeSettings.timeLimit, timeLeft, isFinished]);
+    recordMastery(gameResult);
+    saveResults([{
+      ...gameResult,
+      ...(isDaily && { dailyKey }),
+      ...(isCustomPack && { pack: pack.id }),
+    }]);
+  }, [isDaily, dailyKey, isHotSeat, isRace, players, isCustomPack, pack, saveResults]);
+
+  // game engine: round lifecycle, timers and mode rules
+  const {
+    state, currentQuestion, glowOffered, select, submit, toggle, confirm, takeHint, ready, buzz, restart,
+  } = useGameEngine({
+    mode: gameMode,
+    difficulty,
+    createQuestions,
+    hintBudget: hintsEnabled ? DEFAULT_HINT_BUDGET : 0,
+    glowDelay: hintsEnabled ? GLOW_DELAY : null,
+    players: playerNames,
+    onFinish: handleFinish,
+  });
+
+  // sound: answer, countdown and game-over cues (follows the Sound Effects setting live)
+  const play = useSound();
+  useGameSounds(state, play);
+
+  // events: race answers, from a key or a tap on that player's half of the screen
+  const handleBuzz = useCallback((player, optionIndex) => {
+    play('select');
+    buzz(player, optionIndex);
+  }, [play, buzz]);
 
-  // effects: count-up timer for speed mode
+  // effect: race keys (player 1: 1/2/3, player 2: 8/9/0)
   useEffect(() => {
-    if (gameMode === 'speed' && !isFinished && gameStartTime) {
-      const timer = setInterval(() => {
-        setTimeLeft(Math.floor((Date.now() - gameStartTime) / 1000));
-      }, 100);
-      
-      return () => clearInterval(timer);
-    }
-  }, [gameMode, isFinished, gameStartTime]);
+    if (!isRace) return undefined;
+    const handleKey = (e) => {
+      if (e.repeat) return;
+      RACE_PLAYERS.forEach((player, index) => {
+        const optionIndex = player.keys.indexOf(e.key);
+        if (optionIndex !== -1) handleBuzz(index, optionIndex);
+      });
+    };
+    window.addEventListener('keydown', handleKey);
+    return () => window.removeEventListener('keydown', handleKey);
+  }, [isRace, handleBuzz]);
 
-  const currentQuestion = questions[currentIndex];
+  const { questions, currentIndex, score, selectedOption, selectedOptions, lastAnswerCorrect, settings: modeSettings } = state;
+  const isFinished = state.status === GAME_STATES.FINISHED;
+  const isTransitioning = state.status === GAME_STATES.TRANSITION;
+  const showFeedback = state.status === GAME_STATES.FEEDBACK || isTransitioning;
+  // an answer is locked in once the player picks an option or the question timer runs out
+  const isAnswered = lastAnswerCorrect !== null;
+  const lastAnswer = state.answers[state.answers.length - 1];
+  // mixing mode: feedback reports how close the mix was
+  const mixMatch = isMix && isAnswered ? Math.round(lastAnswer.credit * 100) : null;
+  // spelling mode: typed answers are re-scored to show the correct spelling
+  const spellResult = isSpell && isAnswered && currentQuestion
+    ? scoreSpelling(lastAnswer.response, { name: currentQuestion.color, aliases: currentQuestion.aliases })
+    : null;
+  // "select all" rounds: feedback tallies the matches found
+  const multiTally = isMulti && isAnswered ? lastAnswer : null;
+  // race: the round winner and how fast they were
+  const raceWinner = isRace && isAnswered && lastAnswer.player !== undefined ? lastAnswer : null;
+  const feedback = !isAnswered ? ''
+    : raceWinner ? `✅ ${RACE_PLAYERS[raceWinner.player].name} wins the point! ${formatSeconds(raceWinner.reactionMs)}`
+    : isRace ? '❌ Nobody got it!'
+    : multiTally && !multiTally.misses && !multiTally.falsePicks ? '✅ Found Them All!'
+    : multiTally ? `${lastAnswerCorrect ? '✅' : '❌'} Found ${multiTally.hits} of ${multiTally.hits + multiTally.misses}${
+        multiTally.falsePicks ? ` · ${multiTally.falsePicks} wrong ${multiTally.falsePicks === 1 ? 'pick' : 'picks'}` : ''}`
+    : mixMatch !== null ? `${lastAnswerCorrect ? '✅ Great Mix!' : '❌ Not Quite!'} ${mixMatch}% match`
+    : spellResult?.typos === 0 ? '✅ Perfect Spelling!'
+    : spellResult && lastAnswerCorrect ? `✅ Almost! ${Math.round(lastAnswer.credit * 100)}% credit`
+    : lastAnswerCorrect ? '✅ Correct! Amazing!'
+    : state.timedOut ? '⏰ Too Slow!'
+    : '❌ Wrong Answer!';
+  // hot-seat: whose turn it is, the round they are on and the ranked scores so far
+  const turnIndex = getTurnPlayer(state);
+  const turnPlayer = turnIndex !== null ? players[turnIndex] : null;
+  const roundCount = isHotSeat ? Math.ceil(questions.length / players.length) : questions.length;
+  const round = isHotSeat ? Math.floor(currentIndex / players.length) + 1 : currentIndex + 1;
+  const scoreboard = getScoreboard(state);
+  const winners = scoreboard.filter(row => row.rank === 1);
+  const lockedOutPlayers = getLockedOutPlayers(state);
+  // speed mode counts up, timed/hard count down
+  const timeLeft = gameMode === 'speed' ? state.elapsed : state.timeLeft;
+  const totalTime = modeSettings.timeLimit || 0;
+
+  // conditional rendering: the game started without rounds (e.g. a pack with too few objects per color
+  // for "select all"), which would otherwise wait on the loading screen forever
+  if (state.startedAt !== null && !questions.length) {
+    return (
+      <div className="min-h-screen bg-gray-900 flex items-center justify-center px-4">
+        <div className="bg-gray-800/95 backdrop-blur-lg rounded-3xl shadow-2xl border border-gray-700 p-8 text-center max-w-md" role="alert">
+          <span className="text-5xl mb-4 block">🧩</span>
+          <h2 className="text-2xl font-bold text-white mb-2">Can't Play This Mode</h2>
+          <p className="text-gray-400 mb-6">
+            {isCustomPack ? `"${pack.name}"` : 'This question pack'} doesn't have enough objects
+            for {getGameModeInfo(gameMode).name}. Try another mode or pack.
+          </p>
+          {/* routing: back to mode and pack selection */}
+          <button
+            onClick={() => navigate('/')}
+            className="bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 rounded-xl transition-all duration-300"
+          >
+            🏠 Back to Home
+          </button>
+        </div>
+      </div>
+    );
+  }
 
   if (!questions.length || !currentQuestion) {
     return (
@@ -157,64 +288,65 @@ export default function EnhancedGameScreen() {
     );
   }
 
-  // events: handle answer selection and auto-advance
-  const handleSelect = (isCorrect, optionIndex) => {
-    setSelectedOption(optionIndex);
-    
-    if (isCorrect) {
-      setScore(score + 1);
-      setFeedback('✅ Correct! Amazing!');
-    } else {
-      setFeedback('❌ Wrong Answer!');
-    }
-    
-    setShowFeedback(true);
-    
-    setTimeout(() => {
-      setIsTransitioning(true);
-      setTimeout(() => {
-        if (currentIndex + 1 < questions.length) {
-          setCurrentIndex(currentIndex + 1);
-          setFeedback('');
-          setShowFeedback(false);
-          setIsTransitioning(false);
-          setSelectedOption(null);
-        } else {
-          const finalScore = isCorrect ? score + 1 : score;
-          saveGameResult(finalScore);
-          setIsFinished(true);
-        }
-      }, 400);
-    }, modeSettings.feedbackDuration);
+  // events: selection, restart & navigation
+  const handleSelect = (optionIndex) => {
+    play('select');
+    select(optionIndex);
+  };
+
+  // events: "select all" rounds toggle picks until they are locked in
+  const handleToggle = (optionIndex) => {
+    play('select');
+    toggle(optionIndex);
+  };
+
+  const handleConfirm = () => {
+    play('select');
+    confirm();
+  };
+
+  // events: a typed name is scored against the color's name and aliases
+  const handleSpell = (typed) => {
+    play('select');
+    submit(scoreSpelling(typed, { name: currentQuestion.color, aliases: currentQuestion.aliases }).credit, typed.trim());
+  };
+
+  // events: a finished paint mix is scored by its distance from the target
+  const handleMix = (mixHex) => {
+    play('select');
+    submit(getMixCredit(currentQuestion.hex, mixHex), mixHex);
+  };
+
+  const handleReady = () => {
+    play('select');
+    ready();
   };
 
-  // events: restart & navigation
   const handleRestart = () => {
-    setCurrentIndex(0);
-    setScore(0);
-    setFeedback('');
-    setIsFinished(false);
-    setShowFeedback(false);
-    setIsTransitioning(false);
-    setSelectedOption(null);
-    setQuestions(getShuffledQuestions());
-    setGameStartTime(Date.now());
-    initializeGameMode();
+    play('select');
+    setLeaderboardPlace(null);
+    setUnsavedResults(null);
+    restart();
+  };
+
+  const handleRetrySave = () => {
+    play('select');
+    setUnsavedResults(null);
+    saveResults(unsavedResults);
   };
 
   const handleHome = () => {
+    play('select');
     navigate('/');
   };
 
-  // derived UI info per mode
-  const getGameModeInfo = () => {
-    const modes = {
-      classic: { name: 'Classic Mode', icon: '🎨', color: 'green' },
-      timed: { name: 'Timed Challenge', icon: '⏱️', color: 'yellow' },
-      speed: { name: 'Speed Run', icon: '💨', color: 'green' },
-      hard: { name: 'Hard Mode', icon: '🧠', color: 'red' },
-    };
-    return modes[gameMode] || modes.classic;
+  // events: hints (the clue is also read aloud when speech is available)
+  const handleHint = (hint) => {
+    play('select');
+    takeHint(hint);
+    if (hint === HINTS.CLUE && currentQuestion.clue && window.speechSynthesis) {
+      window.speechSynthesis.speak(new SpeechSynthesisUtterance(currentQuestion.clue));
+    }
   };
 
   const formatTime = (seconds) => {
@@ -223,8 +355,33 @@ export default function EnhancedGameScreen() {
     return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
   };
 
+  const difficultyInfo = DIFFICULTY_LABELS[state.difficulty] || DIFFICULTY_LABELS.normal;
+
+  // hot-seat: pass the device before every turn; the question stays hidden until the player is ready
+  if (state.status === GAME_STATES.HANDOFF && turnPlayer) {
+    return (
+      <div className="min-h-screen bg-gray-900 flex items-center justify-center p-4">
+        <div className="bg-gray-800/95 backdrop-blur-lg rounded-3xl shadow-2xl border border-gray-700 p-8 text-center max-w-md w-full">
+          <ProfileAvatar profile={turnPlayer} size="lg" />
+          <p className="text-gray-400 mt-4 mb-1">Round {round} of {roundCount}</p>
+          <h2 className="text-2xl md:text-4xl font-extrabold text-purple-400 mb-6">
+            Pass to {turnPlayer.name}
+          </h2>
+          <button
+            onClick={handleReady}
+            autoFocus
+            className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-3 px-8 rounded-xl transition-colors"
+          >
+            I'm {turnPlayer.name} - Ready!
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   if (isFinished) {
-    const gameInfo = getGameModeInfo();
+    const gameInfo = getGameModeInfo(gameMode);
+    const shadeThreshold = getShadeThreshold(state);
     const finalTime = gameMode === 'speed' ? timeLeft : (totalTime - timeLeft);
     
     return (
@@ -236,18 +393,87 @@ export default function EnhancedGameScreen() {
             </div>
             
             <h2 className="text-2xl md:text-4xl font-extrabold text-green-400 mb-3">
-              {gameMode === 'timed' && timeLeft === 0 ? 'Time\'s Up!' : 'Congratulations!'}
+              {state.finishReason === 'timeout' ? 'Time\'s Up!'
+                : state.finishReason === 'out-of-lives' ? 'Game Over!'
+                : (isHotSeat || isRace) && winners.length > 1 ? 'It\'s a Tie!'
+                : isHotSeat || isRace ? `${winners[0].name} Wins!`
+                : 'Congratulations!'}
             </h2>
             
             <div className="bg-gray-700/50 rounded-2xl p-4 border border-gray-600 mb-6">
               <div className="flex items-center justify-center space-x-2 mb-2">
                 <span className="text-2xl">{gameInfo.icon}</span>
                 <span className="text-lg font-bold text-white">{gameInfo.name}</span>
+                <span className={`px-2 py-0.5 rounded-full text-xs font-semibold border ${difficultyInfo.className}`}>
+                  {difficultyInfo.label}
+                </span>
               </div>
+
+              {isCustomPack && (
+                <p className="text-sm text-gray-400 mb-2">📦 {pack.name}</p>
+              )}
               
-              <p className="text-xl md:text-2xl font-bold text-green-400 mb-2">
-                Score: {score}/{questions.length} ({Math.round((score / questions.length) * 100)}%)
-              </p>
+              {/* hot-seat and race: ranked scoreboard, equal scores split by total response time */}
+              {isHotSeat || isRace ? (
+                <ol className="space-y-2 mb-2 text-left">
+                  {scoreboard.map(row => (
+                    <li key={row.player} className="flex items-center gap-3 bg-gray-800/80 rounded-xl px-4 py-2 border border-gray-600">
+                      <span className="text-2xl w-8 text-center">{RANK_MEDALS[row.rank - 1] || row.rank}</span>
+                      {isHotSeat && <ProfileAvatar profile={players[row.player]} size="sm" />}
+                      <span className={`flex-1 font-bold truncate ${isRace ? RACE_PLAYERS[row.player].className : 'text-white'}`}>{row.name}</span>
+                      <span className="font-bold text-green-400">{row.score}/{roundCount}</span>
+                      <span className="text-sm text-gray-400 w-20 text-right" title={isRace ? 'Average winning time' : 'Average response time'}>
+                        ⏱️ {formatSeconds(row.answered ? row.reactionMs / row.answered : 0)}
+                      </span>
+                    </li>
+                  ))}
+                </ol>
+              ) : (
+                <p className="text-xl md:text-2xl font-bold text-green-400 mb-2">
+                  Score: {score}/{getQuestionTotal(state)} ({getPercentage(state)}%)
+                </p>
+              )}
+
+              {/* race: who won each round and every player's reaction time */}
+              {isRace && (
+                <table className="w-full text-sm text-left mt-4 mb-2">
+                  <thead>
+                    <tr className="text-gray-400">
+                      <th className="py-1 font-semibold">Round</th>
+                      <th className="py-1 font-semibold">Color</th>
+                      <th className="py-1 font-semibold">Winner</th>
+                      {RACE_PLAYERS.map(player => (
+                        <th key={player.name} className={`py-1 font-semibold text-right ${player.className}`}>{player.name}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {/* list & keys: one row per round */}
+                    {state.answers.map(entry => (
+                      <tr key={entry.questionIndex} className="border-t border-gray-600 text-gray-200">
+                        <td className="py-1">{entry.questionIndex + 1}</td>
+                        <td className="py-1 capitalize">{questions[entry.questionIndex].color}</td>
+                        <td className="py-1 font-bold">{entry.player !== undefined ? RACE_PLAYERS[entry.player].name : '—'}</td>
+                        {RACE_PLAYERS.map((player, index) => {
+                          const playerBuzz = entry.buzzes?.find(raceBuzz => raceBuzz.player === index);
+                          return (
+                            <td key={player.name} className="py-1 text-right">
+                              {playerBuzz ? `${playerBuzz.correct ? '✅' : '❌'} ${formatSeconds(playerBuzz.reactionMs)}` : '—'}
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+
+              {/* survival: the run is ranked by its length, not its percentage */}
+              {isSurvival && (
+                <p className="text-lg text-gray-300">
+                  Survived {state.answers.length} {state.answers.length === 1 ? 'round' : 'rounds'} · reached level {state.level}
+                </p>
+              )}
               
               {modeSettings.showTimer && (
                 <p className="text-lg text-gray-300">
@@ -256,20 +482,76 @@ export default function EnhancedGameScreen() {
                    `Time taken: ${formatTime(finalTime)}`}
                 </p>
               )}
+
+              {/* tricky shades: finest shade difference solved */}
+              {gameMode === 'hard' && (
+                <p className="text-lg text-gray-300">
+                  {shadeThreshold !== null
+                    ? `Finest shade spotted: ΔE ${shadeThreshold}`
+                    : 'No shades spotted yet - keep practicing!'}
+                </p>
+              )}
+
+              {/* hints: each used hint lowered the credit for that answer */}
+              {hintsEnabled && (
+                <p className="text-sm text-gray-400">
+                  💡 Hints used: {state.answers.reduce((total, entry) => total + entry.hints.length, 0)}
+                </p>
+              )}
+
+              {/* per-question timer: unanswered rounds are counted apart from wrong answers */}
+              {modeSettings.questionTime && (
+                <p className="text-sm text-gray-400">
+                  ⏰ Timed out on {state.answers.filter(entry => entry.timedOut).length} of {questions.length} rounds
+                </p>
+              )}
+
+              {/* daily challenge: one scored attempt, then wait for tomorrow */}
+              {isDaily && (
+                <DailyCountdown className="text-lg text-gray-300" />
+              )}
             </div>
           </div>
           
+          {/* persistence: the game could not be saved; saving again overwrites nothing (same ids) */}
+          {unsavedResults && (
+            <div role="alert" className="bg-red-500/10 border border-red-500/40 rounded-2xl p-4 mb-6">
+              <p className="font-bold text-red-300 mb-3">⚠️ Couldn't save this game. Your browser's storage may be full or blocked.</p>
+              <button
+                onClick={handleRetrySave}
+                className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-5 rounded-xl transition-colors"
+              >
+                Try Saving Again
+              </button>
+            </div>
+          )}
+
+          {/* leaderboard: name the place this game took */}
+          {leaderboardPlace && (
+            <LeaderboardEntry
+              key={leaderboardPlace.id}
+              resultId={leaderboardPlace.id}
+              rank={leaderboardPlace.rank}
+              defaultName={activeProfile.name}
+            />
+          )}
+
           <div className="flex flex-col sm:flex-row gap-3 justify-center">
-            <button 
-              onClick={handleRestart}
-              className="bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 rounded-xl transition-all duration-300 flex items-center justify-center space-x-2"
-            >
-              <span>🔄</span>
-              <span>Play Again</span>
-            </button>
+            {!isDaily && (
+              <button 
+                onClick={handleRestart}
+                className="bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 rounded-xl transition-all duration-300 flex items-center justify-center space-x-2"
+              >
+                <span>🔄</span>
+                <span>Play Again</span>
+              </button>
+            )}
             
             <button
-              onClick={() => navigate('/statistics')}
+              onClick={() => {
+                play('select');
+                navigate('/statistics');
+              }}
               className="bg-purple-600 hover:bg-purple-700 text-white font-bold py-3 px-6 rounded-xl transition-all duration-300 flex items-center justify-center space-x-2"
             >
               <span>📊</span>
@@ -289,7 +571,40 @@ export default function EnhancedGameScreen() {
     );
   }
 
-  const gameInfo = getGameModeInfo();
+  // render helper: target color canvas
+  const renderColorCanvas = () => (
+    <div className="relative">
+      <canvas 
+        width={120} 
+        height={120} 
+        className="w-24 h-24 md:w-32 md:h-32 rounded-2xl shadow-2xl border-4 border-white/70 transition-all duration-300 hover:scale-105"
+        ref={(canvas) => {
+          if (canvas) {
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = currentQuestion.hex || currentQuestion.color;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+          }
+        }}
+      />
+      <div className="absolute -inset-2 bg-green-500/40 rounded-2xl blur opacity-40"></div>
+    </div>
+  );
+
+  // render helper: object picture (reverse mode shows the object instead of the color)
+  const renderObjectImage = () => (
+    <div className="relative">
+      <img
+        src={currentQuestion.image}
+        alt={currentQuestion.label}
+        className="w-24 h-24 md:w-32 md:h-32 object-cover rounded-2xl shadow-2xl border-4 border-white/70 bg-white transition-all duration-300 hover:scale-105"
+      />
+      <div className="absolute -inset-2 bg-purple-500/40 rounded-2xl blur opacity-40 -z-10"></div>
+    </div>
+  );
+
+  const renderPrompt = () => (isReverse ? renderObjectImage() : renderColorCanvas());
+
+  const gameInfo = getGameModeInfo(gameMode);
 
   return (
     <div className="min-h-screen bg-gray-900 p-4 relative overflow-hidden">
@@ -302,6 +617,11 @@ export default function EnhancedGameScreen() {
               <span className="text-2xl">{gameInfo.icon}</span>
               <span className="font-bold text-white">{gameInfo.name}</span>
             </div>
+
+            {/* difficulty from settings */}
+            <div className={`px-3 py-2 rounded-xl text-sm font-semibold border ${difficultyInfo.className}`}>
+              {difficultyInfo.label}
+            </div>
             
             {modeSettings.showTimer && (
               <div className={`px-4 py-2 rounded-xl font-bold text-xl ${
@@ -320,105 +640,202 @@ export default function EnhancedGameScreen() {
           <div className="flex flex-col sm:flex-row justify-center items-center gap-3 mb-4">
             <div className="bg-gray-800/90 backdrop-blur-sm px-4 py-2 rounded-xl border border-gray-700">
               <span className="font-bold text-gray-200">
-                Round {currentIndex + 1} of {questions.length}
+                {isSurvival ? `Round ${currentIndex + 1} · Level ${state.level}`
+                  : turnPlayer ? `${turnPlayer.name}'s turn · Round ${round} of ${roundCount}`
+                  : `Round ${currentIndex + 1} of ${questions.length}`}
               </span>
             </div>
+
+            {/* survival: lives left */}
+            {isSurvival && (
+              <div className="bg-gray-800/90 backdrop-blur-sm px-4 py-2 rounded-xl border border-gray-700 text-xl tracking-widest" aria-label={`${state.lives} lives left`}>
+                {Array.from({ length: modeSettings.lives }, (_, index) => (index < state.lives ? '❤️' : '🖤')).join('')}
+              </div>
+            )}
             
-            <div className="bg-green-600 text-white px-4 py-2 rounded-xl font-bold">
-              Score: {score}
-            </div>
+            {/* hot-seat: every player's score, the current player highlighted */}
+            {isHotSeat ? (
+              <div className="flex flex-wrap justify-center gap-2">
+                {players.map((player, index) => (
+                  <div
+                    key={player.id}
+                    className={`flex items-center space-x-2 px-3 py-1 rounded-xl border font-bold ${
+                      index === turnIndex ? 'bg-purple-600 border-purple-500 text-white' : 'bg-gray-800/90 border-gray-700 text-gray-300'
+                    }`}
+                    aria-label={`${player.name}: ${scoreboard.find(row => row.player === index)?.score ?? 0} points`}
+                  >
+                    <ProfileAvatar profile={player} size="sm" />
+                    <span>{scoreboard.find(row => row.player === index)?.score ?? 0}</span>
+                  </div>
+                ))}
+              </div>
+            ) : isRace ? (
+              <div className="bg-gray-800/90 backdrop-blur-sm px-4 py-2 rounded-xl border border-gray-700 font-bold space-x-3">
+                {RACE_PLAYERS.map((player, index) => (
+                  <span key={player.name} className={player.className}>
+                    {player.name}: {scoreboard.find(row => row.player === index)?.score ?? 0}
+                  </span>
+                ))}
+              </div>
+            ) : (
+              <div className="bg-green-600 text-white px-4 py-2 rounded-xl font-bold">
+                Score: {score}
+              </div>
+            )}
           </div>
 
-          {/* Progress Bar */}
-          <div className="max-w-xs mx-auto mb-4">
-            <div className="bg-gray-800/50 rounded-full h-3 overflow-hidden border border-gray-700">
-              <div 
-                className={`bg-${gameInfo.color}-500 h-full rounded-full transition-all duration-700`}
-                style={{ width: `${((currentIndex + 1) / questions.length) * 100}%` }}
-              ></div>
+          {/* Progress Bar (survival: progress to the next level) */}
+          {isSurvival ? (
+            <div className="max-w-xs mx-auto mb-4">
+              <div className="bg-gray-800/50 rounded-full h-3 overflow-hidden border border-gray-700">
+                <div 
+                  className={`bg-${gameInfo.color}-500 h-full rounded-full transition-all duration-700`}
+                  style={{ width: `${((currentIndex % SURVIVAL.roundsPerLevel + 1) / SURVIVAL.roundsPerLevel) * 100}%` }}
+                ></div>
+              </div>
+              <p className="text-sm text-gray-400 mt-1">
+                Level {state.level + 1} in {SURVIVAL.roundsPerLevel - (currentIndex % SURVIVAL.roundsPerLevel)} rounds
+              </p>
             </div>
-            <p className="text-sm text-gray-400 mt-1">
-              Progress: {Math.round(((currentIndex + 1) / questions.length) * 100)}%
-            </p>
-          </div>
+          ) : (
+            <div className="max-w-xs mx-auto mb-4">
+              <div className="bg-gray-800/50 rounded-full h-3 overflow-hidden border border-gray-700">
+                <div 
+                  className={`bg-${gameInfo.color}-500 h-full rounded-full transition-all duration-700`}
+                  style={{ width: `${((currentIndex + 1) / questions.length) * 100}%` }}
+                ></div>
+              </div>
+              <p className="text-sm text-gray-400 mt-1">
+                Progress: {Math.round(((currentIndex + 1) / questions.length) * 100)}%
+              </p>
+            </div>
+          )}
         </div>
 
         {/* Game Content */}
         <div className={`transition-all duration-500 ${isTransitioning ? 'opacity-0 scale-95' : 'opacity-100 scale-100'}`}>
           {/* Color Display */}
           <div className="flex flex-col items-center mb-6">
-            <div className="relative mb-3">
-              <canvas 
-                width={120} 
-                height={120} 
-                className="w-24 h-24 md:w-32 md:h-32 rounded-2xl shadow-2xl border-4 border-white/70 transition-all duration-300 hover:scale-105"
-                ref={(canvas) => {
-                  if (canvas) {
-                    const ctx = canvas.getContext('2d');
-                    ctx.fillStyle = currentQuestion.color;
-                    ctx.fillRect(0, 0, canvas.width, canvas.height);
-                  }
-                }}
-              />
-              <div className="absolute -inset-2 bg-green-500/40 rounded-2xl blur opacity-40"></div>
-            </div>
+            {/* per-question countdown (hard mode) wraps the color canvas */}
+            {modeSettings.questionTime ? (
+              <div className="mb-3">
+                <CountdownRing timeLeft={state.questionTimeLeft} total={modeSettings.questionTime}>
+                  {renderPrompt()}
+                </CountdownRing>
+              </div>
+            ) : (
+              <div className="mb-3">{renderPrompt()}</div>
+            )}
             
             <div className="bg-gray-800/90 backdrop-blur-sm px-6 py-3 rounded-xl border border-gray-700">
               <p className="text-xl font-extrabold text-gray-200">
-                {currentQuestion.color.toUpperCase()}
+                {isReverse ? currentQuestion.label.toUpperCase()
+                  : isMix ? 'MIX THIS COLOR'
+                  : isSpell ? 'WHAT COLOR IS THIS?'
+                  : currentQuestion.color.toUpperCase()}
               </p>
+              {/* "select all" rounds: several objects share the color */}
+              {isMulti && (
+                <p className="text-sm text-gray-400">Tap every object with this color</p>
+              )}
+              {/* reverse mode: the color is the answer, so only the object is named */}
+              {isReverse && (
+                <p className="text-sm text-gray-400">Which color is it?</p>
+              )}
+              {/* tricky shades: how close the distractors are this round */}
+              {currentQuestion.type === 'shade' && (
+                <p className="text-sm text-gray-400">
+                  Find the exact shade · ΔE {currentQuestion.deltaE}
+                </p>
+              )}
             </div>
           </div>
 
-          {/* Answer Options */}
-          <div className="grid grid-cols-3 gap-4 mb-6 max-w-3xl mx-auto">
-            {currentQuestion.options.map((option, index) => {
-              const isSelected = selectedOption === index;
-              const isCorrectOption = option.isCorrect;
-              const shouldHighlightCorrect = selectedOption !== null && !currentQuestion.options[selectedOption].isCorrect && isCorrectOption;
-              const shouldHighlightWrong = isSelected && !isCorrectOption;
-              const shouldHighlightSelectedCorrect = isSelected && isCorrectOption;
-              
-              return (
-                // list & keys: answer options
-                <button 
-                  key={index} 
-                  onClick={() => handleSelect(option.isCorrect, index)}
-                  disabled={selectedOption !== null}
-                  className={`group relative rounded-2xl shadow-xl p-4 border-2 transition-all duration-300 transform hover:scale-105 ${
-                    shouldHighlightCorrect || shouldHighlightSelectedCorrect
-                      ? 'bg-green-600/90 border-green-400'
-                      : shouldHighlightWrong 
-                      ? 'bg-red-600/90 border-red-400'
-                      : selectedOption !== null
-                      ? 'bg-gray-800/50 border-gray-600'
-                      : 'bg-gray-800/90 border-gray-700 hover:border-green-500'
-                  } ${selectedOption !== null ? 'cursor-not-allowed' : 'cursor-pointer'}`}
-                >
-                  <div className="flex flex-col items-center">
-                    <div className="w-16 h-16 md:w-20 md:h-20 mb-2 rounded-xl overflow-hidden shadow-xl">
-                      <img 
-                        src={option.image} 
-                        alt={option.label} 
-                        className="w-full h-full object-cover transition-transform duration-300 group-hover:scale-110" 
-                      />
+          {/* Hints (only when enabled in settings) */}
+          {hintsEnabled && (
+            <HintBar state={state} question={currentQuestion} glowOffered={glowOffered} onHint={handleHint} />
+          )}
+
+          {/* Answer Options (mixing mode answers with the paint bowl, spelling mode by typing,
+              race mode with one half of the screen and one set of keys per player) */}
+          {isRace ? (
+            <div className="grid grid-cols-2 gap-3 md:gap-6 mb-2">
+              {RACE_PLAYERS.map((player, index) => {
+                const playerBuzz = state.buzzes.find(raceBuzz => raceBuzz.player === index);
+                const isLockedOut = lockedOutPlayers.includes(index);
+                const wonRound = raceWinner?.player === index;
+                return (
+                  <section
+                    key={player.name}
+                    aria-label={player.name}
+                    className={`rounded-2xl border-2 p-3 transition-colors ${
+                      wonRound ? 'border-green-500 bg-green-900/20'
+                        : isLockedOut ? 'border-red-700 bg-red-900/10 opacity-60'
+                        : 'border-gray-700 bg-gray-800/40'
+                    }`}
+                  >
+                    <div className="flex items-center justify-between mb-3">
+                      <span className={`font-bold ${player.className}`}>{player.name}</span>
+                      <span className="text-sm text-gray-400">
+                        {wonRound ? '🏁 Point!' : isLockedOut ? '🔒 Locked out' : `Keys ${player.keys.join(' ')}`}
+                      </span>
                     </div>
-                    <span className={`text-sm font-bold text-center ${
-                      shouldHighlightCorrect || shouldHighlightSelectedCorrect
-                        ? 'text-green-100'
-                        : shouldHighlightWrong 
-                        ? 'text-red-100'
-                        : selectedOption !== null
-                        ? 'text-gray-400'
-                        : 'text-gray-200 group-hover:text-green-400'
-                    }`}>
-                      {option.label}
-                    </span>
-                  </div>
-                </button>
-              );
-            })}
-          </div>
+                    {/* both halves are on one screen: a wrong pick stays hidden until the round resolves,
+                        so it doesn't tell the other racer which option to skip */}
+                    <OptionGrid
+                      options={currentQuestion.options}
+                      selectedOptions={playerBuzz && isAnswered ? [playerBuzz.optionIndex] : []}
+                      isAnswered={isAnswered}
+                      disabled={isLockedOut}
+                      keyLabels={player.keys}
+                      onSelect={(optionIndex) => handleBuzz(index, optionIndex)}
+                    />
+                  </section>
+                );
+              })}
+            </div>
+          ) : isSpell ? (
+            <SpellingInput
+              key={currentIndex}
+              hint={getDifficultySettings(state.difficulty).spellingHint}
+              answer={currentQuestion.color}
+              result={spellResult}
+              disabled={isAnswered}
+              onSubmit={handleSpell}
+            />
+          ) : isMix ? (
+            <PaintMixer
+              key={currentIndex}
+              palette={currentQuestion.palette}
+              recipe={currentQuestion.recipe}
+              disabled={isAnswered}
+              onSubmit={handleMix}
+            />
+          ) : (
+            <>
+              <OptionGrid
+                options={currentQuestion.options}
+                selectedOptions={isMulti ? selectedOptions : selectedOption !== null ? [selectedOption] : []}
+                isAnswered={isAnswered}
+                hiddenOptions={state.hiddenOptions}
+                glowCorrect={state.hintsUsed.includes(HINTS.GLOW)}
+                showLabels={!isReverse || readingMode || isAnswered}
+                onSelect={isMulti ? handleToggle : handleSelect}
+              />
+              {/* "select all" rounds: picks are only scored once submitted */}
+              {isMulti && !isAnswered && (
+                <div className="flex justify-center mb-6">
+                  <button
+                    onClick={handleConfirm}
+                    disabled={!selectedOptions.length}
+                    className="bg-green-600 hover:bg-green-700 disabled:opacity-40 text-white font-bold py-3 px-8 rounded-xl transition-colors"
+                  >
+                    ✅ Submit {selectedOptions.length ? `(${selectedOptions.length} picked)` : ''}
+                  </button>
+                </div>
+              )}
+            </>
+          )}
 
           {/* Feedback */}
           <div className="text-center h-16 flex items-center justify-center">
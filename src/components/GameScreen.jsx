@@ -3,47 +3,41 @@
  * Handles the color matching game logic, scoring, and user interactions
  */
 
-import React, { useState, useEffect } from 'react';
-import getShuffledQuestions from '../data';
+import React, { useCallback, useState } from 'react';
+import { useGameEngine } from '../hooks/useGameEngine';
+import { useSound } from '../hooks/useSound';
+import { useGameSounds } from '../hooks/useGameSounds';
+import { GAME_STATES } from '../engine/gameEngine';
+import { useHistory } from '../hooks/useHistory';
+import { saveGameResult } from '../utils/history';
 
 export default function Game({ onHome }) {
   // ==================== STATE MANAGEMENT ====================
   
-  // Game flow state
-  const [currentIndex, setCurrentIndex] = useState(0);           // Current question index
-  const [feedback, setFeedback] = useState('');                 // User feedback message
-  const [isFinished, setIsFinished] = useState(false);          // Game completion status
-  const [showFeedback, setShowFeedback] = useState(false);      // Show/hide feedback animation
-  const [isTransitioning, setIsTransitioning] = useState(false); // Question transition animation
-  
-  // Game data state
-  const [score, setScore] = useState(0);                        // Player's current score
+  // UI state
   const [showHistory, setShowHistory] = useState(false);       // Toggle history display
-  const [gameHistory, setGameHistory] = useState([]);          // Past game results
-  const [questions, setQuestions] = useState([]);              // Shuffled questions array
-  const [selectedOption, setSelectedOption] = useState(null);  // Track selected option for visual feedback
+  const { history: gameHistory } = useHistory({ limit: 10 }); // Last 10 saved results, kept live by the history store
+  const [unsavedResult, setUnsavedResult] = useState(null);     // Result that could not be saved, kept for a retry
 
-  // ==================== SIDE EFFECTS ====================
-  
-  // Initialize shuffled questions when component mounts
-  // This ensures every game session has randomized question order and options
-  useEffect(() => {
-    setQuestions(getShuffledQuestions());
+  // Results go to the shared history; a failed save (storage blocked or full) is kept for another try
+  const saveResult = useCallback((gameResult) => {
+    saveGameResult(gameResult).catch(() => setUnsavedResult(gameResult));
   }, []);
 
-  // Load game history from localStorage on component mount
-  // Persists player's past game results across browser sessions
-  useEffect(() => {
-    const savedHistory = localStorage.getItem('colorquest-history');
-    if (savedHistory) {
-      setGameHistory(JSON.parse(savedHistory));
-    }
-  }, []);
+  // Game flow state - owned by the shared game engine (classic rules)
+  const { state, currentQuestion, select, restart } = useGameEngine({ mode: 'classic', onFinish: saveResult });
+
+  // Sound effects - answer and game-over cues, following the Sound Effects setting
+  const play = useSound();
+  useGameSounds(state, play);
 
   // ==================== COMPUTED VALUES ====================
   
-  // Current question object based on the current index
-  const currentQuestion = questions[currentIndex];
+  const { questions, currentIndex, score, selectedOption, lastAnswerCorrect } = state;
+  const isFinished = state.status === GAME_STATES.FINISHED;                  // Game completion status
+  const isTransitioning = state.status === GAME_STATES.TRANSITION;           // Question transition animation
+  const showFeedback = state.status === GAME_STATES.FEEDBACK || isTransitioning; // Show/hide feedback animation
+  const feedback = selectedOption === null ? '' : lastAnswerCorrect ? '✅ Correct! Amazing!' : '❌ Wrong! Answer';
 
   // ==================== LOADING STATE ====================
   
@@ -62,102 +56,34 @@ export default function Game({ onHome }) {
   }
 
   // ==================== GAME LOGIC FUNCTIONS ====================
-  
-  /**
-   * Save game result to localStorage and update history state
-   * @param {number} finalScore - The player's final score
-   */
-  const saveGameResult = (finalScore) => {
-    // Create game result object with score, percentage, and timestamp
-    const gameResult = {
-      id: Date.now(),                                                    // Unique identifier
-      score: finalScore,                                                 // Questions answered correctly
-      totalQuestions: questions.length,                                  // Total questions in game
-      percentage: Math.round((finalScore / questions.length) * 100),    // Success percentage
-      date: new Date().toLocaleDateString(),                            // Game date
-      time: new Date().toLocaleTimeString(),                            // Game time
-    };
-
-    // Update history: add new result to beginning, keep only last 10 games
-    const updatedHistory = [gameResult, ...gameHistory].slice(0, 10);
-    setGameHistory(updatedHistory);
-    localStorage.setItem('colorquest-history', JSON.stringify(updatedHistory));
-  };
 
   /**
    * Handle user's answer selection
-   * @param {boolean} isCorrect - Whether the selected answer is correct
+   * Scoring, feedback and progression are handled by the game engine
    * @param {number} optionIndex - Index of the selected option
    */
-  const handleSelect = (isCorrect, optionIndex) => {
-    // Track which option was selected for visual feedback
-    setSelectedOption(optionIndex);
-    
-    if (isCorrect) {
-      // ========== CORRECT ANSWER LOGIC ==========
-      setScore(score + 1);                           // Increment score
-      setFeedback('✅ Correct! Amazing!');           // Show success message
-    } else {
-      // ========== INCORRECT ANSWER LOGIC ==========
-      setFeedback('❌ Wrong! Answer');   // Show error message
-    }
-    
-    // Show feedback animation for both correct and incorrect answers
-    setShowFeedback(true);
-    
-    // Delayed progression to next question (1.8s feedback + 0.4s transition)
-    // This applies to both correct and incorrect answers - always move forward
-    setTimeout(() => {
-      setIsTransitioning(true);                    // Start transition animation
-      setTimeout(() => {
-        if (currentIndex + 1 < questions.length) {
-          // Move to next question and reset selection
-          setCurrentIndex(currentIndex + 1);
-          setFeedback('');
-          setShowFeedback(false);
-          setIsTransitioning(false);
-          setSelectedOption(null);               // Reset selected option
-        } else {
-          // Game completed - save results and show completion screen
-          // Use current score + 1 if the last answer was correct, otherwise just current score
-          const finalScore = isCorrect ? score + 1 : score;
-          saveGameResult(finalScore);
-          setIsFinished(true);
-        }
-      }, 400);
-    }, 1800);
+  const handleSelect = (optionIndex) => {
+    play('select');
+    select(optionIndex);
   };
 
   /**
    * Restart the game with new shuffled questions
-   * Resets all game state and generates fresh question order
    */
   const handleRestart = () => {
-    setCurrentIndex(0);                          // Reset to first question
-    setScore(0);                                 // Reset score
-    setFeedback('');                             // Clear any feedback
-    setIsFinished(false);                        // Set game as active
-    setShowFeedback(false);                      // Hide feedback display
-    setIsTransitioning(false);                   // Clear transition state
+    play('select');
     setShowHistory(false);                       // Hide history panel
-    setSelectedOption(null);                     // Reset selected option
-    setQuestions(getShuffledQuestions());        // Generate new shuffled questions
+    setUnsavedResult(null);
+    restart();                                   // Generate new shuffled questions
   };
 
   /**
    * Return to start screen
-   * Resets all game state and calls parent component's onHome function
+   * Calls parent component's onHome function
    */
   const handleHome = () => {
-    // Reset all game state to initial values
-    setCurrentIndex(0);
-    setScore(0);
-    setFeedback('');
-    setIsFinished(false);
-    setShowFeedback(false);
-    setIsTransitioning(false);
+    play('select');
     setShowHistory(false);
-    setSelectedOption(null);
     
     // Navigate back to start screen via parent component
     if (onHome) {
@@ -218,6 +144,22 @@ export default function Game({ onHome }) {
             </div>
           </div>
           
+          {/* Save failure - the result is kept until saving works or a new game starts */}
+          {unsavedResult && (
+            <div role="alert" className="bg-red-500/10 border border-red-500/40 rounded-2xl p-4 mb-4">
+              <p className="font-bold text-red-300 mb-3">⚠️ Couldn't save this game. Your browser's storage may be full or blocked.</p>
+              <button
+                onClick={() => {
+                  setUnsavedResult(null);
+                  saveResult(unsavedResult);
+                }}
+                className="bg-red-600 hover:bg-red-700 text-white font-bold py-2 px-5 rounded-xl transition-colors"
+              >
+                Try Saving Again
+              </button>
+            </div>
+          )}
+
           {/* Action buttons row */}
           <div className="flex flex-col sm:flex-row gap-3 justify-center items-center mb-4">
             {/* Play Again button - starts new game with shuffled questions */}
@@ -233,7 +175,10 @@ export default function Game({ onHome }) {
             
             {/* History toggle button - shows/hides past game results */}
             <button 
-              onClick={() => setShowHistory(!showHistory)}
+              onClick={() => {
+                play('select');
+                setShowHistory(!showHistory);
+              }}
               className="bg-blue-700 hover:bg-blue-800 text-white font-bold py-3 px-6 rounded-xl text-base transition-all duration-300 shadow-lg hover:shadow-2xl transform hover:scale-105 active:scale-95"
             >
               <span className="flex items-center justify-center space-x-2">
@@ -385,7 +330,7 @@ export default function Game({ onHome }) {
                 ref={(canvas) => {
                   if (canvas) {
                     const ctx = canvas.getContext('2d');
-                    ctx.fillStyle = currentQuestion.color;
+                    ctx.fillStyle = currentQuestion.hex || currentQuestion.color;
                     ctx.fillRect(0, 0, canvas.width, canvas.height);
                   }
                 }}
@@ -415,7 +360,7 @@ export default function Game({ onHome }) {
               return (
                 <button 
                   key={index} 
-                  onClick={() => handleSelect(option.isCorrect, index)}
+                  onClick={() => handleSelect(index)}
                   disabled={selectedOption !== null} // Disable all buttons after selection
                   className={`group relative rounded-2xl shadow-xl hover:shadow-2xl p-3 md:p-4 border-2 transition-all duration-300 transform hover:scale-105 active:scale-95 ${
                     shouldHighlightCorrect || shouldHighlightSelectedCorrect
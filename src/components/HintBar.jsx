@@ -0,0 +1,44 @@
+/**
+ * HintBar Component - Hint buttons, remaining budget and the revealed clue
+ */
+
+import React from 'react';
+import { HINTS, HINT_PENALTIES, canUseHint } from '../engine/gameEngine';
+
+// list & keys: hints the player can request (glow only once it is offered after inactivity)
+const HINT_BUTTONS = [
+  { hint: HINTS.FIFTY_FIFTY, label: '50/50', icon: '✂️' },
+  { hint: HINTS.CLUE, label: 'Clue', icon: '💬' },
+  { hint: HINTS.GLOW, label: 'Glow', icon: '✨' },
+];
+
+export default function HintBar({ state, question, glowOffered, onHint }) {
+  const showClue = state.hintsUsed.includes(HINTS.CLUE) && question.clue;
+  const buttons = HINT_BUTTONS.filter(({ hint }) => hint !== HINTS.GLOW || glowOffered);
+
+  return (
+    <div className="flex flex-col items-center gap-2 mb-4">
+      <div className="flex items-center gap-2">
+        {buttons.map(({ hint, label, icon }) => (
+          <button
+            key={hint}
+            onClick={() => onHint(hint)}
+            disabled={!canUseHint(state, hint)}
+            className="bg-gray-800/90 border border-gray-700 hover:border-yellow-500 text-gray-200 text-sm font-semibold px-3 py-1 rounded-xl transition-all duration-300 disabled:opacity-40 disabled:cursor-not-allowed"
+          >
+            {icon} {label} <span className="text-xs text-gray-400">(-{HINT_PENALTIES[hint]})</span>
+          </button>
+        ))}
+        <span className="text-sm text-yellow-400 font-bold">
+          💡 {state.hintsRemaining} left
+        </span>
+      </div>
+
+      {showClue && (
+        <p className="bg-yellow-600/20 border border-yellow-600/30 text-yellow-200 text-sm px-4 py-2 rounded-xl">
+          {question.clue}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -2,39 +2,34 @@
  * HomePage Component - Enhanced welcome screen with game modes and features
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
 import { useTheme } from '../hooks/useTheme';
+import { useHistory } from '../hooks/useHistory';
+import { BUILTIN_PACK, getAvailablePacks } from '../utils/packs';
 
 export default function HomePage() {
   const { isDark } = useTheme();
-  // state: stats
-  const [stats, setStats] = useState({
-    totalGames: 0,
-    averageScore: 0,
-    bestScore: 0,
-    totalCorrect: 0,
-  });
+  // derived data: stats from the saved history
+  const { history } = useHistory();
+  const totalQuestions = history.reduce((sum, game) => sum + game.totalQuestions, 0);
+  const totalCorrect = history.reduce((sum, game) => sum + game.score, 0);
+  const stats = {
+    totalGames: history.length,
+    averageScore: totalQuestions > 0 ? Math.round((totalCorrect / totalQuestions) * 100) : 0,
+    bestScore: history.reduce((best, game) => Math.max(best, game.percentage), 0),
+    totalCorrect,
+  };
 
-  // effect: load history from localStorage
-  useEffect(() => {
-    const savedHistory = localStorage.getItem('colorquest-history');
-    if (savedHistory) {
-      const history = JSON.parse(savedHistory);
-      const totalGames = history.length;
-      const totalCorrect = history.reduce((sum, game) => sum + game.score, 0);
-      const totalQuestions = history.reduce((sum, game) => sum + game.totalQuestions, 0);
-      const averageScore = totalQuestions > 0 ? Math.round((totalCorrect / totalQuestions) * 100) : 0;
-      const bestScore = history.reduce((best, game) => Math.max(best, game.percentage), 0);
+  // state: question pack the game modes are played with
+  const [packs] = useState(getAvailablePacks);
+  const [packId, setPackId] = useState(BUILTIN_PACK.id);
 
-      setStats({
-        totalGames,
-        averageScore,
-        bestScore,
-        totalCorrect,
-      });
-    }
-  }, []);
+  // routing: carry a custom pack to the game screen as ?pack=<id>
+  const withPack = (path) => {
+    if (packId === BUILTIN_PACK.id) return path;
+    return `${path}${path.includes('?') ? '&' : '?'}pack=${encodeURIComponent(packId)}`;
+  };
 
   // list & keys: game features
   const gameFeatures = [
@@ -59,6 +54,62 @@ export default function HomePage() {
       path: "/game?mode=hard",
       difficulty: "Hard",
     },
+    {
+      title: "Reverse",
+      description: "See a picture, pick its color",
+      icon: "🔄",
+      path: "/game?mode=reverse",
+      difficulty: "Easy",
+    },
+    {
+      title: "Paint Mixer",
+      description: "Mix paints to make the color",
+      icon: "🖌️",
+      path: "/game?mode=mix",
+      difficulty: "Medium",
+    },
+    {
+      title: "Spell It",
+      description: "Type the name of the color",
+      icon: "✏️",
+      path: "/game?mode=spell",
+      difficulty: "Medium",
+    },
+    {
+      title: "Find Them All",
+      description: "Tap every object with the color",
+      icon: "🧺",
+      path: "/game?mode=multi",
+      difficulty: "Medium",
+    },
+    {
+      title: "Survival",
+      description: "Three lives, no end - how far can you go?",
+      icon: "❤️",
+      path: "/game?mode=survival",
+      difficulty: "Expert",
+    },
+    {
+      title: "Practice",
+      description: "Focus on the colors you miss most",
+      icon: "🎯",
+      path: "/game?mode=practice",
+      difficulty: "Easy",
+    },
+    {
+      title: "Pass & Play",
+      description: "2-4 players take turns on one device",
+      icon: "👫",
+      path: "/hotseat",
+      difficulty: "Easy",
+    },
+    {
+      title: "Race",
+      description: "Two players, one screen - first right answer wins",
+      icon: "🏁",
+      path: "/race",
+      difficulty: "Medium",
+    },
     {
       title: "Speed Run",
       description: "Go super fast!",
@@ -145,13 +196,37 @@ export default function HomePage() {
           }`}>
             Choose Your Challenge
           </h2>
+
+          {/* forms: pack picker (only shown once a pack is imported in Settings) */}
+          {packs.length > 1 && (
+            <div className="flex flex-col sm:flex-row items-center justify-center gap-3 mb-8">
+              <label
+                htmlFor="pack-picker"
+                className={`font-medium ${isDark ? 'text-slate-300' : 'text-gray-700'}`}
+              >
+                📦 Question pack
+              </label>
+              <select
+                id="pack-picker"
+                value={packId}
+                onChange={(e) => setPackId(e.target.value)}
+                className={`rounded-lg border px-3 py-2 focus:outline-none focus:ring-2 focus:ring-green-500 ${
+                  isDark ? 'bg-slate-800 border-slate-700 text-white' : 'bg-white border-gray-300 text-gray-900'
+                }`}
+              >
+                {packs.map(pack => (
+                  <option key={pack.id} value={pack.id}>{pack.name}</option>
+                ))}
+              </select>
+            </div>
+          )}
           
           <div className="grid md:grid-cols-2 lg:grid-cols-4 gap-6">
             {gameFeatures.map((feature, index) => (
               // routing link
               <Link
                 key={index}
-                to={feature.path}
+                to={withPack(feature.path)}
                 className={`group backdrop-blur-lg rounded-2xl p-6 border transition-all duration-300 transform hover:scale-105 hover:shadow-2xl ${
                   isDark 
                     ? 'bg-slate-800/90 border-slate-700 hover:border-green-500' 
@@ -196,7 +271,7 @@ export default function HomePage() {
           <div className="flex flex-col sm:flex-row gap-4 justify-center items-center">
             {/* routing link */}
             <Link
-              to="/game"
+              to={withPack('/game')}
               aria-label="Start playing the color game"
               className="bg-green-600 hover:bg-green-700 text-white font-bold py-5 px-10 rounded-2xl text-xl transition-all duration-300 shadow-lg hover:shadow-2xl transform hover:scale-105 focus:outline-none focus:ring-4 focus:ring-green-400"
             >
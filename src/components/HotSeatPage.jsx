@@ -0,0 +1,147 @@
+/**
+ * HotSeatPage Component - Pass-and-play setup: 2-4 players enter their names, then take turns on one device
+ * Every player is a profile, so each keeps the game in their own history
+ */
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useProfiles } from '../hooks/useProfiles';
+import { PROFILE_AVATARS, PROFILE_COLORS, MAX_NAME_LENGTH, createProfile } from '../utils/profiles';
+import EnhancedGameScreen from './EnhancedGameScreen';
+import ProfileAvatar from './ProfileAvatar';
+
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 4;
+
+const COLOR_NAMES = Object.keys(PROFILE_COLORS);
+
+// Same name, ignoring case and surrounding spaces
+const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+export default function HotSeatPage() {
+  const { profiles, activeProfile } = useProfiles();
+  // state: names typed so far (the active player first) and, once started, the players
+  const [names, setNames] = useState(() => [activeProfile.name, '']);
+  const [players, setPlayers] = useState(null);
+  const [error, setError] = useState('');
+
+  // derived data: the profile each name belongs to, if any
+  const findProfile = (name) => profiles.find(profile => sameName(profile.name, name));
+
+  // events: edit, add and remove name rows
+  const setName = (index, name) => setNames(names.map((current, i) => (i === index ? name : current)));
+  const addPlayer = () => setNames([...names, '']);
+  const removePlayer = (index) => setNames(names.filter((_, i) => i !== index));
+
+  // events: resolve every name to a profile (new names become profiles) and start
+  const handleStart = (e) => {
+    e.preventDefault();
+    if (names.some(name => !name.trim())) {
+      setError('Every player needs a name');
+      return;
+    }
+    if (names.some((name, index) => names.findIndex(other => sameName(other, name)) !== index)) {
+      setError('Each player needs a different name');
+      return;
+    }
+    setPlayers(names.map((name, index) => findProfile(name) || createProfile({
+      name,
+      avatar: PROFILE_AVATARS[(profiles.length + index) % PROFILE_AVATARS.length],
+      color: COLOR_NAMES[(profiles.length + index) % COLOR_NAMES.length],
+    })));
+  };
+
+  if (players) {
+    return <EnhancedGameScreen mode="hotseat" players={players} />;
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-900 flex items-center justify-center p-4">
+      <form
+        onSubmit={handleStart}
+        className="bg-gray-800/95 backdrop-blur-lg rounded-3xl shadow-2xl border border-gray-700 p-8 max-w-xl w-full"
+      >
+        <div className="text-center mb-6">
+          <div className="inline-block p-4 bg-purple-600 rounded-full mb-4 shadow-lg">
+            <span className="text-4xl md:text-5xl">👫</span>
+          </div>
+          <h2 className="text-2xl md:text-4xl font-extrabold text-purple-400 mb-2">Pass & Play</h2>
+          <p className="text-gray-300">Take turns on this device. Everyone gets the same colors, so it's a fair race!</p>
+        </div>
+
+        {/* suggestions: existing profiles */}
+        <datalist id="hotseat-profiles">
+          {profiles.map(profile => <option key={profile.id} value={profile.name} />)}
+        </datalist>
+
+        <div className="space-y-3 mb-4">
+          {/* list & keys: one row per player, in turn order */}
+          {names.map((name, index) => {
+            const profile = findProfile(name);
+            return (
+              <div key={index} className="flex items-center gap-3">
+                {profile ? (
+                  <ProfileAvatar profile={profile} />
+                ) : (
+                  <span className="w-12 h-12 shrink-0 rounded-full bg-gray-700 flex items-center justify-center text-xl font-bold text-gray-300">
+                    {index + 1}
+                  </span>
+                )}
+                {/* forms: controlled input */}
+                <input
+                  value={name}
+                  onChange={(e) => setName(index, e.target.value)}
+                  list="hotseat-profiles"
+                  maxLength={MAX_NAME_LENGTH}
+                  autoComplete="off"
+                  placeholder={`Player ${index + 1}`}
+                  aria-label={`Player ${index + 1} name`}
+                  className="flex-1 rounded-xl border-2 px-4 py-3 text-lg font-bold bg-gray-800 border-gray-700 text-white focus:outline-none focus:border-purple-500"
+                />
+                {names.length > MIN_PLAYERS && (
+                  <button
+                    type="button"
+                    onClick={() => removePlayer(index)}
+                    aria-label={`Remove player ${index + 1}`}
+                    className="text-gray-400 hover:text-red-400 text-xl px-2"
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        {names.length < MAX_PLAYERS && (
+          <button
+            type="button"
+            onClick={addPlayer}
+            className="w-full border-2 border-dashed border-gray-600 hover:border-purple-500 text-gray-300 font-semibold py-2 rounded-xl transition-colors mb-4"
+          >
+            + Add Player
+          </button>
+        )}
+
+        <p className="text-sm text-gray-400 mb-4">New names are added as players on this device, so everyone's scores are kept.</p>
+        {error && <p role="alert" className="text-sm text-red-400 mb-4">{error}</p>}
+
+        <div className="flex flex-col sm:flex-row gap-3">
+          <button
+            type="submit"
+            className="flex-1 bg-purple-600 hover:bg-purple-700 text-white font-bold py-3 px-6 rounded-xl transition-colors"
+          >
+            ▶️ Start Game
+          </button>
+          {/* routing link */}
+          <Link
+            to="/"
+            className="bg-gray-600 hover:bg-gray-700 text-white font-bold py-3 px-6 rounded-xl transition-colors text-center"
+          >
+            🏠 Home
+          </Link>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -6,6 +6,8 @@
 import React, { useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { useTheme } from '../hooks/useTheme';
+import AchievementToast from './AchievementToast';
+import ProfileSwitcher from './ProfileSwitcher';
 
 export default function Layout({ children }) {
   // router hook: current location
@@ -18,7 +20,9 @@ export default function Layout({ children }) {
   const navigation = [
     { path: '/', label: 'Home', icon: '🏠' },
     { path: '/game', label: 'Play Game', icon: '🎮' },
+    { path: '/daily', label: 'Daily', icon: '📅' },
     { path: '/statistics', label: 'Stats', icon: '📊' },
+    { path: '/leaderboard', label: 'Leaders', icon: '🏆' },
     { path: '/settings', label: 'Settings', icon: '⚙️' },
   ];
 
@@ -67,15 +71,20 @@ export default function Layout({ children }) {
               })}
             </div>
 
-            {/* Mobile Navigation Button */}
-            <div className="md:hidden">
-              {/* event: hamburger toggle */}
-              <button 
-                onClick={() => setIsMobileMenuOpen(!isMobileMenuOpen)}
-                className="p-2 transition-colors text-gray-900 hover:text-gray-900"
-              >
-                <span className="text-xl">☰</span>
-              </button>
+            <div className="flex items-center space-x-2">
+              {/* Profile Switcher: who is playing */}
+              <ProfileSwitcher />
+
+              {/* Mobile Navigation Button */}
+              <div className="md:hidden">
+                {/* event: hamburger toggle */}
+                <button 
+                  onClick={() => setIsMobileMenuOpen(!isMobileMenuOpen)}
+                  className="p-2 transition-colors text-gray-900 hover:text-gray-900"
+                >
+                  <span className="text-xl">☰</span>
+                </button>
+              </div>
             </div>
           </div>
         </div>
@@ -115,6 +124,9 @@ export default function Layout({ children }) {
       <main>
         {children}
       </main>
+
+      {/* achievements: unlock announcements */}
+      <AchievementToast />
     </div>
   );
 }
@@ -0,0 +1,65 @@
+/**
+ * LeaderboardEntry Component - End-screen banner for a game that made its mode's leaderboard
+ * The player can put a name on the place (the active profile's name to start with)
+ */
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { updateGameResult } from '../utils/history';
+import { MAX_NAME_LENGTH } from '../utils/profiles';
+
+export default function LeaderboardEntry({ resultId, rank, defaultName }) {
+  // state: name typed and whether it has been saved
+  const [name, setName] = useState(defaultName);
+  const [saved, setSaved] = useState(false);
+  const [error, setError] = useState('');
+
+  // persistence: store the name on the saved result
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) {
+      setError('Please enter a name');
+      return;
+    }
+    try {
+      await updateGameResult(resultId, { leaderboardName: name.trim() });
+      setSaved(true);
+    } catch {
+      setError('Could not save the name, please try again');
+    }
+  };
+
+  return (
+    <div className="bg-yellow-500/10 border border-yellow-500/40 rounded-2xl p-4 mb-6">
+      <p className="text-lg font-bold text-yellow-300 mb-3">🏆 You made the leaderboard at #{rank}!</p>
+      {saved ? (
+        // routing link
+        <Link to="/leaderboard" className="text-yellow-300 underline font-semibold">
+          See the leaderboard →
+        </Link>
+      ) : (
+        <form onSubmit={handleSubmit} className="flex flex-col sm:flex-row gap-2">
+          {/* forms: controlled input */}
+          <input
+            value={name}
+            onChange={(e) => {
+              setName(e.target.value);
+              setError('');
+            }}
+            maxLength={MAX_NAME_LENGTH}
+            autoComplete="off"
+            aria-label="Name for the leaderboard"
+            className="flex-1 rounded-xl border-2 px-4 py-2 font-bold bg-gray-800 border-gray-600 text-white focus:outline-none focus:border-yellow-500"
+          />
+          <button
+            type="submit"
+            className="bg-yellow-500 hover:bg-yellow-600 text-gray-900 font-bold py-2 px-5 rounded-xl transition-colors"
+          >
+            Save Name
+          </button>
+        </form>
+      )}
+      {error && <p role="alert" className="text-sm text-red-400 mt-2">{error}</p>}
+    </div>
+  );
+}
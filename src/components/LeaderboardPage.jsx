@@ -0,0 +1,137 @@
+/**
+ * LeaderboardPage Component - Top results per mode from every player on this device
+ * Classic ranks by percentage, Speed Run by completion time, Timed by score, Survival by run length
+ */
+
+import React, { useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useHistory } from '../hooks/useHistory';
+import { useProfiles } from '../hooks/useProfiles';
+import { LEADERBOARDS, LEADERBOARD_MODES, PERIODS, getEntryName, getLeaderboard } from '../utils/leaderboard';
+import { getGameModeInfo } from '../utils/modes';
+import ProfileAvatar from './ProfileAvatar';
+
+const RANK_MEDALS = ['🥇', '🥈', '🥉'];
+
+export default function LeaderboardPage() {
+  // state: board shown (mode and period)
+  const [mode, setMode] = useState(LEADERBOARD_MODES[0]);
+  const [period, setPeriod] = useState('all');
+  // history of every profile for this mode, kept live by the history store
+  const { history, loading, error } = useHistory({ mode, profile: null });
+  const { profiles, activeProfile } = useProfiles();
+
+  // derived data: profile lookups and the ranked board
+  const profilesById = useMemo(() => Object.fromEntries(profiles.map(profile => [profile.id, profile])), [profiles]);
+  const profileNames = useMemo(() => Object.fromEntries(profiles.map(profile => [profile.id, profile.name])), [profiles]);
+  const entries = useMemo(() => getLeaderboard(history, mode, { period }), [history, mode, period]);
+
+  const board = LEADERBOARDS[mode];
+  const modeInfo = getGameModeInfo(mode);
+
+  return (
+    <div className="min-h-screen bg-gray-900 py-8">
+      <div className="max-w-3xl mx-auto px-4">
+        {/* Header */}
+        <div className="text-center mb-8">
+          <h1 className="text-4xl md:text-5xl font-bold text-white mb-4">
+            🏆 Leaderboard
+          </h1>
+          <p className="text-xl text-gray-300">
+            The best games played on this device
+          </p>
+        </div>
+
+        {/* Filters: one tab per mode, then the period */}
+        <div className="flex flex-wrap justify-center gap-2 mb-4" role="tablist" aria-label="Game mode">
+          {LEADERBOARD_MODES.map(boardMode => {
+            const info = getGameModeInfo(boardMode);
+            return (
+              <button
+                key={boardMode}
+                role="tab"
+                aria-selected={mode === boardMode}
+                onClick={() => setMode(boardMode)}
+                className={`px-4 py-2 rounded-xl font-semibold transition-colors flex items-center space-x-2 ${
+                  mode === boardMode ? 'bg-green-600 text-white' : 'bg-gray-800 text-gray-300 hover:bg-gray-700'
+                }`}
+              >
+                <span>{info.icon}</span>
+                <span>{info.name}</span>
+              </button>
+            );
+          })}
+        </div>
+
+        <div className="flex justify-center gap-2 mb-8" role="group" aria-label="Period">
+          {Object.entries(PERIODS).map(([key, { label }]) => (
+            <button
+              key={key}
+              aria-pressed={period === key}
+              onClick={() => setPeriod(key)}
+              className={`px-3 py-1 rounded-lg text-sm font-medium border transition-colors ${
+                period === key ? 'bg-blue-600 border-blue-500 text-white' : 'bg-gray-800 border-gray-700 text-gray-400 hover:text-white'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        {/* Board */}
+        <div className="bg-gray-800/80 backdrop-blur-sm rounded-2xl border border-gray-700 p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-xl font-bold text-white">{modeInfo.icon} {modeInfo.name}</h2>
+            <span className="text-sm text-gray-400">Ranked by {board.label.toLowerCase()}</span>
+          </div>
+
+          {loading ? (
+            <div className="flex justify-center py-12">
+              <div className="animate-spin w-8 h-8 border-4 border-green-500 border-t-transparent rounded-full"></div>
+            </div>
+          ) : error ? (
+            <p className="text-center py-12 text-red-400 font-semibold" role="alert">
+              ⚠️ Couldn't load the scores. Your browser's storage may be blocked or full.
+            </p>
+          ) : entries.length === 0 ? (
+            <div className="text-center py-12">
+              <p className="text-gray-400 mb-6">No {modeInfo.name} games {period === 'all' ? 'yet' : PERIODS[period].label.toLowerCase()}. Be the first!</p>
+              {/* routing link */}
+              <Link
+                to={mode === 'classic' ? '/game' : `/game?mode=${mode}`}
+                className="bg-green-600 hover:bg-green-700 text-white font-bold py-3 px-6 rounded-xl transition-colors inline-flex items-center space-x-2"
+              >
+                <span>🎮</span>
+                <span>Play {modeInfo.name}</span>
+              </Link>
+            </div>
+          ) : (
+            <ol className="space-y-2">
+              {/* list & keys: ranked results, the active player's highlighted */}
+              {entries.map(({ result, value, rank }) => {
+                const profile = profilesById[result.profile];
+                const isMine = result.profile === activeProfile.id;
+                return (
+                  <li
+                    key={result.id}
+                    className={`flex items-center gap-3 rounded-xl px-4 py-3 border ${
+                      isMine ? 'bg-green-900/30 border-green-700' : 'bg-gray-700/40 border-gray-700'
+                    }`}
+                  >
+                    <span className="text-2xl w-8 text-center font-bold text-gray-300">{RANK_MEDALS[rank - 1] || rank}</span>
+                    {profile && <ProfileAvatar profile={profile} size="sm" />}
+                    <div className="flex-1 min-w-0">
+                      <p className="font-bold text-white truncate">{getEntryName(result, profileNames)}</p>
+                      <p className="text-xs text-gray-400">{new Date(result.timestamp).toLocaleDateString()} · {result.difficulty}</p>
+                    </div>
+                    <span className="text-lg font-bold text-green-400">{board.format(value)}</span>
+                  </li>
+                );
+              })}
+            </ol>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
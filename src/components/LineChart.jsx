@@ -0,0 +1,62 @@
+/**
+ * LineChart Component - Dependency-free SVG line chart on a 0-max scale
+ * Scales to its container's width; every line has one value per x position
+ * Grid and labels are drawn in the surrounding text color
+ */
+
+import React from 'react';
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 12, right: 12, bottom: 28, left: 40 };
+const GRID_STEPS = 4;
+
+export default function LineChart({ lines, xLabels = [], maxValue = 100, formatValue = String, title }) {
+  const count = Math.max(...lines.map(line => line.values.length), 0);
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  // derived data: value -> position (a single point sits in the middle)
+  const x = (index) => PADDING.left + (count > 1 ? (index / (count - 1)) * plotWidth : plotWidth / 2);
+  const y = (value) => PADDING.top + plotHeight - (Math.min(value, maxValue) / maxValue) * plotHeight;
+  const gridValues = Array.from({ length: GRID_STEPS + 1 }, (_, step) => (maxValue / GRID_STEPS) * step);
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto" role="img" aria-label={title}>
+      <title>{title}</title>
+
+      {/* grid & y axis labels */}
+      {gridValues.map(value => (
+        <g key={value}>
+          <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y(value)} y2={y(value)} stroke="currentColor" strokeOpacity="0.2" strokeWidth="1" />
+          <text x={PADDING.left - 6} y={y(value) + 4} textAnchor="end" fontSize="11" fill="currentColor">{formatValue(value)}</text>
+        </g>
+      ))}
+
+      {/* x axis labels: first, middle and last */}
+      {[...new Set([0, Math.floor((count - 1) / 2), count - 1])].filter(index => index >= 0 && xLabels[index]).map(index => (
+        <text key={index} x={x(index)} y={HEIGHT - 8} textAnchor="middle" fontSize="11" fill="currentColor">{xLabels[index]}</text>
+      ))}
+
+      {/* list & keys: one polyline per series, with dots when there are few points */}
+      {lines.map(line => (
+        <g key={line.key}>
+          <polyline
+            points={line.values.map((value, index) => `${x(index)},${y(value)}`).join(' ')}
+            fill="none"
+            stroke={line.color}
+            strokeWidth={line.dashed ? 2 : 2.5}
+            strokeDasharray={line.dashed ? '6 4' : undefined}
+            strokeLinejoin="round"
+            strokeLinecap="round"
+          />
+          {!line.dashed && count <= 30 && line.values.map((value, index) => (
+            <circle key={index} cx={x(index)} cy={y(value)} r="3" fill={line.color}>
+              <title>{`${xLabels[index] ? `${xLabels[index]}: ` : ''}${formatValue(value)}`}</title>
+            </circle>
+          ))}
+        </g>
+      ))}
+    </svg>
+  );
+}
@@ -0,0 +1,112 @@
+/**
+ * OptionGrid Component - Answer option buttons (pictures or shade swatches) with answer highlighting
+ * Shared by the game screen and the question pack editor preview
+ * Works for one pick or several ("select all that match" rounds) and labels keyboard shortcuts (race mode)
+ */
+
+import React from 'react';
+import ColorSwatch from './ColorSwatch';
+
+// Option grid layout per number of options
+const GRID_COLUMNS = {
+  2: 'grid-cols-2 max-w-xl',
+  3: 'grid-cols-3 max-w-3xl',
+  4: 'grid-cols-2 md:grid-cols-4 max-w-4xl',
+  5: 'grid-cols-3 md:grid-cols-5 max-w-5xl',
+  6: 'grid-cols-3 max-w-3xl',
+  7: 'grid-cols-3 md:grid-cols-4 max-w-4xl',
+  8: 'grid-cols-3 md:grid-cols-4 max-w-4xl',
+  9: 'grid-cols-3 max-w-3xl',
+};
+
+export default function OptionGrid({
+  options,
+  selectedOptions = [],
+  isAnswered,
+  hiddenOptions = [],
+  glowCorrect = false,
+  showLabels = true,
+  keyLabels = null,
+  disabled = false,
+  onSelect,
+}) {
+  return (
+    <div className={`grid ${GRID_COLUMNS[options.length] || GRID_COLUMNS[3]} gap-4 mb-6 mx-auto`}>
+      {options.map((option, index) => {
+        const isSelected = selectedOptions.includes(index);
+        const isCorrectOption = option.isCorrect;
+        // after answering: reveal answers that weren't picked, mark picks right or wrong;
+        // before that, picks of a multi-answer round are only marked as picked
+        const shouldHighlightCorrect = isAnswered && !isSelected && isCorrectOption;
+        const shouldHighlightWrong = isAnswered && isSelected && !isCorrectOption;
+        const shouldHighlightSelectedCorrect = isAnswered && isSelected && isCorrectOption;
+        const isPicked = !isAnswered && isSelected;
+        // hints: 50/50 hides a distractor, glow pulses the answer
+        const isHidden = hiddenOptions.includes(index);
+        const shouldGlow = !isAnswered && isCorrectOption && glowCorrect;
+
+        return (
+          // list & keys: answer options
+          <button
+            key={index}
+            onClick={() => onSelect(index)}
+            aria-label={option.label}
+            aria-pressed={isAnswered ? undefined : isSelected}
+            aria-keyshortcuts={keyLabels?.[index]}
+            disabled={isAnswered || isHidden || disabled}
+            className={`group relative rounded-2xl shadow-xl p-4 border-2 transition-all duration-300 transform hover:scale-105 ${
+              isHidden ? 'invisible' : ''
+            } ${shouldGlow ? 'ring-4 ring-yellow-400 animate-pulse' : ''} ${
+              shouldHighlightCorrect || shouldHighlightSelectedCorrect
+                ? 'bg-green-600/90 border-green-400'
+                : shouldHighlightWrong
+                ? 'bg-red-600/90 border-red-400'
+                : isPicked
+                ? 'bg-blue-600/80 border-blue-400'
+                : isAnswered
+                ? 'bg-gray-800/50 border-gray-600'
+                : 'bg-gray-800/90 border-gray-700 hover:border-green-500'
+            } ${isAnswered || disabled ? 'cursor-not-allowed' : 'cursor-pointer'}`}
+          >
+            {/* race mode: the key that picks this option */}
+            {keyLabels && (
+              <span className="absolute top-2 left-2 w-7 h-7 rounded-lg bg-gray-900/80 border border-gray-600 text-sm font-bold text-white flex items-center justify-center">
+                {keyLabels[index]}
+              </span>
+            )}
+            <div className="flex flex-col items-center">
+              <div className="w-16 h-16 md:w-20 md:h-20 mb-2 rounded-xl overflow-hidden shadow-xl">
+                {option.hex ? (
+                  <ColorSwatch
+                    hex={option.hex}
+                    className="w-full h-full transition-transform duration-300 group-hover:scale-110"
+                  />
+                ) : (
+                  <img
+                    src={option.image}
+                    alt={option.label}
+                    className="w-full h-full object-cover transition-transform duration-300 group-hover:scale-110"
+                  />
+                )}
+              </div>
+              {/* swatch names can be hidden so the color is recognized, not read */}
+              <span className={`text-sm font-bold text-center ${!showLabels ? 'invisible' : ''} ${
+                shouldHighlightCorrect || shouldHighlightSelectedCorrect
+                  ? 'text-green-100'
+                  : shouldHighlightWrong
+                  ? 'text-red-100'
+                  : isPicked
+                  ? 'text-blue-100'
+                  : isAnswered
+                  ? 'text-gray-400'
+                  : 'text-gray-200 group-hover:text-green-400'
+              }`}>
+                {option.label}
+              </span>
+            </div>
+          </button>
+        );
+      })}
+    </div>
+  );
+}
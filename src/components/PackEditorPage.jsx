@@ -0,0 +1,464 @@
+/**
+ * PackEditorPage Component - Build a question pack in the browser, preview a round and export it
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useTheme } from '../hooks/useTheme';
+import getShuffledQuestions from '../data';
+import {
+  EMPTY_PACK_DRAFT,
+  PACK_FORMAT,
+  PACK_VERSION,
+  installPack,
+  loadPackDraft,
+  savePackDraft,
+  toPackId,
+  validatePack,
+} from '../utils/packs';
+import { blobToDataUrl, deleteImage, getImage, putImage } from '../utils/imageStore';
+import OptionGrid from './OptionGrid';
+
+const newKey = () => `item-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+export default function PackEditorPage() {
+  const { isDark } = useTheme();
+
+  // state: the draft is saved on every change, images live in IndexedDB
+  const [draft, setDraft] = useState(loadPackDraft);
+  const [imageUrls, setImageUrls] = useState({});
+  const urlsRef = useRef({});
+  // state: image uploads that could not be stored, by item key
+  const [uploadErrors, setUploadErrors] = useState({});
+
+  // state: new color form, preview round and export outcome
+  const [newColor, setNewColor] = useState({ name: '', hex: '#22c55e' });
+  const [preview, setPreview] = useState(null);
+  const [exportErrors, setExportErrors] = useState([]);
+  const [exportMessage, setExportMessage] = useState('');
+
+  // effect: persist the draft
+  useEffect(() => {
+    savePackDraft(draft);
+  }, [draft]);
+
+  // effect: load previews for images uploaded in earlier sessions, revoke them on leave
+  useEffect(() => {
+    const urls = urlsRef.current;
+    let cancelled = false;
+
+    Promise.all(loadPackDraft().items.filter(item => item.imageId).map(async ({ imageId }) => {
+      const blob = await getImage(imageId);
+      if (blob && !cancelled) urls[imageId] = URL.createObjectURL(blob);
+    })).then(() => {
+      if (!cancelled) setImageUrls({ ...urls });
+    });
+
+    return () => {
+      cancelled = true;
+      Object.values(urls).forEach(url => URL.revokeObjectURL(url));
+    };
+  }, []);
+
+  const packId = toPackId(draft.name);
+  const colorNames = draft.colors.map(color => color.name);
+  const trimmedColorName = newColor.name.trim().toLowerCase();
+  const canAddColor = trimmedColorName && !colorNames.includes(trimmedColorName);
+
+  // events: pack details
+  const updateDraft = (changes) => {
+    setDraft(current => ({ ...current, ...changes }));
+    setExportMessage('');
+  };
+
+  const updateItem = (key, changes) => {
+    setDraft(current => ({
+      ...current,
+      items: current.items.map(item => (item.key === key ? { ...item, ...changes } : item)),
+    }));
+    setExportMessage('');
+  };
+
+  // events: colors
+  const handleAddColor = (e) => {
+    e.preventDefault();
+    if (!canAddColor) return;
+    updateDraft({ colors: [...draft.colors, { name: trimmedColorName, hex: newColor.hex }] });
+    setNewColor({ ...newColor, name: '' });
+  };
+
+  const handleRemoveColor = (name) => {
+    updateDraft({
+      colors: draft.colors.filter(color => color.name !== name),
+      items: draft.items.map(item => ({ ...item, colors: item.colors.filter(colorName => colorName !== name) })),
+    });
+  };
+
+  // events: objects (each color an object is tagged with makes it a correct option for that color;
+  // untagged colors use it as a distractor)
+  const handleAddItem = () => {
+    updateDraft({ items: [...draft.items, { key: newKey(), label: '', imageId: null, colors: [], clue: '' }] });
+  };
+
+  const handleRemoveItem = (item) => {
+    if (item.imageId) deleteImage(item.imageId);
+    updateDraft({ items: draft.items.filter(other => other.key !== item.key) });
+  };
+
+  const toggleItemColor = (item, name) => {
+    const colors = item.colors.includes(name)
+      ? item.colors.filter(colorName => colorName !== name)
+      : [...item.colors, name];
+    updateItem(item.key, { colors });
+  };
+
+  const handleUploadImage = async (item, e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    let imageId;
+    try {
+      imageId = await putImage(file);
+    } catch (error) {
+      setUploadErrors(errors => ({ ...errors, [item.key]: `${file.name}: ${error.message}` }));
+      return;
+    }
+    setUploadErrors(errors => ({ ...errors, [item.key]: null }));
+    urlsRef.current[imageId] = URL.createObjectURL(file);
+    setImageUrls({ ...urlsRef.current });
+    if (item.imageId) deleteImage(item.imageId);
+    updateItem(item.key, { imageId, label: item.label || file.name.replace(/\.[^.]+$/, '') });
+  };
+
+  // events: preview one round with the same grid as the game
+  const handlePreview = () => {
+    const objects = draft.items
+      .filter(item => item.colors.length)
+      .map(item => ({ label: item.label || 'Untitled', image: imageUrls[item.imageId], colors: item.colors, clue: item.clue }));
+    const [question] = getShuffledQuestions({ colors: draft.colors, objects, questionCount: 1 });
+    setPreview(question ? { question, selectedOption: null } : { question: null });
+  };
+
+  // events: export (images are embedded as data URIs so the file is self-contained)
+  const buildPack = async () => {
+    const items = await Promise.all(draft.items.map(async item => {
+      const blob = item.imageId ? await getImage(item.imageId) : null;
+      return {
+        label: item.label,
+        image: blob ? await blobToDataUrl(blob) : '',
+        colors: item.colors,
+        ...(item.clue.trim() && { clue: item.clue.trim() }),
+      };
+    }));
+
+    return validatePack({
+      format: PACK_FORMAT,
+      version: PACK_VERSION,
+      id: packId,
+      name: draft.name,
+      description: draft.description,
+      author: draft.author,
+      colors: draft.colors,
+      items,
+    });
+  };
+
+  const handleExport = async () => {
+    const { pack, errors } = await buildPack();
+    setExportErrors(errors);
+    if (!pack) return;
+
+    const blob = new Blob([JSON.stringify(pack, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${pack.id}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+    setExportMessage(`Exported ${pack.id}.json`);
+  };
+
+  const handleInstall = async () => {
+    const { pack, errors } = await buildPack();
+    setExportErrors(errors);
+    if (!pack) return;
+
+    try {
+      installPack(pack);
+      setExportMessage(`"${pack.name}" is now in your packs - pick it on the Home page`);
+    } catch (error) {
+      setExportErrors([error.message]);
+    }
+  };
+
+  const handleStartOver = () => {
+    if (confirm('Discard this pack and its images?')) {
+      draft.items.forEach(item => item.imageId && deleteImage(item.imageId));
+      setDraft(EMPTY_PACK_DRAFT);
+      setPreview(null);
+      setExportErrors([]);
+      setExportMessage('');
+    }
+  };
+
+  const cardClass = `rounded-xl border p-6 ${isDark ? 'bg-slate-800/80 border-slate-700' : 'bg-white/80 border-gray-200'}`;
+  const headingClass = `text-xl font-semibold mb-4 ${isDark ? 'text-white' : 'text-gray-900'}`;
+  const labelClass = `block text-sm font-medium mb-2 ${isDark ? 'text-slate-300' : 'text-gray-700'}`;
+  const mutedClass = `text-sm ${isDark ? 'text-slate-400' : 'text-gray-500'}`;
+  const inputClass = `w-full rounded-lg border px-3 py-2 focus:outline-none focus:ring-2 focus:ring-green-500 ${
+    isDark ? 'bg-slate-900 border-slate-700 text-white' : 'bg-white border-gray-300 text-gray-900'
+  }`;
+  const secondaryButtonClass = `font-semibold py-2 px-4 rounded-lg transition-colors ${
+    isDark ? 'bg-slate-700 hover:bg-slate-600 text-white' : 'bg-gray-200 hover:bg-gray-300 text-gray-900'
+  }`;
+
+  return (
+    <div className={`min-h-screen transition-colors duration-300 ${isDark ? 'bg-slate-900' : 'bg-gray-50'}`}>
+      <div className="max-w-5xl mx-auto px-4 py-8">
+        <div className="flex items-center justify-between mb-6">
+          <h1 className={`text-3xl font-bold ${isDark ? 'text-white' : 'text-gray-900'}`}>Pack Editor</h1>
+          {/* routing link */}
+          <Link to="/settings" className="text-sm font-semibold text-green-500 hover:text-green-400">
+            ← Back to Settings
+          </Link>
+        </div>
+
+        <div className="space-y-6">
+          {/* Pack Details */}
+          <div className={cardClass}>
+            <h2 className={headingClass}>Pack Details</h2>
+            <div className="grid md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="pack-name" className={labelClass}>Name</label>
+                {/* forms: controlled inputs */}
+                <input
+                  id="pack-name"
+                  value={draft.name}
+                  onChange={(e) => updateDraft({ name: e.target.value })}
+                  placeholder="School Supplies"
+                  className={inputClass}
+                />
+                {packId && <p className={`${mutedClass} mt-1`}>Pack id: {packId}</p>}
+              </div>
+              <div>
+                <label htmlFor="pack-author" className={labelClass}>Author</label>
+                <input
+                  id="pack-author"
+                  value={draft.author}
+                  onChange={(e) => updateDraft({ author: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+              <div className="md:col-span-2">
+                <label htmlFor="pack-description" className={labelClass}>Description</label>
+                <input
+                  id="pack-description"
+                  value={draft.description}
+                  onChange={(e) => updateDraft({ description: e.target.value })}
+                  className={inputClass}
+                />
+              </div>
+            </div>
+          </div>
+
+          {/* Colors */}
+          <div className={cardClass}>
+            <h2 className={headingClass}>Colors</h2>
+            {/* list & keys: pack colors */}
+            <div className="flex flex-wrap gap-2 mb-4">
+              {draft.colors.map(color => (
+                <span
+                  key={color.name}
+                  className={`flex items-center gap-2 rounded-full px-3 py-1 text-sm ${isDark ? 'bg-slate-900 text-slate-200' : 'bg-gray-100 text-gray-900'}`}
+                >
+                  <span className="w-4 h-4 rounded-full border border-white/50" style={{ backgroundColor: color.hex }}></span>
+                  {color.name}
+                  <button
+                    onClick={() => handleRemoveColor(color.name)}
+                    aria-label={`Remove ${color.name}`}
+                    className="text-red-400 hover:text-red-300"
+                  >
+                    ✕
+                  </button>
+                </span>
+              ))}
+              {!draft.colors.length && <p className={mutedClass}>Add the colors players will be asked about.</p>}
+            </div>
+
+            {/* forms: add a color */}
+            <form onSubmit={handleAddColor} className="flex gap-2">
+              <input
+                type="color"
+                value={newColor.hex}
+                onChange={(e) => setNewColor({ ...newColor, hex: e.target.value })}
+                aria-label="Color shade"
+                className="h-10 w-14 rounded-lg cursor-pointer"
+              />
+              <input
+                value={newColor.name}
+                onChange={(e) => setNewColor({ ...newColor, name: e.target.value })}
+                placeholder="Color name, e.g. pink"
+                aria-label="Color name"
+                className={inputClass}
+              />
+              <button
+                type="submit"
+                disabled={!canAddColor}
+                className="bg-green-600 hover:bg-green-700 disabled:opacity-40 text-white font-semibold py-2 px-4 rounded-lg transition-colors"
+              >
+                Add
+              </button>
+            </form>
+          </div>
+
+          {/* Objects */}
+          <div className={cardClass}>
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h2 className={`text-xl font-semibold ${isDark ? 'text-white' : 'text-gray-900'}`}>Objects</h2>
+                <p className={mutedClass}>Tick the colors an object is a correct answer for; it is a wrong option for all others.</p>
+              </div>
+              <button onClick={handleAddItem} className="bg-green-600 hover:bg-green-700 text-white font-semibold py-2 px-4 rounded-lg transition-colors">
+                Add Object
+              </button>
+            </div>
+
+            {/* list & keys: pack objects */}
+            <div className="space-y-3">
+              {draft.items.map(item => (
+                <div
+                  key={item.key}
+                  className={`flex flex-col md:flex-row gap-4 rounded-lg p-4 ${isDark ? 'bg-slate-900/60' : 'bg-gray-100'}`}
+                >
+                  {/* forms: image upload (stored in IndexedDB) */}
+                  <label className="shrink-0 w-20 h-20 rounded-xl overflow-hidden border-2 border-dashed border-gray-500 flex items-center justify-center cursor-pointer">
+                    {imageUrls[item.imageId] ? (
+                      <img src={imageUrls[item.imageId]} alt={item.label} className="w-full h-full object-cover" />
+                    ) : (
+                      <span className={mutedClass}>📷 Upload</span>
+                    )}
+                    <input type="file" accept="image/*" onChange={(e) => handleUploadImage(item, e)} className="hidden" />
+                  </label>
+
+                  <div className="flex-1 space-y-2">
+                    <div className="flex gap-2">
+                      <input
+                        value={item.label}
+                        onChange={(e) => updateItem(item.key, { label: e.target.value })}
+                        placeholder="Label, e.g. Pencil"
+                        aria-label="Object label"
+                        className={inputClass}
+                      />
+                      <button
+                        onClick={() => handleRemoveItem(item)}
+                        className="text-sm font-semibold text-red-400 hover:text-red-300 px-2"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                    <input
+                      value={item.clue}
+                      onChange={(e) => updateItem(item.key, { clue: e.target.value })}
+                      placeholder="Clue hint (optional), e.g. You write with it"
+                      aria-label="Clue"
+                      className={inputClass}
+                    />
+                    <div className="flex flex-wrap gap-2">
+                      {draft.colors.map(color => {
+                        const isTagged = item.colors.includes(color.name);
+                        return (
+                          <button
+                            key={color.name}
+                            onClick={() => toggleItemColor(item, color.name)}
+                            aria-pressed={isTagged}
+                            className={`flex items-center gap-1 rounded-full px-3 py-1 text-xs font-semibold border transition-colors ${
+                              isTagged
+                                ? 'bg-green-600/20 text-green-400 border-green-600/50'
+                                : isDark ? 'text-slate-400 border-slate-700' : 'text-gray-500 border-gray-300'
+                            }`}
+                          >
+                            <span className="w-3 h-3 rounded-full" style={{ backgroundColor: color.hex }}></span>
+                            {isTagged ? '✓' : '✕'} {color.name}
+                          </button>
+                        );
+                      })}
+                    </div>
+                    {uploadErrors[item.key] && (
+                      <div className="rounded-lg border border-red-600/30 bg-red-600/10 p-3" role="alert">
+                        <p className="font-semibold text-red-400 text-sm mb-1">Couldn't store this image:</p>
+                        <p className="text-sm font-mono text-red-400">{uploadErrors[item.key]}</p>
+                      </div>
+                    )}
+                  </div>
+                </div>
+              ))}
+              {!draft.items.length && <p className={mutedClass}>No objects yet.</p>}
+            </div>
+          </div>
+
+          {/* Preview */}
+          <div className={cardClass}>
+            <div className="flex items-center justify-between mb-4">
+              <h2 className={`text-xl font-semibold ${isDark ? 'text-white' : 'text-gray-900'}`}>Preview</h2>
+              <button onClick={handlePreview} className={secondaryButtonClass}>
+                {preview ? 'Another Round' : 'Preview a Round'}
+              </button>
+            </div>
+
+            {preview && !preview.question && (
+              <p className={mutedClass}>Tag at least one object with a color to build a round.</p>
+            )}
+
+            {/* conditional rendering: one round rendered like the game screen */}
+            {preview?.question && (
+              <div className="bg-gray-900 rounded-2xl p-6 text-center">
+                <div
+                  className="w-24 h-24 mx-auto mb-3 rounded-2xl shadow-2xl border-4 border-white/70"
+                  style={{ backgroundColor: preview.question.hex }}
+                ></div>
+                <p className="text-xl font-extrabold text-gray-200 mb-6">{preview.question.color.toUpperCase()}</p>
+                <OptionGrid
+                  options={preview.question.options}
+                  selectedOptions={preview.selectedOption !== null ? [preview.selectedOption] : []}
+                  isAnswered={preview.selectedOption !== null}
+                  onSelect={(optionIndex) => setPreview({ ...preview, selectedOption: optionIndex })}
+                />
+              </div>
+            )}
+          </div>
+
+          {/* Export */}
+          <div className={cardClass}>
+            <h2 className={headingClass}>Export</h2>
+
+            {exportMessage && <p className="mb-4 text-sm font-medium text-green-500">✅ {exportMessage}</p>}
+
+            {exportErrors.length > 0 && (
+              <div className="mb-4 rounded-lg border border-red-600/30 bg-red-600/10 p-4" role="alert">
+                <p className="font-semibold text-red-400 mb-2">Fix these before exporting:</p>
+                <ul className="list-disc list-inside space-y-1 text-sm font-mono text-red-400">
+                  {exportErrors.map((error, index) => (
+                    <li key={index}>{error}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            <div className="flex flex-col sm:flex-row gap-3">
+              <button onClick={handleExport} className="bg-green-600 hover:bg-green-700 text-white font-semibold py-2 px-4 rounded-lg transition-colors">
+                Download Pack
+              </button>
+              <button onClick={handleInstall} className="bg-purple-600 hover:bg-purple-700 text-white font-semibold py-2 px-4 rounded-lg transition-colors">
+                Add to My Packs
+              </button>
+              <button onClick={handleStartOver} className={secondaryButtonClass}>
+                Start Over
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+/**
+ * PaintMixer Component - Drag (or tap) paint drops into a canvas bowl and submit the mix
+ * The bowl shows the pigment-style mix live; see utils/pigments.js
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { PAINTS, mixPaints } from '../utils/pigments';
+
+// Pointer travel that turns a press into a drag (px)
+const DRAG_THRESHOLD = 6;
+
+const BOWL_SIZE = 200;
+const EMPTY_BOWL = '#f3f4f6';
+
+// Recipe text, e.g. "2 red + 1 white"
+const formatRecipe = (drops) =>
+  Object.entries(drops).map(([name, count]) => `${count} ${name}`).join(' + ');
+
+export default function PaintMixer({ palette, recipe, disabled, onSubmit }) {
+  // state: drops in the bowl (in order, for undo) and the drop being dragged
+  const [drops, setDrops] = useState([]);
+  const [drag, setDrag] = useState(null);
+  const bowlRef = useRef(null);
+  const dragStartRef = useRef(null);
+  const draggedRef = useRef(false);
+
+  const paints = PAINTS.filter(paint => palette.includes(paint.name));
+  const counts = drops.reduce((total, name) => ({ ...total, [name]: (total[name] || 0) + 1 }), {});
+  const mixHex = mixPaints(counts);
+
+  // effect: draw the bowl with the current mix
+  useEffect(() => {
+    const canvas = bowlRef.current;
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    const center = BOWL_SIZE / 2;
+
+    ctx.clearRect(0, 0, BOWL_SIZE, BOWL_SIZE);
+
+    // bowl rim
+    ctx.beginPath();
+    ctx.arc(center, center, center - 4, 0, Math.PI * 2);
+    ctx.fillStyle = '#d1d5db';
+    ctx.fill();
+
+    // paint surface
+    ctx.beginPath();
+    ctx.arc(center, center, center - 18, 0, Math.PI * 2);
+    ctx.fillStyle = mixHex || EMPTY_BOWL;
+    ctx.fill();
+
+    // gloss
+    ctx.beginPath();
+    ctx.ellipse(center - 30, center - 35, 28, 12, -Math.PI / 5, 0, Math.PI * 2);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.35)';
+    ctx.fill();
+  }, [mixHex]);
+
+  const addDrop = (paint) => {
+    if (!disabled) setDrops(current => [...current, paint.name]);
+  };
+
+  // events: drag a drop with pointer events (mouse, pen and touch)
+  const handlePointerDown = (paint, e) => {
+    if (disabled) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragStartRef.current = { x: e.clientX, y: e.clientY };
+    draggedRef.current = false;
+    setDrag({ paint, x: e.clientX, y: e.clientY, moving: false });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drag) return;
+    const start = dragStartRef.current;
+    const moving = drag.moving || Math.hypot(e.clientX - start.x, e.clientY - start.y) > DRAG_THRESHOLD;
+    setDrag({ ...drag, x: e.clientX, y: e.clientY, moving });
+  };
+
+  const handlePointerUp = (e) => {
+    if (!drag) return;
+    if (drag.moving) {
+      draggedRef.current = true;                            // the click that follows is not a tap
+      const rect = bowlRef.current.getBoundingClientRect();
+      const overBowl = e.clientX >= rect.left && e.clientX <= rect.right && e.clientY >= rect.top && e.clientY <= rect.bottom;
+      if (overBowl) addDrop(drag.paint);
+    }
+    setDrag(null);
+  };
+
+  // events: tapping or pressing Enter on a paint also adds a drop
+  const handleClick = (paint) => {
+    if (draggedRef.current) {
+      draggedRef.current = false;
+      return;
+    }
+    addDrop(paint);
+  };
+
+  return (
+    <div className="flex flex-col items-center mb-6">
+      {/* Paint palette */}
+      <div className="flex flex-wrap justify-center gap-3 mb-4">
+        {/* list & keys: paints */}
+        {paints.map(paint => (
+          <button
+            key={paint.name}
+            onPointerDown={(e) => handlePointerDown(paint, e)}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={() => setDrag(null)}
+            onClick={() => handleClick(paint)}
+            disabled={disabled}
+            aria-label={`Add a drop of ${paint.name}`}
+            className="flex flex-col items-center touch-none select-none disabled:opacity-40"
+          >
+            <span
+              className="w-12 h-12 rounded-full rounded-tr-none rotate-[-45deg] border-2 border-white/70 shadow-lg transition-transform hover:scale-110 cursor-grab"
+              style={{ backgroundColor: paint.hex }}
+            ></span>
+            <span className="text-xs font-semibold text-gray-300 mt-2 capitalize">{paint.name}</span>
+          </button>
+        ))}
+      </div>
+
+      {/* Bowl */}
+      <canvas
+        ref={bowlRef}
+        width={BOWL_SIZE}
+        height={BOWL_SIZE}
+        className={`w-40 h-40 md:w-48 md:h-48 rounded-full transition-transform ${drag?.moving ? 'scale-105 ring-4 ring-green-400/60' : ''}`}
+        aria-label={drops.length ? `Bowl with ${formatRecipe(counts)}` : 'Empty bowl'}
+      />
+      <p className="text-sm text-gray-400 mt-2 h-5">
+        {drops.length ? formatRecipe(counts) : 'Drag paint into the bowl'}
+      </p>
+
+      {/* Controls / result */}
+      {disabled ? (
+        <p className="text-sm text-gray-300 mt-3">
+          Recipe: <span className="font-semibold capitalize">{formatRecipe(recipe)}</span>
+        </p>
+      ) : (
+        <div className="flex gap-3 mt-3">
+          <button
+            onClick={() => setDrops(drops.slice(0, -1))}
+            disabled={!drops.length}
+            className="bg-gray-700 hover:bg-gray-600 disabled:opacity-40 text-white font-semibold py-2 px-4 rounded-xl transition-colors"
+          >
+            ↩️ Undo
+          </button>
+          <button
+            onClick={() => setDrops([])}
+            disabled={!drops.length}
+            className="bg-gray-700 hover:bg-gray-600 disabled:opacity-40 text-white font-semibold py-2 px-4 rounded-xl transition-colors"
+          >
+            🫗 Empty
+          </button>
+          <button
+            onClick={() => onSubmit(mixHex)}
+            disabled={!drops.length}
+            className="bg-green-600 hover:bg-green-700 disabled:opacity-40 text-white font-bold py-2 px-6 rounded-xl transition-colors"
+          >
+            🎨 Done Mixing
+          </button>
+        </div>
+      )}
+
+      {/* Drop following the pointer while dragging */}
+      {drag?.moving && (
+        <span
+          className="fixed w-10 h-10 rounded-full rounded-tr-none rotate-[-45deg] border-2 border-white/70 shadow-xl pointer-events-none z-50 -translate-x-1/2 -translate-y-1/2"
+          style={{ left: drag.x, top: drag.y, backgroundColor: drag.paint.hex }}
+        ></span>
+      )}
+    </div>
+  );
+}
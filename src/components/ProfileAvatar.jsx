@@ -0,0 +1,23 @@
+/**
+ * ProfileAvatar Component - A profile's avatar on its color, in a round badge
+ */
+
+import React from 'react';
+import { PROFILE_COLORS } from '../utils/profiles';
+
+const SIZES = {
+  sm: 'w-8 h-8 text-lg',
+  md: 'w-12 h-12 text-2xl',
+  lg: 'w-20 h-20 text-4xl',
+};
+
+export default function ProfileAvatar({ profile, size = 'md' }) {
+  return (
+    <span
+      aria-hidden="true"
+      className={`inline-flex items-center justify-center rounded-full shrink-0 ${PROFILE_COLORS[profile.color] || PROFILE_COLORS.green} ${SIZES[size]}`}
+    >
+      {profile.avatar}
+    </span>
+  );
+}
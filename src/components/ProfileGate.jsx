@@ -0,0 +1,57 @@
+/**
+ * ProfileGate Component - "Who's playing?" picker shown before a game starts
+ * With a single profile there is nobody to choose, so the game starts straight away
+ */
+
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useTheme } from '../hooks/useTheme';
+import { useProfiles } from '../hooks/useProfiles';
+import { switchProfile } from '../utils/profiles';
+import ProfileAvatar from './ProfileAvatar';
+
+export default function ProfileGate({ children }) {
+  const { isDark } = useTheme();
+  const { profiles, activeProfile } = useProfiles();
+  // state: whether the player has been chosen (the game mounts only after that)
+  const [isChosen, setIsChosen] = useState(() => profiles.length <= 1);
+
+  // events: play as the chosen profile
+  const handlePick = (profileId) => {
+    switchProfile(profileId);
+    setIsChosen(true);
+  };
+
+  if (isChosen) return children;
+
+  return (
+    <div className={`min-h-screen flex items-center justify-center px-4 py-8 transition-colors duration-300 ${isDark ? 'bg-slate-900' : 'bg-gray-50'}`}>
+      <div className="w-full max-w-2xl text-center">
+        <h1 className={`text-4xl font-extrabold mb-2 ${isDark ? 'text-white' : 'text-gray-900'}`}>Who's playing?</h1>
+        <p className={`mb-8 ${isDark ? 'text-slate-400' : 'text-gray-500'}`}>Pick your player so the score goes to the right place</p>
+
+        <div className="grid grid-cols-2 sm:grid-cols-3 gap-4">
+          {/* list & keys: one big button per profile, the last player first in focus */}
+          {profiles.map(profile => (
+            <button
+              key={profile.id}
+              onClick={() => handlePick(profile.id)}
+              autoFocus={profile.id === activeProfile.id}
+              className={`flex flex-col items-center space-y-3 rounded-2xl border-2 p-6 transition-all hover:scale-105 focus:outline-none focus:ring-4 focus:ring-green-500 ${
+                isDark ? 'bg-slate-800 border-slate-700 text-white' : 'bg-white border-gray-200 text-gray-900'
+              }`}
+            >
+              <ProfileAvatar profile={profile} size="lg" />
+              <span className="text-lg font-semibold truncate max-w-full">{profile.name}</span>
+            </button>
+          ))}
+        </div>
+
+        {/* routing link */}
+        <Link to="/profiles" className={`inline-block mt-8 text-sm font-medium ${isDark ? 'text-green-400' : 'text-green-600'} hover:underline`}>
+          👥 Manage players
+        </Link>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,91 @@
+/**
+ * ProfileSwitcher Component - Nav bar menu showing who is playing, to switch profiles
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useTheme } from '../hooks/useTheme';
+import { useProfiles } from '../hooks/useProfiles';
+import { switchProfile } from '../utils/profiles';
+import ProfileAvatar from './ProfileAvatar';
+
+export default function ProfileSwitcher() {
+  const { isDark } = useTheme();
+  // state: profiles (live) and whether the menu is open
+  const { profiles, activeProfile } = useProfiles();
+  const [isOpen, setIsOpen] = useState(false);
+  const menuRef = useRef(null);
+
+  // effect: close the menu on a click outside it
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handleClick = (e) => {
+      if (!menuRef.current?.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [isOpen]);
+
+  // events: switch and close
+  const handleSwitch = (profileId) => {
+    switchProfile(profileId);
+    setIsOpen(false);
+  };
+
+  return (
+    <div ref={menuRef} className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        aria-haspopup="menu"
+        aria-expanded={isOpen}
+        aria-label={`Playing as ${activeProfile.name}. Switch profile`}
+        className={`flex items-center space-x-2 px-2 py-1 rounded-xl transition-colors ${
+          isDark ? 'hover:bg-slate-700' : 'hover:bg-gray-100'
+        }`}
+      >
+        <ProfileAvatar profile={activeProfile} size="sm" />
+        <span className={`hidden sm:inline text-sm font-medium max-w-[8rem] truncate ${isDark ? 'text-white' : 'text-gray-900'}`}>
+          {activeProfile.name}
+        </span>
+      </button>
+
+      {isOpen && (
+        <div
+          role="menu"
+          className={`absolute right-0 mt-2 w-56 rounded-xl border shadow-lg py-2 ${
+            isDark ? 'bg-slate-800 border-slate-700' : 'bg-white border-gray-200'
+          }`}
+        >
+          {/* list & keys: one row per profile, the active one marked */}
+          {profiles.map(profile => (
+            <button
+              key={profile.id}
+              role="menuitemradio"
+              aria-checked={profile.id === activeProfile.id}
+              onClick={() => handleSwitch(profile.id)}
+              className={`w-full flex items-center space-x-3 px-3 py-2 text-left text-sm transition-colors ${
+                isDark ? 'text-white hover:bg-slate-700' : 'text-gray-900 hover:bg-gray-100'
+              }`}
+            >
+              <ProfileAvatar profile={profile} size="sm" />
+              <span className="flex-1 truncate">{profile.name}</span>
+              {profile.id === activeProfile.id && <span className="text-green-500">✓</span>}
+            </button>
+          ))}
+          <div className={`my-2 border-t ${isDark ? 'border-slate-700' : 'border-gray-200'}`} />
+          {/* routing link */}
+          <Link
+            to="/profiles"
+            role="menuitem"
+            onClick={() => setIsOpen(false)}
+            className={`block px-3 py-2 text-sm font-medium transition-colors ${
+              isDark ? 'text-green-400 hover:bg-slate-700' : 'text-green-600 hover:bg-gray-100'
+            }`}
+          >
+            👥 Manage profiles
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,198 @@
+/**
+ * ProfilesPage Component - Add, edit, switch and delete player profiles
+ * Each profile keeps its own history, settings, theme, mastery and achievements
+ */
+
+import React, { useState } from 'react';
+import { useTheme } from '../hooks/useTheme';
+import { useProfiles } from '../hooks/useProfiles';
+import {
+  MAX_NAME_LENGTH, PROFILE_AVATARS, PROFILE_COLORS, createProfile, deleteProfile, switchProfile, updateProfile,
+} from '../utils/profiles';
+import ProfileAvatar from './ProfileAvatar';
+
+const NEW_PROFILE = { id: null, name: '', avatar: PROFILE_AVATARS[1], color: 'blue' };
+
+export default function ProfilesPage() {
+  const { isDark } = useTheme();
+  // state: profiles (live), the profile being added or edited, and the last form error
+  const { profiles, activeProfile } = useProfiles();
+  const [draft, setDraft] = useState(null);
+  const [error, setError] = useState('');
+
+  const openForm = (profile) => {
+    setDraft(profile);
+    setError('');
+  };
+
+  // events: save the form (a new profile becomes the active one)
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    try {
+      if (draft.id) {
+        updateProfile(draft.id, draft);
+      } else {
+        switchProfile(createProfile(draft).id);
+      }
+      setDraft(null);
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+  };
+
+  // events: delete with confirmation (only that profile's data goes)
+  const handleDelete = (profile) => {
+    if (confirm(`Delete ${profile.name}? Their game history, settings and progress will be removed. Other players keep theirs.`)) {
+      deleteProfile(profile.id).catch(deleteError => setError(deleteError.message));
+      if (draft?.id === profile.id) setDraft(null);
+    }
+  };
+
+  const cardClass = `rounded-xl border p-6 ${isDark ? 'bg-slate-800/80 border-slate-700' : 'bg-white/80 border-gray-200'}`;
+  const labelClass = `block text-sm font-medium mb-2 ${isDark ? 'text-slate-300' : 'text-gray-700'}`;
+
+  return (
+    <div className={`min-h-screen transition-colors duration-300 ${isDark ? 'bg-slate-900' : 'bg-gray-50'}`}>
+      <div className="max-w-4xl mx-auto px-4 py-8">
+        <div className="flex items-center justify-between mb-6">
+          <div>
+            <h1 className={`text-3xl font-bold ${isDark ? 'text-white' : 'text-gray-900'}`}>Players</h1>
+            <p className={`text-sm ${isDark ? 'text-slate-400' : 'text-gray-500'}`}>Everyone gets their own scores, settings and progress</p>
+          </div>
+          {!draft && (
+            <button
+              onClick={() => openForm(NEW_PROFILE)}
+              className="bg-green-600 hover:bg-green-700 text-white font-semibold py-2 px-4 rounded-lg transition-colors"
+            >
+              + Add Player
+            </button>
+          )}
+        </div>
+
+        {error && <p role="alert" className="mb-4 text-sm text-red-500">{error}</p>}
+
+        {/* Add / Edit form */}
+        {draft && (
+          <form onSubmit={handleSubmit} className={`${cardClass} mb-6 space-y-5`}>
+            <div className="flex items-center space-x-4">
+              <ProfileAvatar profile={draft} size="lg" />
+              <h2 className={`text-xl font-semibold ${isDark ? 'text-white' : 'text-gray-900'}`}>
+                {draft.id ? 'Edit Player' : 'New Player'}
+              </h2>
+            </div>
+
+            <div>
+              <label htmlFor="profile-name" className={labelClass}>Name</label>
+              {/* forms: controlled input */}
+              <input
+                id="profile-name"
+                value={draft.name}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                maxLength={MAX_NAME_LENGTH}
+                autoFocus
+                autoComplete="off"
+                className={`w-full rounded-lg border px-3 py-2 focus:outline-none focus:ring-2 focus:ring-green-500 ${
+                  isDark ? 'bg-slate-900 border-slate-700 text-white' : 'bg-white border-gray-300 text-gray-900'
+                }`}
+              />
+            </div>
+
+            <div>
+              <span className={labelClass}>Avatar</span>
+              <div className="flex flex-wrap gap-2" role="radiogroup" aria-label="Avatar">
+                {PROFILE_AVATARS.map(avatar => (
+                  <button
+                    key={avatar}
+                    type="button"
+                    role="radio"
+                    aria-checked={draft.avatar === avatar}
+                    onClick={() => setDraft({ ...draft, avatar })}
+                    className={`w-12 h-12 text-2xl rounded-xl border-2 transition-colors ${
+                      draft.avatar === avatar ? 'border-green-500' : isDark ? 'border-slate-700' : 'border-gray-200'
+                    }`}
+                  >
+                    {avatar}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <span className={labelClass}>Color</span>
+              <div className="flex flex-wrap gap-2" role="radiogroup" aria-label="Color">
+                {Object.entries(PROFILE_COLORS).map(([color, className]) => (
+                  <button
+                    key={color}
+                    type="button"
+                    role="radio"
+                    aria-checked={draft.color === color}
+                    aria-label={color}
+                    onClick={() => setDraft({ ...draft, color })}
+                    className={`w-10 h-10 rounded-full ${className} ${
+                      draft.color === color ? 'ring-4 ring-offset-2 ring-green-500' : ''
+                    } ${isDark ? 'ring-offset-slate-800' : 'ring-offset-white'}`}
+                  />
+                ))}
+              </div>
+            </div>
+
+            <div className="flex gap-3">
+              <button
+                type="submit"
+                disabled={!draft.name.trim()}
+                className="bg-green-600 hover:bg-green-700 disabled:opacity-40 text-white font-semibold py-2 px-4 rounded-lg transition-colors"
+              >
+                {draft.id ? 'Save' : 'Add Player'}
+              </button>
+              <button
+                type="button"
+                onClick={() => setDraft(null)}
+                className={`font-semibold py-2 px-4 rounded-lg transition-colors ${
+                  isDark ? 'bg-slate-700 hover:bg-slate-600 text-white' : 'bg-gray-200 hover:bg-gray-300 text-gray-900'
+                }`}
+              >
+                Cancel
+              </button>
+            </div>
+          </form>
+        )}
+
+        {/* Profile list */}
+        <div className="grid sm:grid-cols-2 gap-4">
+          {/* list & keys: profile cards */}
+          {profiles.map(profile => {
+            const isActive = profile.id === activeProfile.id;
+            return (
+              <div key={profile.id} className={`${cardClass} flex items-center space-x-4 ${isActive ? 'ring-2 ring-green-500' : ''}`}>
+                <ProfileAvatar profile={profile} size="lg" />
+                <div className="flex-1 min-w-0">
+                  <p className={`text-lg font-semibold truncate ${isDark ? 'text-white' : 'text-gray-900'}`}>{profile.name}</p>
+                  {isActive ? (
+                    <p className="text-sm text-green-500 font-medium">Playing now</p>
+                  ) : (
+                    <button onClick={() => switchProfile(profile.id)} className="text-sm font-medium text-blue-500 hover:underline">
+                      Play as {profile.name}
+                    </button>
+                  )}
+                  <div className="flex gap-3 mt-2 text-sm">
+                    <button
+                      onClick={() => openForm(profile)}
+                      className={isDark ? 'text-slate-300 hover:text-white' : 'text-gray-600 hover:text-gray-900'}
+                    >
+                      ✏️ Edit
+                    </button>
+                    {profiles.length > 1 && (
+                      <button onClick={() => handleDelete(profile)} className="text-red-500 hover:text-red-600">
+                        🗑️ Delete
+                      </button>
+                    )}
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -2,39 +2,62 @@
  * SettingsPage Component - Game settings and preferences
  */
 
-import React, { useEffect, useState } from 'react';
+import React, { useRef, useState } from 'react';
+import { Link } from 'react-router-dom';
 import { useTheme } from '../hooks/useTheme';
+import { useSettings } from '../hooks/useSettings';
+import { loadSettings, resetSettings } from '../utils/settings';
+import { clearHistory, loadHistory } from '../utils/history';
+import { playSound } from '../utils/audio';
+import { installPack, loadInstalledPacks, parsePack, removePack } from '../utils/packs';
 
 export default function SettingsPage() {
   const { isDark } = useTheme();
 
-  // state: settings
-  const [settings, setSettings] = useState({
-    difficulty: 'normal',
-    soundEnabled: true,
-    hintsEnabled: true,
-  });
-
-  // effect: load settings
-  useEffect(() => {
-    const savedSettings = localStorage.getItem('colorquest-settings');
-    if (savedSettings) {
-      setSettings(JSON.parse(savedSettings));
-    }
-  }, []);
-
-  // persistence: localStorage
-  const updateSetting = (key, value) => {
-    setSettings((prev) => {
-      const next = { ...prev, [key]: value };
-      localStorage.setItem('colorquest-settings', JSON.stringify(next));
-      return next;
-    });
-  };
+  // state: settings (persisted to localStorage and shared live with the game screens)
+  const { settings, updateSetting } = useSettings();
 
   // events: toggle switches
   const toggleBool = (key) => updateSetting(key, !settings[key]);
 
+  // state: installed question packs and the outcome of the last import
+  const [packs, setPacks] = useState(loadInstalledPacks);
+  const [importErrors, setImportErrors] = useState([]);
+  const [importMessage, setImportMessage] = useState('');
+  // state: the last export or reset that storage refused
+  const [dataError, setDataError] = useState('');
+  const fileInputRef = useRef(null);
+
+  // events: import a pack file (validated before anything is stored)
+  const handleImportPack = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';                                    // allow re-importing the same file
+    if (!file) return;
+
+    setImportMessage('');
+    const { pack, errors } = parsePack(await file.text());
+    if (!pack) {
+      setImportErrors(errors);
+      return;
+    }
+
+    try {
+      const replaced = packs.some(installed => installed.id === pack.id);
+      setPacks(installPack(pack));
+      setImportErrors([]);
+      setImportMessage(`${replaced ? 'Updated' : 'Installed'} "${pack.name}" (${pack.items.length} items)`);
+    } catch (error) {
+      setImportErrors([error.message]);
+    }
+  };
+
+  const handleRemovePack = (pack) => {
+    if (confirm(`Remove the "${pack.name}" pack?`)) {
+      setPacks(removePack(pack.id));
+      setImportMessage('');
+    }
+  };
+
   return (
     <div className={`min-h-screen transition-colors duration-300 ${isDark ? 'bg-slate-900' : 'bg-gray-50'}`}>
       <div className="max-w-4xl mx-auto px-4 py-8">
@@ -82,6 +105,24 @@ export default function SettingsPage() {
                 </button>
               </div>
 
+              {/* forms: master volume slider (previews the select cue) */}
+              <div>
+                <label className={`block text-sm font-medium mb-2 ${isDark ? 'text-slate-300' : 'text-gray-700'}`}>
+                  Volume: {Math.round(settings.volume * 100)}%
+                </label>
+                <input
+                  type="range"
+                  min="0"
+                  max="1"
+                  step="0.05"
+                  value={settings.volume}
+                  disabled={!settings.soundEnabled}
+                  onChange={(e) => updateSetting('volume', Number(e.target.value))}
+                  onPointerUp={(e) => playSound('select', Number(e.target.value))}
+                  className="w-full accent-green-600 disabled:opacity-40"
+                />
+              </div>
+
               {/* events: toggle switches */}
               <div className="flex items-center justify-between">
                 <div>
@@ -101,6 +142,26 @@ export default function SettingsPage() {
                   />
                 </button>
               </div>
+
+              {/* events: toggle switches */}
+              <div className="flex items-center justify-between">
+                <div>
+                  <div className={`${isDark ? 'text-slate-200' : 'text-gray-900'} font-medium`}>Reading Mode</div>
+                  <div className={`${isDark ? 'text-slate-400' : 'text-gray-500'} text-sm`}>Show color names under the swatches in Reverse mode</div>
+                </div>
+                <button
+                  onClick={() => toggleBool('readingMode')}
+                  className={`relative inline-flex h-7 w-12 items-center rounded-full transition-colors ${
+                    settings.readingMode ? 'bg-green-600' : isDark ? 'bg-slate-700' : 'bg-gray-300'
+                  }`}
+                >
+                  <span
+                    className={`inline-block h-5 w-5 transform rounded-full bg-white transition-transform ${
+                      settings.readingMode ? 'translate-x-6' : 'translate-x-1'
+                    }`}
+                  />
+                </button>
+              </div>
             </div>
           </div>
 
@@ -110,18 +171,21 @@ export default function SettingsPage() {
             <div className="space-y-4">
               <button
                 onClick={() => {
-                  // persistence: localStorage
-                  const data = {
-                    history: JSON.parse(localStorage.getItem('colorquest-history') || '[]'),
-                    settings: JSON.parse(localStorage.getItem('colorquest-settings') || '{}'),
-                  };
-                  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-                  const url = URL.createObjectURL(blob);
-                  const a = document.createElement('a');
-                  a.href = url;
-                  a.download = 'colorquest-backup.json';
-                  a.click();
-                  URL.revokeObjectURL(url);
+                  // persistence: history store and storage module
+                  setDataError('');
+                  loadHistory().then(history => {
+                    const data = {
+                      history,
+                      settings: loadSettings(),
+                    };
+                    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+                    const url = URL.createObjectURL(blob);
+                    const a = document.createElement('a');
+                    a.href = url;
+                    a.download = 'colorquest-backup.json';
+                    a.click();
+                    URL.revokeObjectURL(url);
+                  }).catch(() => setDataError('Couldn\'t read your game history, so nothing was exported.'));
                 }}
                 className="w-full bg-green-600 hover:bg-green-700 text-white font-semibold py-2 px-4 rounded-lg transition-colors"
               >
@@ -130,11 +194,11 @@ export default function SettingsPage() {
 
               <button
                 onClick={() => {
-                  // persistence: localStorage
-                  if (confirm('This will clear your game history and settings. Continue?')) {
-                    localStorage.removeItem('colorquest-history');
-                    localStorage.removeItem('colorquest-settings');
-                    setSettings({ difficulty: 'normal', soundEnabled: true, hintsEnabled: true });
+                  // persistence: history store and storage module
+                  if (confirm('This will clear this player\'s game history and settings. Continue?')) {
+                    setDataError('');
+                    clearHistory().catch(() => setDataError('Couldn\'t clear your game history. Settings were reset.'));
+                    resetSettings();
                   }
                 }}
                 className={`w-full font-semibold py-2 px-4 rounded-lg transition-colors ${
@@ -143,8 +207,92 @@ export default function SettingsPage() {
               >
                 Reset All Data
               </button>
+
+              {dataError && (
+                <p className="rounded-lg border border-red-600/30 bg-red-600/10 p-4 text-sm font-semibold text-red-400" role="alert">
+                  ⚠️ {dataError}
+                </p>
+              )}
             </div>
           </div>
+
+          {/* Question Packs */}
+          <div className={`md:col-span-2 rounded-xl border p-6 ${isDark ? 'bg-slate-800/80 border-slate-700' : 'bg-white/80 border-gray-200'}`}>
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h2 className={`text-xl font-semibold ${isDark ? 'text-white' : 'text-gray-900'}`}>Question Packs</h2>
+                <p className={`text-sm ${isDark ? 'text-slate-400' : 'text-gray-500'}`}>Import extra colors and pictures from a .json pack file</p>
+              </div>
+              {/* forms: hidden file input opened by the import button */}
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept="application/json,.json"
+                onChange={handleImportPack}
+                className="hidden"
+              />
+              <div className="flex gap-2">
+                {/* routing link */}
+                <Link
+                  to="/packs/editor"
+                  className={`font-semibold py-2 px-4 rounded-lg transition-colors ${
+                    isDark ? 'bg-slate-700 hover:bg-slate-600 text-white' : 'bg-gray-200 hover:bg-gray-300 text-gray-900'
+                  }`}
+                >
+                  Create Pack
+                </Link>
+                <button
+                  onClick={() => fileInputRef.current.click()}
+                  className="bg-green-600 hover:bg-green-700 text-white font-semibold py-2 px-4 rounded-lg transition-colors"
+                >
+                  Import Pack
+                </button>
+              </div>
+            </div>
+
+            {importMessage && (
+              <p className="mb-4 text-sm font-medium text-green-500">✅ {importMessage}</p>
+            )}
+
+            {importErrors.length > 0 && (
+              <div className="mb-4 rounded-lg border border-red-600/30 bg-red-600/10 p-4" role="alert">
+                <p className="font-semibold text-red-400 mb-2">This pack could not be imported:</p>
+                <ul className="list-disc list-inside space-y-1 text-sm font-mono text-red-400">
+                  {importErrors.map((error, index) => (
+                    <li key={index}>{error}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {packs.length === 0 ? (
+              <p className={`text-sm ${isDark ? 'text-slate-400' : 'text-gray-500'}`}>No packs installed yet.</p>
+            ) : (
+              // list & keys: installed packs
+              <ul className="space-y-2">
+                {packs.map(pack => (
+                  <li
+                    key={pack.id}
+                    className={`flex items-center justify-between rounded-lg px-4 py-3 ${isDark ? 'bg-slate-900/60' : 'bg-gray-100'}`}
+                  >
+                    <div>
+                      <div className={`font-medium ${isDark ? 'text-slate-200' : 'text-gray-900'}`}>{pack.name}</div>
+                      <div className={`text-sm ${isDark ? 'text-slate-400' : 'text-gray-500'}`}>
+                        {pack.colors.length} colors · {pack.items.length} items{pack.author && ` · by ${pack.author}`}
+                      </div>
+                    </div>
+                    <button
+                      onClick={() => handleRemovePack(pack)}
+                      aria-label={`Remove ${pack.name}`}
+                      className="text-sm font-semibold text-red-400 hover:text-red-300 transition-colors"
+                    >
+                      Remove
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
         </div>
       </div>
     </div>
@@ -0,0 +1,61 @@
+/**
+ * SpellingInput Component - Text box for typing a color name, then the correct spelling
+ */
+
+import React, { useState } from 'react';
+
+export default function SpellingInput({ hint, answer, result, disabled, onSubmit }) {
+  // state: the name being typed
+  const [typed, setTyped] = useState('');
+
+  // events: submit with Enter or the button
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (typed.trim()) onSubmit(typed);
+  };
+
+  return (
+    <div className="flex flex-col items-center mb-6">
+      {/* easy difficulty: first letter and one blank per remaining letter */}
+      {hint && (
+        <p className="font-mono text-2xl tracking-[0.4em] text-gray-300 mb-3" aria-label={`Starts with ${answer[0]}, ${answer.length} letters`}>
+          {answer[0].toUpperCase()}{'_'.repeat(answer.length - 1)}
+        </p>
+      )}
+
+      {/* forms: controlled input */}
+      <form onSubmit={handleSubmit} className="flex gap-3 w-full max-w-md">
+        <input
+          value={typed}
+          onChange={(e) => setTyped(e.target.value)}
+          disabled={disabled}
+          autoFocus
+          autoComplete="off"
+          autoCapitalize="none"
+          spellCheck={false}
+          placeholder="Type the color name"
+          aria-label="Color name"
+          className="flex-1 rounded-xl border-2 px-4 py-3 text-xl font-bold bg-gray-800 border-gray-700 text-white focus:outline-none focus:border-green-500 disabled:opacity-60"
+        />
+        <button
+          type="submit"
+          disabled={disabled || !typed.trim()}
+          className="bg-green-600 hover:bg-green-700 disabled:opacity-40 text-white font-bold py-3 px-6 rounded-xl transition-colors"
+        >
+          Check
+        </button>
+      </form>
+
+      {/* after answering: show the correct spelling unless it was typed exactly
+          (the closest accepted word for a typo, the color's name for a miss) */}
+      {result && result.typos !== 0 && (
+        <p className="text-lg text-gray-300 mt-3">
+          ✏️ It's spelled{' '}
+          <span className="font-extrabold text-green-400 uppercase tracking-wide">
+            {result.typos === null ? answer : result.closest}
+          </span>
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+/**
+ * StackedBarChart Component - Dependency-free SVG chart of horizontal 100% bars
+ * One row per group, split into segments by their share of the row's total
+ * Labels and the empty track are drawn in the surrounding text color
+ */
+
+import React from 'react';
+
+const WIDTH = 600;
+const ROW_HEIGHT = 30;
+const ROW_GAP = 10;
+const LABEL_WIDTH = 150;
+const TOTAL_WIDTH = 60;
+
+export default function StackedBarChart({ rows, title }) {
+  const height = Math.max(1, rows.length) * (ROW_HEIGHT + ROW_GAP);
+  const barWidth = WIDTH - LABEL_WIDTH - TOTAL_WIDTH;
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${height}`} className="w-full h-auto" role="img" aria-label={title}>
+      <title>{title}</title>
+
+      {/* list & keys: one row per group */}
+      {rows.map((row, rowIndex) => {
+        const total = row.segments.reduce((sum, segment) => sum + segment.value, 0);
+        const top = rowIndex * (ROW_HEIGHT + ROW_GAP) + ROW_GAP / 2;
+        let offset = LABEL_WIDTH;
+        return (
+          <g key={row.key}>
+            <text x={LABEL_WIDTH - 8} y={top + ROW_HEIGHT / 2 + 4} textAnchor="end" fontSize="12" fill="currentColor">{row.label}</text>
+            <rect x={LABEL_WIDTH} y={top} width={barWidth} height={ROW_HEIGHT} rx="4" fill="currentColor" fillOpacity="0.15" />
+            {row.segments.filter(segment => segment.value > 0).map(segment => {
+              const width = (segment.value / total) * barWidth;
+              const x = offset;
+              offset += width;
+              return (
+                <rect key={segment.key} x={x} y={top} width={width} height={ROW_HEIGHT} fill={segment.color}>
+                  <title>{`${row.label} · ${segment.label}: ${segment.value}`}</title>
+                </rect>
+              );
+            })}
+            <text x={WIDTH - 4} y={top + ROW_HEIGHT / 2 + 4} textAnchor="end" fontSize="12" fill="currentColor">{total}</text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
@@ -4,24 +4,14 @@
  * Provides entry point to the game and historical performance review
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
+import { useHistory } from '../hooks/useHistory';
 
 export default function StartScreen({ onStart }) {
   // ==================== STATE MANAGEMENT ====================
   
   const [showHistory, setShowHistory] = useState(false);     // Controls history panel visibility
-  const [gameHistory, setGameHistory] = useState([]);       // Stores past game results from localStorage
-
-  // ==================== SIDE EFFECTS ====================
-  
-  // Load game history from localStorage when component mounts
-  // This persists user's game history across browser sessions
-  useEffect(() => {
-    const savedHistory = localStorage.getItem('colorquest-history');
-    if (savedHistory) {
-      setGameHistory(JSON.parse(savedHistory));
-    }
-  }, []);
+  const { history: gameHistory } = useHistory();            // Past game results, kept live by the history store
 
   // ==================== MAIN UI RENDER ====================
   
@@ -0,0 +1,123 @@
+/**
+ * StatisticsCharts Component - Trend charts for the Statistics page
+ * Score over time with its moving average, score bands per mode, accuracy per color and reaction times
+ * (from chart totals over the filtered games), drawn in the Statistics page's theme classes (ui) and series colors
+ */
+
+import React, { useMemo } from 'react';
+import { useTheme } from '../hooks/useTheme';
+import {
+  CHART_THEMES, MOVING_AVERAGE_WINDOW, SCORE_BANDS,
+  getColorAccuracy, getReactionHistogram, getScoreDistribution, getScoreSeries,
+} from '../utils/charts';
+import { getGameModeInfo } from '../utils/modes';
+import BarChart from './BarChart';
+import LineChart from './LineChart';
+import StackedBarChart from './StackedBarChart';
+
+const formatPercent = (value) => `${value}%`;
+const formatDate = (time) => new Date(time).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+export default function StatisticsCharts({ totals, ui }) {
+  const { theme } = useTheme();
+  const palette = CHART_THEMES[theme];
+
+  // derived data: one series per chart
+  const scoreSeries = useMemo(() => getScoreSeries(totals), [totals]);
+  const distribution = useMemo(() => getScoreDistribution(totals), [totals]);
+  const colorAccuracy = useMemo(() => getColorAccuracy(totals), [totals]);
+  const reactionBins = useMemo(() => getReactionHistogram(totals), [totals]);
+  const timedAnswers = reactionBins.reduce((sum, bin) => sum + bin.count, 0);
+
+  // render helper: a card like the page's others; chart grid lines and labels take its muted text color
+  const renderCard = (icon, title, content) => (
+    <div className={`${ui.card} backdrop-blur-sm rounded-2xl p-6 border ${ui.border}`}>
+      <h3 className={`text-xl font-bold ${ui.heading} mb-4 flex items-center`}>
+        <span className="mr-2">{icon}</span>
+        {title}
+      </h3>
+      <div className={`text-sm ${ui.muted}`}>{content}</div>
+    </div>
+  );
+
+  // render helper: legend entry
+  const renderLegend = (items) => (
+    <div className="flex flex-wrap gap-4 mt-3">
+      {items.map(item => (
+        <span key={item.label} className="flex items-center gap-2">
+          <span className="inline-block w-3 h-3 rounded-sm" style={{ backgroundColor: item.color }}></span>
+          {item.label}
+        </span>
+      ))}
+    </div>
+  );
+
+  const renderEmpty = (message) => <p className="py-8 text-center">{message}</p>;
+
+  return (
+    <div className="grid lg:grid-cols-2 gap-6">
+      {/* Score over time */}
+      {renderCard('📈', 'Score Over Time', scoreSeries.length ? (
+        <>
+          <LineChart
+            title="Score of every game, oldest first, with its moving average"
+            lines={[
+              { key: 'score', values: scoreSeries.map(point => point.score), color: palette.line },
+              { key: 'average', values: scoreSeries.map(point => point.average), color: palette.average, dashed: true },
+            ]}
+            xLabels={scoreSeries.map(point => formatDate(point.time))}
+            formatValue={formatPercent}
+          />
+          {renderLegend([
+            { label: 'Score', color: palette.line },
+            { label: `${MOVING_AVERAGE_WINDOW}-game average`, color: palette.average },
+          ])}
+        </>
+      ) : renderEmpty('No scored games in this selection'))}
+
+      {/* Score distribution per mode */}
+      {renderCard('🧩', 'Scores by Mode', distribution.length ? (
+        <>
+          <StackedBarChart
+            title="Games per score band for each mode"
+            rows={distribution.map(({ mode, counts }) => ({
+              key: mode,
+              label: getGameModeInfo(mode).name,
+              segments: SCORE_BANDS.map((band, index) => ({ key: band.label, label: band.label, value: counts[index], color: band.color })),
+            }))}
+          />
+          {renderLegend(SCORE_BANDS)}
+        </>
+      ) : renderEmpty('No scored games in this selection'))}
+
+      {/* Accuracy per color */}
+      {renderCard('🎨', 'Accuracy by Color', colorAccuracy.length ? (
+        <BarChart
+          title="Share of right answers per color, weakest first"
+          bars={colorAccuracy.map(({ color, hex, answers, accuracy }) => ({
+            key: color,
+            label: color,
+            value: accuracy,
+            color: hex,
+            title: `${color}: ${accuracy}% of ${answers} ${answers === 1 ? 'answer' : 'answers'}`,
+          }))}
+          maxValue={100}
+          formatValue={formatPercent}
+          barColor={palette.bar}
+        />
+      ) : renderEmpty('No answers in this selection'))}
+
+      {/* Reaction times */}
+      {renderCard('⏱️', 'Reaction Times', timedAnswers ? (
+        <>
+          <BarChart
+            title="Answers per reaction time, fastest first"
+            bars={reactionBins.map(bin => ({ key: bin.label, label: bin.label, value: bin.count }))}
+            barColor={palette.bar}
+          />
+          <p className="mt-3">{timedAnswers} timed {timedAnswers === 1 ? 'answer' : 'answers'}; timed-out rounds are left out</p>
+        </>
+      ) : renderEmpty('No reaction times recorded in this selection'))}
+    </div>
+  );
+}
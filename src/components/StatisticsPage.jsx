@@ -2,111 +2,312 @@
  * StatisticsPage Component - Detailed game statistics and analytics
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
 import { Link } from 'react-router-dom';
+import { DIFFICULTIES } from '../engine/gameEngine';
+import { colors } from '../catalogue';
+import { useHistoryTotals } from '../hooks/useHistory';
+import { useTheme } from '../hooks/useTheme';
+import { addToAchievementTotals, createAchievementTotals } from '../utils/achievements';
+import { clearHistory, loadHistoryPage, reduceHistory } from '../utils/history';
+import { MOVING_AVERAGE_WINDOW, addToChartTotals, createChartTotals, getScoreSeries } from '../utils/charts';
+import { getGameModeInfo } from '../utils/modes';
+import { MASTERY_LABELS, MAX_BOX, getMasteryLevel, isDue, loadMastery, subscribeMastery } from '../utils/mastery';
+import AchievementGallery from './AchievementGallery';
+import ColorSwatch from './ColorSwatch';
+import StatisticsCharts from './StatisticsCharts';
 
-export default function StatisticsPage() {
-  // state: game history and computed statistics
-  const [gameHistory, setGameHistory] = useState([]);
-  const [stats, setStats] = useState({
-    totalGames: 0,
-    totalCorrect: 0,
-    totalQuestions: 0,
-    averageScore: 0,
-    bestScore: 0,
-    worstScore: 100,
-    perfectGames: 0,
-    improvementTrend: 0,
-    favoriteTimeOfDay: 'N/A',
-    longestStreak: 0,
-    currentStreak: 0,
-  });
-
-  // effect: load history on mount
-  useEffect(() => {
-    const savedHistory = localStorage.getItem('colorquest-history');
-    if (savedHistory) {
-      const history = JSON.parse(savedHistory);
-      setGameHistory(history);
-      calculateStatistics(history);
-    }
-  }, []);
-
-  // derived data: recompute aggregate statistics from history
-  const calculateStatistics = (history) => {
-    if (history.length === 0) return;
-
-    const totalGames = history.length;
-    const totalCorrect = history.reduce((sum, game) => sum + game.score, 0);
-    const totalQuestions = history.reduce((sum, game) => sum + game.totalQuestions, 0);
-    const averageScore = totalQuestions > 0 ? Math.round((totalCorrect / totalQuestions) * 100) : 0;
-    const bestScore = history.reduce((best, game) => Math.max(best, game.percentage), 0);
-    const worstScore = history.reduce((worst, game) => Math.min(worst, game.percentage), 100);
-    const perfectGames = history.filter(game => game.percentage === 100).length;
-
-    // trend: compare last 5 games vs previous 5 games
-    let improvementTrend = 0;
-    if (history.length >= 10) {
-      const recent5 = history.slice(0, 5);
-      const previous5 = history.slice(5, 10);
-      const recentAvg = recent5.reduce((sum, game) => sum + game.percentage, 0) / 5;
-      const previousAvg = previous5.reduce((sum, game) => sum + game.percentage, 0) / 5;
-      improvementTrend = Math.round(recentAvg - previousAvg);
+// Surface and text classes per app theme, shared with the charts and the achievement gallery
+const PAGE_THEMES = {
+  dark: {
+    page: 'bg-gray-900',
+    card: 'bg-gray-800/80',
+    border: 'border-gray-700',
+    tile: 'bg-gray-700/50',
+    tileHover: 'hover:bg-gray-700/70',
+    track: 'bg-gray-800',
+    input: 'bg-gray-800 border-gray-700 text-white',
+    button: 'bg-gray-700 hover:bg-gray-600 text-white',
+    heading: 'text-white',
+    body: 'text-gray-200',
+    subtle: 'text-gray-300',
+    muted: 'text-gray-400',
+  },
+  light: {
+    page: 'bg-gray-50',
+    card: 'bg-white',
+    border: 'border-gray-200',
+    tile: 'bg-gray-100',
+    tileHover: 'hover:bg-gray-200',
+    track: 'bg-gray-200',
+    input: 'bg-white border-gray-300 text-gray-900',
+    button: 'bg-gray-200 hover:bg-gray-300 text-gray-900',
+    heading: 'text-gray-900',
+    body: 'text-gray-700',
+    subtle: 'text-gray-600',
+    muted: 'text-gray-500',
+  },
+};
+
+// Statistics shown when there is no (matching) history
+const EMPTY_STATS = {
+  totalGames: 0,
+  totalCorrect: 0,
+  totalQuestions: 0,
+  averageScore: 0,
+  bestScore: 0,
+  worstScore: 0,
+  perfectGames: 0,
+  improvementTrend: 0,
+  favoriteTimeOfDay: 'N/A',
+  longestStreak: 0,
+  currentStreak: 0,
+  bestDeltaE: null,
+  latestDeltaE: null,
+  hintsUsed: 0,
+  hintsByType: {},
+  modeBreakdown: [],
+  spellingWords: [],
+  survivalRuns: 0,
+  survivalBest: null,
+};
+
+// Recent Games rows loaded per page
+const RECENT_PAGE_SIZE = 20;
+
+// Survival runs are ranked by length, so they stay out of the percentage-based totals
+const isSurvivalRun = (game) => typeof game.runLength === 'number';
+
+// Date range filter choices (days back from now)
+const DATE_RANGES = [
+  { value: 'all', label: 'All time' },
+  { value: '7', label: 'Last 7 days' },
+  { value: '30', label: 'Last 30 days' },
+  { value: '90', label: 'Last 90 days' },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// filters: keep games matching the difficulty, mode and date range ('all' keeps everything)
+const matchesFilters = (game, { difficulty, mode, range }, now) =>
+  (difficulty === 'all' || game.difficulty === difficulty)
+  && (mode === 'all' || game.gameMode === mode)
+  && (range === 'all' || now - Date.parse(game.timestamp) < Number(range) * DAY_MS);
+
+// derived data: running totals for the statistics, folded in one game at a time (newest first)
+const createStatisticsTotals = () => ({
+  totalGames: 0,
+  scoredGames: 0,
+  totalCorrect: 0,
+  totalQuestions: 0,
+  bestScore: 0,
+  worstScore: 100,
+  perfectGames: 0,
+  currentStreak: 0,
+  longestStreak: 0,
+  streak: 0,
+  bestDeltaE: null,
+  latestDeltaE: null,
+  hintsByType: {},
+  modes: {},
+  wordCredits: {},
+  survivalRuns: 0,
+  survivalBest: null,
+  charts: createChartTotals(),
+});
+
+// derived data: add one game to the statistics totals (updated in place)
+const addToStatistics = (totals, game) => {
+  totals.totalGames++;
+  addToChartTotals(totals.charts, game);
+
+  if (isSurvivalRun(game)) {
+    // survival personal best (longest run, then highest level)
+    const best = totals.survivalBest;
+    totals.survivalRuns++;
+    if (!best || game.runLength > best.runLength || (game.runLength === best.runLength && game.peakLevel > best.peakLevel)) {
+      totals.survivalBest = game;
     }
+  } else {
+    totals.totalCorrect += game.score;
+    totals.totalQuestions += game.totalQuestions;
+    totals.bestScore = Math.max(totals.bestScore, game.percentage);
+    totals.worstScore = Math.min(totals.worstScore, game.percentage);
+    if (game.percentage === 100) totals.perfectGames++;
 
-    // derived data: streaks
-    let currentStreak = 0;
-    let longestStreak = 0;
-    let tempStreak = 0;
-
-    for (let i = 0; i < history.length; i++) {
-      if (history[i].percentage >= 80) {
-        tempStreak++;
-        if (i === 0) currentStreak = tempStreak;
-      } else {
-        longestStreak = Math.max(longestStreak, tempStreak);
-        tempStreak = 0;
-        if (i === 0) currentStreak = 0;
-      }
+    // streaks of games at 80% or better; the current one is set by the newest game
+    if (game.percentage >= 80) {
+      totals.streak++;
+      if (totals.scoredGames === 0) totals.currentStreak = totals.streak;
+    } else {
+      totals.longestStreak = Math.max(totals.longestStreak, totals.streak);
+      totals.streak = 0;
     }
-    longestStreak = Math.max(longestStreak, tempStreak);
+    totals.scoredGames++;
+  }
 
-    setStats({
-      totalGames,
-      totalCorrect,
-      totalQuestions,
-      averageScore,
+  // tricky shades threshold (lower delta E = finer discrimination)
+  if (typeof game.deltaE === 'number') {
+    totals.bestDeltaE = totals.bestDeltaE === null ? game.deltaE : Math.min(totals.bestDeltaE, game.deltaE);
+    if (totals.latestDeltaE === null) totals.latestDeltaE = game.deltaE;
+  }
+
+  // hint usage per type from the per-answer records
+  (game.answers || []).forEach(answer => (answer.hints || []).forEach(hint => {
+    totals.hintsByType[hint] = (totals.hintsByType[hint] || 0) + 1;
+  }));
+
+  // per-mode breakdown (e.g. picture-to-color reverse games vs classic)
+  const mode = game.gameMode || 'classic';
+  const modeTotals = (totals.modes[mode] = totals.modes[mode] || { games: 0, correct: 0, questions: 0, bestScore: 0, bestRun: 0 });
+  modeTotals.games++;
+  modeTotals.correct += game.score;
+  modeTotals.questions += game.totalQuestions;
+  modeTotals.bestScore = Math.max(modeTotals.bestScore, game.percentage);
+  modeTotals.bestRun = Math.max(modeTotals.bestRun, game.runLength || 0);
+
+  // per-word accuracy in spelling mode (average credit, typos earn partial credit)
+  if (mode === 'spell') {
+    (game.answers || []).forEach(answer => {
+      const word = (totals.wordCredits[answer.color] = totals.wordCredits[answer.color] || { attempts: 0, credit: 0 });
+      word.attempts++;
+      word.credit += answer.credit ?? (answer.correct ? 1 : 0);
+    });
+  }
+  return totals;
+};
+
+// derived data: statistics shown for the totals of the games matching the filters
+const summarizeStatistics = (totals) => {
+  if (totals.totalGames === 0) return EMPTY_STATS;
+
+  // trend: change of the moving average (as drawn in the score chart) over its last window
+  const scoreSeries = getScoreSeries(totals.charts);
+  const improvementTrend = scoreSeries.length > MOVING_AVERAGE_WINDOW
+    ? scoreSeries[scoreSeries.length - 1].average - scoreSeries[scoreSeries.length - 1 - MOVING_AVERAGE_WINDOW].average
+    : 0;
+
+  const hintsUsed = Object.values(totals.hintsByType).reduce((sum, count) => sum + count, 0);
+  const modeBreakdown = Object.entries(totals.modes)
+    .map(([mode, { games, correct, questions, bestScore, bestRun }]) => ({
+      mode,
+      games,
+      accuracy: questions > 0 ? Math.round((correct / questions) * 100) : 0,
       bestScore,
-      worstScore: history.length > 0 ? worstScore : 0,
-      perfectGames,
-      improvementTrend,
-      favoriteTimeOfDay: 'Evening', // placeholder: could compute from timestamps
-      longestStreak,
-      currentStreak,
+      bestRun: mode === 'survival' ? bestRun : null,
+    }))
+    .sort((a, b) => b.games - a.games);
+  const spellingWords = Object.entries(totals.wordCredits)
+    .map(([word, { attempts, credit }]) => ({ word, attempts, accuracy: Math.round((credit / attempts) * 100) }))
+    .sort((a, b) => a.accuracy - b.accuracy);
+
+  return {
+    totalGames: totals.totalGames,
+    totalCorrect: totals.totalCorrect,
+    totalQuestions: totals.totalQuestions,
+    averageScore: totals.totalQuestions > 0 ? Math.round((totals.totalCorrect / totals.totalQuestions) * 100) : 0,
+    bestScore: totals.bestScore,
+    worstScore: totals.scoredGames > 0 ? totals.worstScore : 0,
+    perfectGames: totals.perfectGames,
+    improvementTrend,
+    favoriteTimeOfDay: 'Evening', // placeholder: could compute from timestamps
+    longestStreak: Math.max(totals.longestStreak, totals.streak),
+    currentStreak: totals.currentStreak,
+    bestDeltaE: totals.bestDeltaE,
+    latestDeltaE: totals.latestDeltaE,
+    hintsUsed,
+    hintsByType: totals.hintsByType,
+    modeBreakdown,
+    spellingWords,
+    survivalRuns: totals.survivalRuns,
+    survivalBest: totals.survivalBest,
+  };
+};
+
+export default function StatisticsPage() {
+  // theme: every surface follows the light/dark setting
+  const { theme } = useTheme();
+  const ui = PAGE_THEMES[theme];
+  // state: difficulty, mode and date range filters
+  const [difficultyFilter, setDifficultyFilter] = useState('all');
+  const [modeFilter, setModeFilter] = useState('all');
+  const [rangeFilter, setRangeFilter] = useState('all');
+  // state: Recent Games rows loaded so far, a page at a time (error: the last page could not be read)
+  const [recent, setRecent] = useState({ games: [], hasMore: false, next: null, error: false });
+  // state: per-color and per-object mastery (kept across games, not filtered by difficulty)
+  const [mastery, setMastery] = useState(loadMastery);
+
+  const filters = useMemo(
+    () => ({ difficulty: difficultyFilter, mode: modeFilter, range: rangeFilter }),
+    [difficultyFilter, modeFilter, rangeFilter]
+  );
+
+  // persistence: one pass over the player's history, folded into totals instead of loaded —
+  // badges and played modes count every game, statistics and charts only the games matching the filters
+  const summarizeHistory = useCallback(() => {
+    const now = Date.now();
+    return reduceHistory({}, (totals, game) => {
+      addToAchievementTotals(totals.achievements, game);
+      totals.playedModes.add(game.gameMode);
+      if (matchesFilters(game, filters, now)) addToStatistics(totals.statistics, game);
+      return totals;
+    }, { achievements: createAchievementTotals(), playedModes: new Set(), statistics: createStatisticsTotals() });
+  }, [filters]);
+  const { totals, loading, error } = useHistoryTotals(summarizeHistory);
+
+  // derived data: statistics of the games matching the filters and the modes there are to filter by
+  const stats = useMemo(() => (totals ? summarizeStatistics(totals.statistics) : EMPTY_STATS), [totals]);
+  const playedModes = useMemo(() => (totals ? [...totals.playedModes] : []), [totals]);
+
+  // persistence: one page of recent games matching the filters, after the last one shown
+  const loadRecentPage = useCallback((after) => {
+    const now = Date.now();
+    return loadHistoryPage({
+      filter: game => matchesFilters(game, filters, now),
+      after,
+      limit: RECENT_PAGE_SIZE,
+    });
+  }, [filters]);
+
+  // effect: back to the first page when the filter changes or a game is saved
+  useEffect(() => {
+    let active = true;
+    loadRecentPage(null).then(page => {
+      if (active) setRecent({ ...page, error: false });
+    }, () => {
+      if (active) setRecent({ games: [], hasMore: false, next: null, error: true });
     });
+    return () => {
+      active = false;
+    };
+  }, [loadRecentPage, totals]);
+
+  // effect: follow mastery changes (profile switches, games finished in another tab)
+  useEffect(() => subscribeMastery(() => setMastery(loadMastery())), []);
+
+  // events: append the next page (on failure the button stays for another try)
+  const handleLoadMore = () => {
+    loadRecentPage(recent.next).then(page => setRecent({
+      games: [...recent.games, ...page.games],
+      hasMore: page.hasMore,
+      next: page.next,
+      error: false,
+    }), () => setRecent({ ...recent, error: true }));
   };
 
   // events: clear history with confirmation + persistence updates
-  const clearHistory = () => {
-    if (window.confirm('Are you sure you want to clear all game history? This action cannot be undone.')) {
-      localStorage.removeItem('colorquest-history');
-      setGameHistory([]);
-      setStats({
-        totalGames: 0,
-        totalCorrect: 0,
-        totalQuestions: 0,
-        averageScore: 0,
-        bestScore: 0,
-        worstScore: 0,
-        perfectGames: 0,
-        improvementTrend: 0,
-        favoriteTimeOfDay: 'N/A',
-        longestStreak: 0,
-        currentStreak: 0,
-      });
+  const handleClearHistory = () => {
+    if (window.confirm('Are you sure you want to clear this player\'s game history? This action cannot be undone.')) {
+      clearHistory().catch(() => window.alert('Couldn\'t clear the history. Your browser\'s storage may be blocked.'));
     }
   };
 
+  // derived data: objects still being learned, weakest first
+  const weakObjects = Object.entries(mastery.objects)
+    .filter(([, card]) => card.box <= 2)
+    .sort(([, a], [, b]) => a.box - b.box || a.correct / a.seen - b.correct / b.seen)
+    .slice(0, 8);
+
   // utility: presentation helpers
   const getPerformanceEmoji = (percentage) => {
     if (percentage === 100) return '🏆';
@@ -128,25 +329,40 @@ export default function StatisticsPage() {
 
   // conditional rendering: empty state vs statistics UI
   return (
-    <div className="min-h-screen bg-gray-900 py-8">
+    <div className={`min-h-screen ${ui.page} py-8`}>
       <div className="max-w-7xl mx-auto px-4">
         {/* Header */}
         <div className="text-center mb-8">
-          <h1 className="text-4xl md:text-5xl font-bold text-white mb-4">
+          <h1 className={`text-4xl md:text-5xl font-bold ${ui.heading} mb-4`}>
             📊 Game Statistics
           </h1>
-          <p className="text-xl text-gray-300">
+          <p className={`text-xl ${ui.subtle}`}>
             Track your ColorQuest journey and improvement
           </p>
         </div>
 
-        {gameHistory.length === 0 ? (
+        {loading ? (
+          <div className="flex justify-center py-16">
+            <div className="animate-spin w-8 h-8 border-4 border-green-500 border-t-transparent rounded-full"></div>
+          </div>
+        ) : error ? (
+          /* Storage Error State */
+          <div className="text-center py-16">
+            <div className={`${ui.card} backdrop-blur-sm rounded-3xl p-12 max-w-md mx-auto border ${ui.border}`} role="alert">
+              <span className="text-6xl mb-4 block">⚠️</span>
+              <h3 className={`text-2xl font-bold ${ui.heading} mb-4`}>Couldn't Load Your History</h3>
+              <p className={ui.muted}>
+                Your browser's storage may be blocked or full. Your statistics will show up once it can be read again.
+              </p>
+            </div>
+          </div>
+        ) : totals.achievements.gamesPlayed === 0 ? (
           /* No Data State */
           <div className="text-center py-16">
-            <div className="bg-gray-800/80 backdrop-blur-sm rounded-3xl p-12 max-w-md mx-auto border border-gray-700">
+            <div className={`${ui.card} backdrop-blur-sm rounded-3xl p-12 max-w-md mx-auto border ${ui.border}`}>
               <span className="text-6xl mb-4 block">📈</span>
-              <h3 className="text-2xl font-bold text-white mb-4">No Statistics Yet</h3>
-              <p className="text-gray-400 mb-6">
+              <h3 className={`text-2xl font-bold ${ui.heading} mb-4`}>No Statistics Yet</h3>
+              <p className={`${ui.muted} mb-6`}>
                 Play some games to see your statistics and progress!
               </p>
               {/* routing link */}
@@ -161,111 +377,140 @@ export default function StatisticsPage() {
           </div>
         ) : (
           <div className="space-y-8">
+            {/* Filters */}
+            <div className="flex flex-wrap justify-end items-center gap-2">
+              <label htmlFor="mode-filter" className={`text-sm ${ui.muted}`}>Mode</label>
+              {/* forms: controlled select */}
+              <select
+                id="mode-filter"
+                value={modeFilter}
+                onChange={(e) => setModeFilter(e.target.value)}
+                className={`rounded-lg border px-3 py-2 ${ui.input} focus:outline-none focus:ring-2 focus:ring-green-500`}
+              >
+                <option value="all">All</option>
+                {playedModes.map(mode => (
+                  <option key={mode} value={mode}>{getGameModeInfo(mode).name}</option>
+                ))}
+              </select>
+
+              <label htmlFor="range-filter" className={`text-sm ${ui.muted} ml-2`}>Dates</label>
+              {/* forms: controlled select */}
+              <select
+                id="range-filter"
+                value={rangeFilter}
+                onChange={(e) => setRangeFilter(e.target.value)}
+                className={`rounded-lg border px-3 py-2 ${ui.input} focus:outline-none focus:ring-2 focus:ring-green-500`}
+              >
+                {DATE_RANGES.map(range => (
+                  <option key={range.value} value={range.value}>{range.label}</option>
+                ))}
+              </select>
+
+              <label htmlFor="difficulty-filter" className={`text-sm ${ui.muted} ml-2`}>Difficulty</label>
+              {/* forms: controlled select */}
+              <select
+                id="difficulty-filter"
+                value={difficultyFilter}
+                onChange={(e) => setDifficultyFilter(e.target.value)}
+                className={`rounded-lg border px-3 py-2 ${ui.input} focus:outline-none focus:ring-2 focus:ring-green-500`}
+              >
+                <option value="all">All</option>
+                {DIFFICULTIES.map(difficulty => (
+                  <option key={difficulty} value={difficulty}>
+                    {difficulty.charAt(0).toUpperCase() + difficulty.slice(1)}
+                  </option>
+                ))}
+              </select>
+            </div>
+
             {/* Overview Stats Grid */}
             <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-6 gap-4">
-              <div className="bg-gray-800/80 backdrop-blur-sm rounded-xl p-4 border border-gray-700 text-center">
+              <div className={`${ui.card} backdrop-blur-sm rounded-xl p-4 border ${ui.border} text-center`}>
                 <div className="text-2xl font-bold text-blue-400">{stats.totalGames}</div>
-                <div className="text-sm text-gray-400">Total Games</div>
+                <div className={`text-sm ${ui.muted}`}>Total Games</div>
               </div>
-              <div className="bg-gray-800/80 backdrop-blur-sm rounded-xl p-4 border border-gray-700 text-center">
+              <div className={`${ui.card} backdrop-blur-sm rounded-xl p-4 border ${ui.border} text-center`}>
                 <div className="text-2xl font-bold text-green-400">{stats.averageScore}%</div>
-                <div className="text-sm text-gray-400">Average Score</div>
+                <div className={`text-sm ${ui.muted}`}>Average Score</div>
               </div>
-              <div className="bg-gray-800/80 backdrop-blur-sm rounded-xl p-4 border border-gray-700 text-center">
+              <div className={`${ui.card} backdrop-blur-sm rounded-xl p-4 border ${ui.border} text-center`}>
                 <div className="text-2xl font-bold text-yellow-400">{stats.bestScore}%</div>
-                <div className="text-sm text-gray-400">Best Score</div>
+                <div className={`text-sm ${ui.muted}`}>Best Score</div>
               </div>
-              <div className="bg-gray-800/80 backdrop-blur-sm rounded-xl p-4 border border-gray-700 text-center">
+              <div className={`${ui.card} backdrop-blur-sm rounded-xl p-4 border ${ui.border} text-center`}>
                 <div className="text-2xl font-bold text-purple-400">{stats.perfectGames}</div>
-                <div className="text-sm text-gray-400">Perfect Games</div>
+                <div className={`text-sm ${ui.muted}`}>Perfect Games</div>
               </div>
-              <div className="bg-gray-800/80 backdrop-blur-sm rounded-xl p-4 border border-gray-700 text-center">
+              <div className={`${ui.card} backdrop-blur-sm rounded-xl p-4 border ${ui.border} text-center`}>
                 <div className="text-2xl font-bold text-orange-400">{stats.currentStreak}</div>
-                <div className="text-sm text-gray-400">Current Streak</div>
+                <div className={`text-sm ${ui.muted}`}>Current Streak</div>
               </div>
-              <div className="bg-gray-800/80 backdrop-blur-sm rounded-xl p-4 border border-gray-700 text-center">
+              <div className={`${ui.card} backdrop-blur-sm rounded-xl p-4 border ${ui.border} text-center`}>
                 <div className="text-2xl font-bold text-red-400">{stats.longestStreak}</div>
-                <div className="text-sm text-gray-400">Longest Streak</div>
+                <div className={`text-sm ${ui.muted}`}>Longest Streak</div>
               </div>
             </div>
 
+            {/* Charts: trends for the filtered games */}
+            <StatisticsCharts totals={totals.statistics.charts} ui={ui} />
+
             {/* Detailed Stats */}
             <div className="grid lg:grid-cols-3 gap-6">
               {/* Performance Overview */}
-              <div className="bg-gray-800/80 backdrop-blur-sm rounded-2xl p-6 border border-gray-700">
-                <h3 className="text-xl font-bold text-white mb-4 flex items-center">
+              <div className={`${ui.card} backdrop-blur-sm rounded-2xl p-6 border ${ui.border}`}>
+                <h3 className={`text-xl font-bold ${ui.heading} mb-4 flex items-center`}>
                   <span className="mr-2">🎯</span>
                   Performance Overview
                 </h3>
                 <div className="space-y-4">
                   <div className="flex justify-between items-center">
-                    <span className="text-gray-400">Total Correct Answers</span>
+                    <span className={ui.muted}>Total Correct Answers</span>
                     <span className="text-green-400 font-bold">{stats.totalCorrect}</span>
                   </div>
                   <div className="flex justify-between items-center">
-                    <span className="text-gray-400">Total Questions</span>
+                    <span className={ui.muted}>Total Questions</span>
                     <span className="text-blue-400 font-bold">{stats.totalQuestions}</span>
                   </div>
                   <div className="flex justify-between items-center">
-                    <span className="text-gray-400">Accuracy Rate</span>
+                    <span className={ui.muted}>Accuracy Rate</span>
                     <span className="text-yellow-400 font-bold">
                       {stats.totalQuestions > 0 ? Math.round((stats.totalCorrect / stats.totalQuestions) * 100) : 0}%
                     </span>
                   </div>
                   <div className="flex justify-between items-center">
-                    <span className="text-gray-400">Improvement Trend</span>
+                    <span className={ui.muted} title={`Change of the ${MOVING_AVERAGE_WINDOW}-game average over the last ${MOVING_AVERAGE_WINDOW} games`}>Improvement Trend</span>
                     <span className={`font-bold ${stats.improvementTrend >= 0 ? 'text-green-400' : 'text-red-400'}`}>
                       {stats.improvementTrend >= 0 ? '+' : ''}{stats.improvementTrend}%
                     </span>
                   </div>
-                </div>
-              </div>
-
-              {/* Achievement Highlights */}
-              <div className="bg-gray-800/80 backdrop-blur-sm rounded-2xl p-6 border border-gray-700">
-                <h3 className="text-xl font-bold text-white mb-4 flex items-center">
-                  <span className="mr-2">🏅</span>
-                  Achievements
-                </h3>
-                <div className="space-y-3">
-                  <div className="flex items-center justify-between p-3 bg-gray-700/50 rounded-lg">
-                    <div className="flex items-center">
-                      <span className="text-2xl mr-3">🏆</span>
-                      <div>
-                        <div className="text-sm font-semibold text-white">Perfect Scores</div>
-                        <div className="text-xs text-gray-400">100% accuracy games</div>
-                      </div>
-                    </div>
-                    <span className="text-yellow-400 font-bold">{stats.perfectGames}</span>
-                  </div>
-
-                  <div className="flex items-center justify-between p-3 bg-gray-700/50 rounded-lg">
-                    <div className="flex items-center">
-                      <span className="text-2xl mr-3">🔥</span>
-                      <div>
-                        <div className="text-sm font-semibold text-white">Best Streak</div>
-                        <div className="text-xs text-gray-400">Consecutive good games</div>
-                      </div>
-                    </div>
-                    <span className="text-orange-400 font-bold">{stats.longestStreak}</span>
-                  </div>
-
-                  <div className="flex items-center justify-between p-3 bg-gray-700/50 rounded-lg">
-                    <div className="flex items-center">
-                      <span className="text-2xl mr-3">📈</span>
-                      <div>
-                        <div className="text-sm font-semibold text-white">Best Score</div>
-                        <div className="text-xs text-gray-400">Highest percentage</div>
-                      </div>
+                  {stats.bestDeltaE !== null && (
+                    <div className="flex justify-between items-center">
+                      <span className={ui.muted}>Shade Threshold (best / latest)</span>
+                      <span className="text-purple-400 font-bold">
+                        ΔE {stats.bestDeltaE} / {stats.latestDeltaE}
+                      </span>
                     </div>
-                    <span className="text-green-400 font-bold">{stats.bestScore}%</span>
+                  )}
+                  <div className="flex justify-between items-center">
+                    <span className={ui.muted}>Hints Used</span>
+                    <span className="text-yellow-400 font-bold">
+                      {stats.hintsUsed}
+                      {stats.hintsUsed > 0 && (
+                        <span className={`text-xs ${ui.muted} font-normal ml-2`}>
+                          ✂️ {stats.hintsByType.fiftyFifty || 0} · ✨ {stats.hintsByType.glow || 0} · 💬 {stats.hintsByType.clue || 0}
+                        </span>
+                      )}
+                    </span>
                   </div>
                 </div>
               </div>
 
+              {/* Achievements: badge gallery with progress toward locked badges */}
+              <AchievementGallery totals={totals.achievements} mastery={mastery} ui={ui} />
+
               {/* Quick Actions */}
-              <div className="bg-gray-800/80 backdrop-blur-sm rounded-2xl p-6 border border-gray-700">
-                <h3 className="text-xl font-bold text-white mb-4 flex items-center">
+              <div className={`${ui.card} backdrop-blur-sm rounded-2xl p-6 border ${ui.border}`}>
+                <h3 className={`text-xl font-bold ${ui.heading} mb-4 flex items-center`}>
                   <span className="mr-2">⚡</span>
                   Quick Actions
                 </h3>
@@ -289,7 +534,7 @@ export default function StatisticsPage() {
                   </Link>
 
                   <button
-                    onClick={clearHistory}
+                    onClick={handleClearHistory}
                     className="w-full bg-red-600 hover:bg-red-700 text-white font-bold py-3 px-4 rounded-xl transition-all duration-300 flex items-center justify-center space-x-2"
                   >
                     <span>🗑️</span>
@@ -299,33 +544,182 @@ export default function StatisticsPage() {
               </div>
             </div>
 
+            {/* Mode Breakdown */}
+            <div className={`${ui.card} backdrop-blur-sm rounded-2xl p-6 border ${ui.border}`}>
+              <h3 className={`text-xl font-bold ${ui.heading} mb-4 flex items-center`}>
+                <span className="mr-2">🧩</span>
+                By Game Mode
+              </h3>
+              <div className="grid sm:grid-cols-2 lg:grid-cols-3 gap-3">
+                {/* list & keys: one row per mode played */}
+                {stats.modeBreakdown.map(({ mode, games, accuracy, bestScore, bestRun }) => {
+                  const modeInfo = getGameModeInfo(mode);
+                  return (
+                    <div key={mode} className={`flex items-center justify-between p-3 ${ui.tile} rounded-lg`}>
+                      <div className="flex items-center">
+                        <span className="text-2xl mr-3">{modeInfo.icon}</span>
+                        <div>
+                          <div className={`text-sm font-semibold ${ui.heading}`}>{modeInfo.name}</div>
+                          <div className={`text-xs ${ui.muted}`}>{games} {games === 1 ? 'game' : 'games'} · best {bestRun !== null ? `${bestRun} rounds` : `${bestScore}%`}</div>
+                        </div>
+                      </div>
+                      <span className={`font-bold ${getPerformanceColor(accuracy)}`}>{accuracy}%</span>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+
+            {/* Mastery: one tile per color, so parents see what to work on */}
+            <div className={`${ui.card} backdrop-blur-sm rounded-2xl p-6 border ${ui.border}`}>
+              <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+                <h3 className={`text-xl font-bold ${ui.heading} flex items-center`}>
+                  <span className="mr-2">🌈</span>
+                  Color Mastery
+                </h3>
+                {/* routing link */}
+                <Link
+                  to="/game?mode=practice"
+                  className="bg-blue-600 hover:bg-blue-700 text-white font-semibold py-2 px-4 rounded-xl transition-colors text-sm"
+                >
+                  🎯 Practice Weak Colors
+                </Link>
+              </div>
+              <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-3">
+                {/* list & keys: one tile per catalogue color */}
+                {colors.map(color => {
+                  const card = mastery.colors[color.name];
+                  const level = getMasteryLevel(card);
+                  return (
+                    <div key={color.name} className={`p-3 ${ui.tile} rounded-lg`}>
+                      <div className="flex items-center mb-2">
+                        <ColorSwatch hex={color.hex} size={24} className="w-6 h-6 rounded-md mr-2 border border-white/30" />
+                        <span className={`text-sm font-semibold ${ui.heading} capitalize`}>{color.name}</span>
+                        {card && isDue(card, mastery.session) && (
+                          <span className="ml-auto text-xs text-orange-400" title="Due for practice">●</span>
+                        )}
+                      </div>
+                      <div className={`${ui.track} rounded-full h-2 overflow-hidden mb-1`}>
+                        <div
+                          className="bg-green-500 h-full rounded-full"
+                          style={{ width: `${(level / MAX_BOX) * 100}%` }}
+                        ></div>
+                      </div>
+                      <div className={`text-xs ${ui.muted}`}>
+                        {MASTERY_LABELS[level]}
+                        {card && ` · ${Math.round((card.correct / card.seen) * 100)}% of ${card.seen}`}
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+              {weakObjects.length > 0 && (
+                <p className={`text-sm ${ui.muted} mt-4`}>
+                  Objects to work on:{' '}
+                  <span className={`${ui.body} font-semibold`}>{weakObjects.map(([label]) => label).join(', ')}</span>
+                </p>
+              )}
+            </div>
+
+            {/* Survival: personal best, ranked by run length */}
+            {stats.survivalBest && (
+              <div className={`${ui.card} backdrop-blur-sm rounded-2xl p-6 border ${ui.border}`}>
+                <h3 className={`text-xl font-bold ${ui.heading} mb-4 flex items-center`}>
+                  <span className="mr-2">❤️</span>
+                  Survival Personal Best
+                </h3>
+                <div className="grid grid-cols-3 gap-4 text-center">
+                  <div className={`p-3 ${ui.tile} rounded-lg`}>
+                    <div className="text-2xl font-bold text-red-400">{stats.survivalBest.runLength}</div>
+                    <div className={`text-sm ${ui.muted}`}>Rounds Survived</div>
+                  </div>
+                  <div className={`p-3 ${ui.tile} rounded-lg`}>
+                    <div className="text-2xl font-bold text-yellow-400">{stats.survivalBest.peakLevel}</div>
+                    <div className={`text-sm ${ui.muted}`}>Level Reached</div>
+                  </div>
+                  <div className={`p-3 ${ui.tile} rounded-lg`}>
+                    <div className="text-2xl font-bold text-blue-400">{stats.survivalRuns}</div>
+                    <div className={`text-sm ${ui.muted}`}>Runs Played</div>
+                  </div>
+                </div>
+                <p className={`text-sm ${ui.muted} mt-3 text-center`}>
+                  Set on {stats.survivalBest.date} · {stats.survivalBest.difficulty || 'normal'} difficulty
+                </p>
+              </div>
+            )}
+
+            {/* Spelling: weakest words first */}
+            {stats.spellingWords.length > 0 && (
+              <div className={`${ui.card} backdrop-blur-sm rounded-2xl p-6 border ${ui.border}`}>
+                <h3 className={`text-xl font-bold ${ui.heading} mb-4 flex items-center`}>
+                  <span className="mr-2">✏️</span>
+                  Spelling Accuracy
+                </h3>
+                <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-3">
+                  {/* list & keys: one tile per word */}
+                  {stats.spellingWords.map(({ word, attempts, accuracy }) => (
+                    <div key={word} className={`p-3 ${ui.tile} rounded-lg text-center`}>
+                      <div className={`text-sm font-semibold ${ui.heading} uppercase tracking-wide`}>{word}</div>
+                      <div className={`text-xl font-bold ${getPerformanceColor(accuracy)}`}>{accuracy}%</div>
+                      <div className={`text-xs ${ui.muted}`}>{attempts} {attempts === 1 ? 'try' : 'tries'}</div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {/* Recent Games History */}
-            <div className="bg-gray-800/80 backdrop-blur-sm rounded-2xl p-6 border border-gray-700">
-              <h3 className="text-xl font-bold text-white mb-4 flex items-center">
+            <div className={`${ui.card} backdrop-blur-sm rounded-2xl p-6 border ${ui.border}`}>
+              <h3 className={`text-xl font-bold ${ui.heading} mb-4 flex items-center`}>
                 <span className="mr-2">📋</span>
                 Recent Games
               </h3>
               <div className="overflow-x-auto">
                 <div className="max-h-96 overflow-y-auto custom-scrollbar">
                   <div className="space-y-2">
-                    {/* list & keys: render up to 20 recent games */}
-                    {gameHistory.slice(0, 20).map((game, index) => (
+                    {/* list & keys: recent games loaded so far */}
+                    {recent.games.map((game, index) => (
                       <div 
                         key={game.id} 
-                        className="flex items-center justify-between p-4 bg-gray-700/50 rounded-xl hover:bg-gray-700/70 transition-colors"
+                        className={`flex items-center justify-between p-4 ${ui.tile} rounded-xl ${ui.tileHover} transition-colors`}
                       >
                         <div className="flex items-center space-x-4">
                           <span className="text-2xl">{getPerformanceEmoji(game.percentage)}</span>
                           <div>
                             <div className="flex items-center space-x-2">
-                              <span className="font-bold text-white">
-                                Game #{gameHistory.length - index}
+                              <span className={`font-bold ${ui.heading}`}>
+                                Game #{stats.totalGames - index}
                               </span>
                               <span className={`text-sm font-semibold ${getPerformanceColor(game.percentage)}`}>
-                                {game.score}/{game.totalQuestions} ({game.percentage}%)
+                                {isSurvivalRun(game)
+                                  ? `${game.runLength} rounds · level ${game.peakLevel}`
+                                  : `${game.score}/${game.totalQuestions} (${game.percentage}%)`}
+                              </span>
+                              <span className="text-xs font-semibold text-blue-400">
+                                {getGameModeInfo(game.gameMode).icon} {getGameModeInfo(game.gameMode).name}
                               </span>
+                              {game.difficulty && (
+                                <span className={`text-xs font-semibold ${ui.muted} capitalize`}>
+                                  {game.difficulty}
+                                </span>
+                              )}
+                              {typeof game.deltaE === 'number' && (
+                                <span className="text-xs font-semibold text-purple-400">
+                                  ΔE {game.deltaE}
+                                </span>
+                              )}
+                              {game.timeouts > 0 && (
+                                <span className="text-xs font-semibold text-orange-400">
+                                  ⏰ {game.timeouts} timed out
+                                </span>
+                              )}
+                              {game.hintsUsed > 0 && (
+                                <span className="text-xs font-semibold text-yellow-400">
+                                  💡 {game.hintsUsed} hints
+                                </span>
+                              )}
                             </div>
-                            <div className="text-sm text-gray-400">
+                            <div className={`text-sm ${ui.muted}`}>
                               {game.date} at {game.time}
                             </div>
                           </div>
@@ -352,6 +746,19 @@ export default function StatisticsPage() {
                   </div>
                 </div>
               </div>
+              {recent.error && (
+                <p className="mt-4 text-sm font-semibold text-red-400" role="alert">
+                  ⚠️ Couldn't load {recent.games.length ? 'more' : 'your recent'} games.
+                </p>
+              )}
+              {recent.hasMore && (
+                <button
+                  onClick={handleLoadMore}
+                  className={`mt-4 w-full ${ui.button} font-semibold py-2 px-4 rounded-xl transition-colors`}
+                >
+                  Load More Games
+                </button>
+              )}
             </div>
           </div>
         )}
@@ -3,29 +3,30 @@
  */
 
 import React, { createContext, useState, useEffect } from 'react';
+import { STORAGE_KEYS, readValue, subscribe, writeValue } from '../utils/storage';
+
+const isTheme = (value) => (value === 'dark' || value === 'light' ? value : undefined);
+
+// The active profile's saved theme, else the system preference
+const loadTheme = () => {
+  const savedTheme = readValue(STORAGE_KEYS.theme, null, isTheme);
+  if (savedTheme) return savedTheme;
+  return window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+};
 
 export const ThemeContext = createContext();
 
 export const ThemeProvider = ({ children }) => {
-  const [theme, setTheme] = useState('dark');
+  const [theme, setTheme] = useState(loadTheme);
 
-  // Load theme from localStorage on mount
-  useEffect(() => {
-    const savedTheme = localStorage.getItem('colorquest-theme');
-    if (savedTheme) {
-      setTheme(savedTheme);
-    } else {
-      // Check system preference
-      const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
-      setTheme(prefersDark ? 'dark' : 'light');
-    }
-  }, []);
-
-  // Update document class and localStorage when theme changes
+  // Follow theme changes made elsewhere (profile switches, other tabs)
+  useEffect(() => subscribe(STORAGE_KEYS.theme, () => setTheme(loadTheme())), []);
+
+  // Update document class and saved theme when it changes
   useEffect(() => {
     document.documentElement.classList.remove('light', 'dark');
     document.documentElement.classList.add(theme);
-    localStorage.setItem('colorquest-theme', theme);
+    writeValue(STORAGE_KEYS.theme, theme);
   }, [theme]);
 
   const toggleTheme = () => {
@@ -1,98 +1,476 @@
 /**
  * ColorQuest Game Data Module
- * Contains static questions data and shuffling utilities
+ * Builds questions on demand from the color/object catalogue
  * Provides dynamic question generation for randomized gameplay
  */
 
-// ==================== STATIC GAME DATA ====================
-
-// Static questions database - contains all color matching questions
-// Each question has a color and 3 options (1 correct, 2 incorrect)
-const staticQuestions = [
-  {
-    color: "red",                                             // Target color to match
-    options: [
-      { label: "Apple", image: "/images/apple.png", isCorrect: true },      // Correct answer
-      { label: "Banana", image: "/images/banana.png", isCorrect: false },   // Distractor
-      { label: "Sky", image: "/images/sky.png", isCorrect: false },         // Distractor
-    ],
-  },
-  {
-    color: "blue",
-    options: [
-      { label: "Sky", image: "/images/sky.png", isCorrect: true },
-      { label: "Lemon", image: "/images/lemon.png", isCorrect: false },
-      { label: "Tomato", image: "/images/tomato.png", isCorrect: false },
-    ],
-  },
-  {
-    color: "green",
-    options: [
-      { label: "Leaf", image: "/images/leaf.png", isCorrect: true },
-      { label: "Sun", image: "/images/sun.png", isCorrect: false },
-      { label: "Strawberry", image: "/images/strawberry.png", isCorrect: false },
-    ],
-  },
-  {
-    color: "yellow",
-    options: [
-      { label: "Banana", image: "/images/banana.png", isCorrect: true },
-      { label: "Grapes", image: "/images/grapes.png", isCorrect: false },
-      { label: "Cherry", image: "/images/cherry.png", isCorrect: false },
-    ],
-  },
-  {
-    color: "orange",
-    options: [
-      { label: "Carrot", image: "/images/carrot.png", isCorrect: true },
-      { label: "Eggplant", image: "/images/eggplant.png", isCorrect: false },
-      { label: "Broccoli", image: "/images/broccoli.png", isCorrect: false },
-    ],
-  },
-];
+import { categoryClues, colors, objects } from './catalogue';
+import { deltaE2000, deltaEHex, hexToLab, isInGamut, labToHex } from './utils/color';
+import { PAINTS, mixPaints } from './utils/pigments';
+
+// ==================== GENERATION DEFAULTS ====================
+
+export const DEFAULT_QUESTION_OPTIONS = {
+  questionCount: 10,          // Rounds per game
+  optionsPerQuestion: 3,      // 1 correct object + distractors
+  distractorSimilarity: 'any', // 'far' | 'any' | 'near' - how close distractor colors are to the target
+  categories: null,           // Allowed object categories (null = all)
+  gridSize: 8,                // Objects per "select all that match" round
+  colors,                     // Color catalogue (a question pack may replace it)
+  objects,                    // Object catalogue (a question pack may replace it)
+  random: Math.random,        // Random source; pass a seeded PRNG for reproducible games
+};
 
 // ==================== UTILITY FUNCTIONS ====================
 
 /**
  * Fisher-Yates shuffle algorithm implementation
- * Provides true random shuffling without bias
+ * Provides unbiased shuffling; deterministic when given a seeded random source
  * @param {Array} array - The array to shuffle
+ * @param {Function} [random] - Returns floats in [0, 1), defaults to Math.random
  * @returns {Array} - A new shuffled array (original unchanged)
  */
-const shuffleArray = (array) => {
+const shuffleArray = (array, random = Math.random) => {
   const shuffled = [...array];                               // Create copy to avoid mutating original
   
   // Fisher-Yates shuffle: iterate backwards through array
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));          // Random index from 0 to i
+    const j = Math.floor(random() * (i + 1));               // Random index from 0 to i
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]; // Swap elements
   }
   
   return shuffled;
 };
 
+// ==================== QUESTION BUILDING ====================
+
+// Perceptual distance from a target color to the closest color tag of an object
+const distanceToObject = (color, object, colorHexes) =>
+  Math.min(...object.colors.map(name => (colorHexes[name] ? deltaEHex(color.hex, colorHexes[name]) : 100)));
+
+/**
+ * Pick distractors among candidates that never share the target color
+ * 'near' favours neighbouring colors (harder), 'far' clearly different ones (easier)
+ * @param {Array} candidates - Objects or colors available as distractors
+ * @param {number} count - Distractors needed
+ * @param {string} similarity - 'far' | 'any' | 'near'
+ * @param {Function} random - Random source
+ * @param {Function} distance - Color distance of a candidate from the target, for ranking
+ * @returns {Array} - Distractors
+ */
+const pickDistractors = (candidates, count, similarity, random, distance) => {
+  const shuffled = shuffleArray(candidates, random);
+  if (similarity !== 'near' && similarity !== 'far') return shuffled.slice(0, count);
+
+  // Rank by color distance, then draw from the best half so games still vary
+  const direction = similarity === 'near' ? 1 : -1;
+  const ranked = [...shuffled].sort((a, b) => direction * (distance(a) - distance(b)));
+  return shuffleArray(ranked.slice(0, Math.max(count, Math.ceil(ranked.length / 2))), random).slice(0, count);
+};
+
+/**
+ * Build one question for a target color and its correct object
+ * @param {Object} color - Catalogue color
+ * @param {Object} answer - Catalogue object tagged with the color
+ * @param {Array} pool - Objects available as distractors
+ * @param {Object} options - Resolved generation options
+ * @returns {Object} - Question with shuffled options
+ */
+const buildQuestion = (color, answer, pool, { optionsPerQuestion, distractorSimilarity, random, colorHexes }) => {
+  const distractors = pickDistractors(
+    pool.filter(object => !object.colors.includes(color.name)),
+    optionsPerQuestion - 1,
+    distractorSimilarity,
+    random,
+    object => distanceToObject(color, object, colorHexes),
+  );
+
+  return {
+    color: color.name,                                       // Target color to match
+    hex: color.hex,                                          // Shade painted on the canvas
+    clue: answer.clue || categoryClues[answer.category] || null, // Where the matching object is found (hint)
+    options: shuffleArray([
+      { label: answer.label, image: answer.image, isCorrect: true },
+      ...distractors.map(object => ({ label: object.label, image: object.image, isCorrect: false })),
+    ], random),
+  };
+};
+
+/**
+ * Build one reverse question: the object is shown and the options are color swatches
+ * @param {Object} color - Catalogue color (the correct swatch)
+ * @param {Object} answer - Catalogue object tagged with the color
+ * @param {Object} options - Resolved generation options
+ * @returns {Object} - Reverse question with shuffled swatch options
+ */
+const buildReverseQuestion = (color, answer, { colors: palette, optionsPerQuestion, distractorSimilarity, random }) => {
+  const distractors = pickDistractors(
+    palette.filter(other => !answer.colors.includes(other.name)),
+    optionsPerQuestion - 1,
+    distractorSimilarity,
+    random,
+    other => deltaEHex(color.hex, other.hex),
+  );
+
+  return {
+    type: 'reverse',
+    color: color.name,                                       // Color to pick
+    hex: color.hex,
+    label: answer.label,                                     // Object shown instead of the canvas
+    image: answer.image,
+    clue: null,                                              // A location clue would not help pick a color
+    options: shuffleArray([
+      { hex: color.hex, label: color.name, isCorrect: true },
+      ...distractors.map(other => ({ hex: other.hex, label: other.name, isCorrect: false })),
+    ], random),
+  };
+};
+
+// ==================== SHADE QUESTIONS ====================
+
+export const DEFAULT_SHADE_OPTIONS = {
+  questionCount: 10,          // Rounds per game
+  optionsPerQuestion: 3,      // 1 exact match + near-miss shades
+  startDeltaE: 20,            // CIEDE2000 distance of the distractors in round 1
+  endDeltaE: 2,               // Distance in the last round (about the limit of perception)
+  colors,                     // Target colors (a question pack may replace them)
+  random: Math.random,
+};
+
+/**
+ * Find a Lab color at a given CIEDE2000 distance from a reference
+ * Walks a random direction and bisects until the distance matches
+ * @param {Object} lab - Reference Lab color
+ * @param {number} deltaE - Desired distance
+ * @param {Function} random - Random source
+ * @returns {Object|null} - Lab color inside the sRGB gamut, or null
+ */
+const findShadeAt = (lab, deltaE, random) => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const direction = { l: random() - 0.5, a: random() - 0.5, b: random() - 0.5 };
+    const length = Math.hypot(direction.l, direction.a, direction.b) || 1;
+    const move = (t) => ({
+      l: lab.l + (direction.l / length) * t,
+      a: lab.a + (direction.a / length) * t,
+      b: lab.b + (direction.b / length) * t,
+    });
+
+    // Bracket the distance, then bisect
+    let low = 0;
+    let high = 1;
+    while (deltaE2000(lab, move(high)) < deltaE && high < 256) high *= 2;
+    for (let i = 0; i < 24; i++) {
+      const mid = (low + high) / 2;
+      if (deltaE2000(lab, move(mid)) < deltaE) low = mid;
+      else high = mid;
+    }
+
+    const shade = move(high);
+    if (isInGamut(shade)) return shade;
+  }
+  return null;
+};
+
+/**
+ * Build one "Tricky Shades" question
+ * Options are swatches: the exact target plus shades `deltaE` away from it
+ * @param {Object} color - Catalogue color used as the target
+ * @param {number} deltaE - Distance of the distractors
+ * @param {number} optionsPerQuestion - Total swatches to show
+ * @param {Function} random - Random source
+ * @returns {Object} - Shade question
+ */
+const buildShadeQuestion = (color, deltaE, optionsPerQuestion, random) => {
+  const target = hexToLab(color.hex);
+  const distractors = [];
+
+  // Distractors must also be distinguishable from each other
+  for (let attempt = 0; distractors.length < optionsPerQuestion - 1 && attempt < 20; attempt++) {
+    const shade = findShadeAt(target, deltaE, random);
+    if (shade && distractors.every(other => deltaE2000(hexToLab(other), shade) >= deltaE / 2)) {
+      distractors.push(labToHex(shade));
+    }
+  }
+
+  const options = shuffleArray([
+    { hex: color.hex, isCorrect: true },
+    ...distractors.map(hex => ({ hex, isCorrect: false })),
+  ], random);
+
+  return {
+    type: 'shade',
+    color: color.name,
+    hex: color.hex,
+    deltaE: Math.round(deltaE * 10) / 10,                  // Difficulty reached in this round
+    options: options.map((option, index) => ({ ...option, label: `Shade ${String.fromCharCode(65 + index)}` })),
+  };
+};
+
+/**
+ * Generate a shade-discrimination game
+ * Distractors get perceptually closer (lower delta E) every round
+ * @param {Object} [options] - Generation options (see DEFAULT_SHADE_OPTIONS)
+ * @returns {Array} - Shade questions, easiest first
+ */
+export const getShadeQuestions = (options = {}) => {
+  const { questionCount, optionsPerQuestion, startDeltaE, endDeltaE, colors: targets, random } = { ...DEFAULT_SHADE_OPTIONS, ...options };
+  const ratio = questionCount > 1 ? (endDeltaE / startDeltaE) ** (1 / (questionCount - 1)) : 1;
+
+  let cycle = [];
+  return Array.from({ length: questionCount }, (_, round) => {
+    if (!cycle.length) cycle = shuffleArray(targets, random);
+    return buildShadeQuestion(cycle.pop(), startDeltaE * ratio ** round, optionsPerQuestion, random);
+  });
+};
+
+// ==================== MIXING QUESTIONS ====================
+
+export const DEFAULT_MIX_OPTIONS = {
+  questionCount: 10,          // Rounds per game
+  paints: 3,                  // Palette size: the first N of PAINTS (red, yellow, blue, white, black)
+  maxPaints: 2,               // Paints combined in a target recipe
+  maxDrops: 1,                // Drops of each paint in a target recipe
+  random: Math.random,
+};
+
+/**
+ * Draw a random paint recipe; it always contains a colored pigment and at least two paints
+ * @param {Array} palette - Paints available
+ * @param {number} maxPaints - Most paints to combine
+ * @param {number} maxDrops - Most drops per paint
+ * @param {Function} random - Random source
+ * @returns {Object} - Drop count per paint name
+ */
+const randomRecipe = (palette, maxPaints, maxDrops, random) => {
+  const [pigment, ...others] = shuffleArray(palette.filter(paint => paint.ryb), random);
+  const extras = shuffleArray([...others, ...palette.filter(paint => !paint.ryb)], random);
+  const paintCount = 2 + Math.floor(random() * (Math.max(2, maxPaints) - 1));
+
+  return Object.fromEntries([pigment, ...extras.slice(0, paintCount - 1)]
+    .map(paint => [paint.name, 1 + Math.floor(random() * maxDrops)]));
+};
+
+/**
+ * Generate a color mixing game: each target is a color some recipe of palette paints produces
+ * @param {Object} [options] - Generation options (see DEFAULT_MIX_OPTIONS)
+ * @returns {Array} - Mixing questions
+ */
+export const getMixingQuestions = (options = {}) => {
+  const { questionCount, paints, maxPaints, maxDrops, random } = { ...DEFAULT_MIX_OPTIONS, ...options };
+  const palette = PAINTS.slice(0, paints);
+  const usedHexes = new Set();
+
+  return Array.from({ length: questionCount }, () => {
+    // Prefer targets not seen yet this game (small palettes only have a few)
+    let recipe = randomRecipe(palette, maxPaints, maxDrops, random);
+    for (let attempt = 0; usedHexes.has(mixPaints(recipe)) && attempt < 20; attempt++) {
+      recipe = randomRecipe(palette, maxPaints, maxDrops, random);
+    }
+    const hex = mixPaints(recipe);
+    usedHexes.add(hex);
+
+    // Name the target after the closest catalogue color, for history and statistics
+    const nearest = colors.reduce((best, color) => (deltaEHex(hex, color.hex) < deltaEHex(hex, best.hex) ? color : best));
+
+    return {
+      type: 'mix',
+      color: nearest.name,
+      hex,
+      recipe,
+      palette: palette.map(paint => paint.name),
+      options: [],                                           // Answered with a mix, not by picking
+    };
+  });
+};
+
+// ==================== SPELLING QUESTIONS ====================
+
+export const DEFAULT_SPELLING_OPTIONS = {
+  questionCount: 10,          // Rounds per game
+  colors,                     // Colors to spell (a question pack may replace them)
+  random: Math.random,
+};
+
+/**
+ * Generate a spelling game: the swatch is shown and the player types its name
+ * Every color is asked once before any repeats
+ * @param {Object} [options] - Generation options (see DEFAULT_SPELLING_OPTIONS)
+ * @returns {Array} - Spelling questions
+ */
+export const getSpellingQuestions = (options = {}) => {
+  const { questionCount, colors: words, random } = { ...DEFAULT_SPELLING_OPTIONS, ...options };
+
+  let cycle = [];
+  return Array.from({ length: questionCount }, () => {
+    if (!cycle.length) cycle = shuffleArray(words, random);
+    const color = cycle.pop();
+    return {
+      type: 'spell',
+      color: color.name,
+      hex: color.hex,
+      aliases: color.aliases || [],                          // Also accepted, e.g. grey for gray
+      options: [],                                           // Answered by typing, not by picking
+    };
+  });
+};
+
 // ==================== MAIN EXPORT FUNCTION ====================
 
+// Resolve generation options and collect every playable (color, object) pair
+const preparePairs = (options) => {
+  const settings = { ...DEFAULT_QUESTION_OPTIONS, ...options };
+  const { categories } = settings;
+  settings.colorHexes = Object.fromEntries(settings.colors.map(color => [color.name, color.hex]));
+
+  // Restrict the catalogue to the allowed categories
+  const pool = categories ? settings.objects.filter(object => categories.includes(object.category)) : settings.objects;
+
+  const pairs = settings.colors.flatMap(color =>
+    pool.filter(object => object.colors.includes(color.name)).map(answer => ({ color, answer }))
+  );
+  return { settings, pool, pairs };
+};
+
+// Draw pairs in shuffled cycles, building one question per pair, until enough rounds exist
+const drawQuestions = (pairs, count, random, build) => {
+  const questions = [];
+  let cycle = [];
+  while (pairs.length && questions.length < count) {
+    if (!cycle.length) cycle = shuffleArray(pairs, random);
+    const { color, answer } = cycle.pop();
+    questions.push(build(color, answer));
+  }
+  return questions;
+};
+
 /**
  * Generate shuffled questions for a new game session
- * Creates randomized question order and option arrangements
+ * Every (color, object) pair is used once before any pair repeats
+ * @param {Object} [options] - Generation options (see DEFAULT_QUESTION_OPTIONS)
+ * @param {number} [options.questionCount] - Number of rounds to build
+ * @param {number} [options.optionsPerQuestion] - Options shown per round
+ * @param {string} [options.distractorSimilarity] - 'far' | 'any' | 'near'
+ * @param {Array<string>} [options.categories] - Object categories to draw from
+ * @param {Array} [options.colors] - Colors to ask about (defaults to the catalogue)
+ * @param {Array} [options.objects] - Objects to show (defaults to the catalogue)
+ * @param {Function} [options.random] - Random source (seeded for the Daily Challenge)
  * @returns {Array} - Array of questions with shuffled order and options
  */
-const getShuffledQuestions = () => {
-  // Step 1: Shuffle the order of questions
-  // This ensures different question sequences each game
-  const shuffledQuestions = shuffleArray(staticQuestions);
-  
-  // Step 2: Shuffle options within each question
-  // This prevents players from memorizing answer positions
-  return shuffledQuestions.map(question => ({
-    ...question,                                             // Preserve question properties
-    options: shuffleArray(question.options)                 // Shuffle answer options
-  }));
+const getShuffledQuestions = (options = {}) => {
+  const { settings, pool, pairs } = preparePairs(options);
+  return drawQuestions(pairs, settings.questionCount, settings.random,
+    (color, answer) => buildQuestion(color, answer, pool, settings));
+};
+
+/**
+ * Generate a reverse game from the same (color, object) pairs: show the object, pick its color
+ * @param {Object} [options] - Generation options (see DEFAULT_QUESTION_OPTIONS)
+ * @returns {Array} - Reverse questions
+ */
+export const getReverseQuestions = (options = {}) => {
+  const { settings, pairs } = preparePairs(options);
+  return drawQuestions(pairs, settings.questionCount, settings.random,
+    (color, answer) => buildReverseQuestion(color, answer, settings));
+};
+
+/**
+ * Generate a practice game from a schedule: the lowest-ranked (color, object) pairs are asked,
+ * ties broken at random, in shuffled order
+ * @param {Object} [options] - Generation options (see DEFAULT_QUESTION_OPTIONS)
+ * @param {Function} options.priority - (color, object) => number, lower is asked sooner
+ * @returns {Array} - Questions for the weakest pairs
+ */
+export const getPracticeQuestions = ({ priority, ...options } = {}) => {
+  const { settings, pool, pairs } = preparePairs(options);
+  const { questionCount, random } = settings;
+
+  const ranked = shuffleArray(pairs, random)
+    .map(pair => ({ ...pair, rank: priority(pair.color, pair.answer) }))
+    .sort((a, b) => a.rank - b.rank);
+  const chosen = ranked.slice(0, questionCount);
+
+  return drawQuestions(chosen, questionCount, random,
+    (color, answer) => buildQuestion(color, answer, pool, settings));
+};
+
+/**
+ * Generate "select all that match" rounds: a larger grid where several objects share the target color
+ * Only colors with at least two matching objects are asked
+ * @param {Object} [options] - Generation options (see DEFAULT_QUESTION_OPTIONS, uses gridSize)
+ * @returns {Array} - Multi-answer questions
+ */
+export const getMultiQuestions = (options = {}) => {
+  const { settings, pool } = preparePairs(options);
+  const { questionCount, gridSize, distractorSimilarity, random, colorHexes } = settings;
+
+  const targets = settings.colors
+    .map(color => ({ color, matches: pool.filter(object => object.colors.includes(color.name)) }))
+    .filter(({ matches }) => matches.length >= 2);
+  if (!targets.length) return [];
+
+  let cycle = [];
+  return Array.from({ length: questionCount }, () => {
+    if (!cycle.length) cycle = shuffleArray(targets, random);
+    const { color, matches } = cycle.pop();
+
+    // Keep at least two distractors on the grid
+    const answers = shuffleArray(matches, random).slice(0, gridSize - 2);
+    const distractors = pickDistractors(
+      pool.filter(object => !object.colors.includes(color.name)),
+      gridSize - answers.length,
+      distractorSimilarity,
+      random,
+      object => distanceToObject(color, object, colorHexes),
+    );
+
+    return {
+      type: 'multi',
+      color: color.name,
+      hex: color.hex,
+      clue: null,                                            // Matches come from several places
+      options: shuffleArray([
+        ...answers.map(object => ({ label: object.label, image: object.image, isCorrect: true })),
+        ...distractors.map(object => ({ label: object.label, image: object.image, isCorrect: false })),
+      ], random),
+    };
+  });
+};
+
+/**
+ * Generate a fair hot-seat game: every round asks all players about the same color,
+ * each with a different object where the color has enough, so no one can copy the previous answer
+ * Questions are interleaved by turn (question i belongs to player i % playerCount)
+ * @param {Object} [options] - Generation options (see DEFAULT_QUESTION_OPTIONS)
+ * @param {number} [options.playerCount] - Players taking turns
+ * @param {number} [options.questionCount] - Rounds per player
+ * @returns {Array} - playerCount * questionCount questions
+ */
+export const getHotSeatQuestions = ({ playerCount = 2, ...options } = {}) => {
+  const { settings, pool, pairs } = preparePairs(options);
+  const { questionCount, random } = settings;
+
+  const targets = settings.colors
+    .map(color => ({ color, answers: pairs.filter(pair => pair.color === color).map(pair => pair.answer) }))
+    .filter(({ answers }) => answers.length);
+  // Prefer colors with a different object for every player
+  const fairTargets = targets.filter(({ answers }) => answers.length >= playerCount);
+  const rounds = fairTargets.length ? fairTargets : targets;
+  if (!rounds.length) return [];
+
+  let cycle = [];
+  return Array.from({ length: questionCount }).flatMap(() => {
+    if (!cycle.length) cycle = shuffleArray(rounds, random);
+    const { color, answers } = cycle.pop();
+    const shuffled = shuffleArray(answers, random);
+    return Array.from({ length: playerCount }, (_, player) =>
+      buildQuestion(color, shuffled[player % shuffled.length], pool, settings));
+  });
 };
 
 // ==================== MODULE EXPORTS ====================
 
+export { shuffleArray };
+
 // Export the dynamic question generator as default export
 // This function should be called each time a new game starts
 export default getShuffledQuestions;
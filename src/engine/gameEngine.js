@@ -0,0 +1,787 @@
+/**
+ * ColorQuest Game Engine
+ * Framework-free state machine for the round lifecycle shared by every game screen
+ * All time-dependent transitions receive `now` from the caller so a clock can be injected
+ */
+
+// ==================== STATES & ACTIONS ====================
+
+// Lifecycle of a game: asking -> feedback -> transition -> asking ... -> finished
+// (hot-seat games pass the device between turns: transition -> handoff -> asking)
+export const GAME_STATES = {
+  IDLE: 'idle',               // No questions loaded yet
+  HANDOFF: 'handoff',         // Waiting for the next player to take the device
+  ASKING: 'asking',           // Waiting for the player to answer
+  FEEDBACK: 'feedback',       // Answer locked in, showing correct/wrong feedback
+  TRANSITION: 'transition',   // Fading out before the next question
+  FINISHED: 'finished',       // Game over, result ready to be saved
+};
+
+export const ACTIONS = {
+  START: 'START',             // { mode, difficulty, questions, hintBudget, players, now }
+  SELECT: 'SELECT',           // { optionIndex, now }
+  ADVANCE: 'ADVANCE',         // { now } - fired by the scheduler when a delay elapses
+  TICK: 'TICK',               // { now } - fired periodically while the game clock runs
+  HINT: 'HINT',               // { hint, now }
+  SUBMIT: 'SUBMIT',           // { credit, response, now } - free-form answer (e.g. a paint mix) scored 0-1
+  TOGGLE: 'TOGGLE',           // { optionIndex, now } - pick / unpick an option in a multi-answer round
+  CONFIRM: 'CONFIRM',         // { now } - lock in the picks of a multi-answer round
+  EXTEND: 'EXTEND',           // { questions } - append rounds to an endless game
+  READY: 'READY',             // { now } - the next player has the device, start their turn
+  BUZZ: 'BUZZ',               // { player, optionIndex, now } - a race player answers the shared question
+};
+
+// Free-form answers earning at least this credit count as correct
+export const PASS_CREDIT = 0.5;
+
+// Length of the fade between two questions (ms)
+export const TRANSITION_DURATION = 400;
+
+// ==================== MODE RULES ====================
+
+// Per-mode configuration; times in seconds, durations in milliseconds
+export const MODE_SETTINGS = {
+  classic: {
+    timeLimit: null,
+    showTimer: false,
+    autoAdvance: true,
+    feedbackDuration: 1800,
+    questionTime: null,
+  },
+  timed: {
+    timeLimit: 60,
+    showTimer: true,
+    autoAdvance: true,
+    feedbackDuration: 1000,
+    questionTime: null,
+  },
+  speed: {
+    timeLimit: null,
+    showTimer: true,
+    autoAdvance: true,
+    feedbackDuration: 800,
+    questionTime: null,
+  },
+  hard: {
+    timeLimit: 90,
+    showTimer: true,
+    autoAdvance: true,
+    feedbackDuration: 1200,
+    questionTime: 15,
+  },
+  // Same pacing as classic; questions come from the date-seeded generator
+  daily: {
+    timeLimit: null,
+    showTimer: false,
+    autoAdvance: true,
+    feedbackDuration: 1800,
+    questionTime: null,
+  },
+  // Same pacing as classic; the object is shown and a color swatch is picked
+  reverse: {
+    timeLimit: null,
+    showTimer: false,
+    autoAdvance: true,
+    feedbackDuration: 1800,
+    questionTime: null,
+  },
+  // Longer feedback so the mix can be compared with the target
+  mix: {
+    timeLimit: null,
+    showTimer: false,
+    autoAdvance: true,
+    feedbackDuration: 3000,
+    questionTime: null,
+  },
+  // Longer feedback so the correct spelling can be read
+  spell: {
+    timeLimit: null,
+    showTimer: false,
+    autoAdvance: true,
+    feedbackDuration: 2500,
+    questionTime: null,
+  },
+  // "Select all that match": longer feedback to review hits, misses and false picks
+  multi: {
+    timeLimit: null,
+    showTimer: false,
+    autoAdvance: true,
+    feedbackDuration: 2500,
+    questionTime: null,
+  },
+  // Same pacing as classic; questions come from the mastery schedule
+  practice: {
+    timeLimit: null,
+    showTimer: false,
+    autoAdvance: true,
+    feedbackDuration: 1800,
+    questionTime: null,
+  },
+  // Endless: rounds keep coming until the lives run out; pacing follows the level (see SURVIVAL)
+  survival: {
+    timeLimit: null,
+    showTimer: false,
+    autoAdvance: true,
+    feedbackDuration: 1800,
+    questionTime: null,
+    endless: true,
+    lives: 3,
+  },
+  // Hot-seat: players take turns on one device, one question each per round (see getTurnPlayer)
+  hotseat: {
+    timeLimit: null,
+    showTimer: false,
+    autoAdvance: true,
+    feedbackDuration: 1800,
+    questionTime: null,
+    turns: true,
+  },
+  // Race: players answer the same question at once; the first right answer wins the round (see BUZZ)
+  race: {
+    timeLimit: null,
+    showTimer: false,
+    autoAdvance: true,
+    feedbackDuration: 2000,
+    questionTime: null,
+    race: true,
+  },
+};
+
+// Survival runs level up every few rounds: feedback gets shorter and more options are shown
+export const SURVIVAL = {
+  roundsPerLevel: 5,
+  feedbackSpeedup: 0.85,      // Feedback duration multiplier per level
+  minFeedbackDuration: 500,   // ms
+  maxOptions: 5,
+};
+
+// ==================== DIFFICULTY ====================
+
+// Per-difficulty rules from the Settings page; scales apply to the mode settings above
+export const DIFFICULTY_SETTINGS = {
+  easy: {
+    optionsPerQuestion: 2,
+    distractorSimilarity: 'far',    // Distractors with clearly different colors
+    shadeDeltaE: [30, 5],           // Tricky Shades start/end distance
+    mixRecipe: { paints: 3, maxPaints: 2, maxDrops: 1 }, // Color mixing targets: first N paints, paints per recipe, drops per paint
+    spellingHint: true,             // Spelling mode shows the first letter and word length
+    gridSize: 6,                    // Objects per "select all that match" round
+    feedbackScale: 1.25,
+    timeScale: 1.5,
+  },
+  normal: {
+    optionsPerQuestion: 3,
+    distractorSimilarity: 'any',
+    shadeDeltaE: [20, 2],
+    mixRecipe: { paints: 4, maxPaints: 2, maxDrops: 2 },
+    spellingHint: false,
+    gridSize: 8,
+    feedbackScale: 1,
+    timeScale: 1,
+  },
+  hard: {
+    optionsPerQuestion: 5,
+    distractorSimilarity: 'near',   // Distractors with neighbouring colors
+    shadeDeltaE: [12, 1],
+    mixRecipe: { paints: 5, maxPaints: 3, maxDrops: 3 },
+    spellingHint: false,
+    gridSize: 9,
+    feedbackScale: 0.75,
+    timeScale: 0.75,
+  },
+};
+
+export const DIFFICULTIES = Object.keys(DIFFICULTY_SETTINGS);
+
+/**
+ * Resolve the rules for a difficulty, falling back to normal
+ * @param {string} difficulty - 'easy' | 'normal' | 'hard'
+ * @returns {Object} - Difficulty settings
+ */
+export const getDifficultySettings = (difficulty) => DIFFICULTY_SETTINGS[difficulty] || DIFFICULTY_SETTINGS.normal;
+
+/**
+ * Resolve the settings for a game mode, falling back to classic
+ * Time budgets and feedback duration are scaled by the difficulty
+ * @param {string} mode - Game mode key from the `mode` query param
+ * @param {string} [difficulty] - Difficulty key, defaults to normal
+ * @returns {Object} - Mode settings
+ */
+export const getModeSettings = (mode, difficulty = 'normal') => {
+  const base = MODE_SETTINGS[mode] || MODE_SETTINGS.classic;
+  const { feedbackScale, timeScale } = getDifficultySettings(difficulty);
+  const scaleTime = (seconds) => (seconds ? Math.round(seconds * timeScale) : seconds);
+
+  return {
+    ...base,
+    timeLimit: scaleTime(base.timeLimit),
+    questionTime: scaleTime(base.questionTime),
+    feedbackDuration: Math.round(base.feedbackDuration * feedbackScale),
+  };
+};
+
+/**
+ * Survival level of a round
+ * @param {number} roundIndex - 0-based round number
+ * @returns {number} - Level, starting at 1
+ */
+export const getSurvivalLevel = (roundIndex) => Math.floor(roundIndex / SURVIVAL.roundsPerLevel) + 1;
+
+/**
+ * Pacing and grid size of a survival level
+ * @param {number} level - Survival level
+ * @param {string} [difficulty] - Difficulty key, sets the starting option count and pace
+ * @returns {{optionsPerQuestion: number, feedbackDuration: number}} - Options per round and feedback (ms)
+ */
+export const getSurvivalRules = (level, difficulty = 'normal') => {
+  const { optionsPerQuestion } = getDifficultySettings(difficulty);
+  const { feedbackDuration } = getModeSettings('survival', difficulty);
+  return {
+    optionsPerQuestion: Math.min(SURVIVAL.maxOptions, optionsPerQuestion + level - 1),
+    feedbackDuration: Math.max(
+      SURVIVAL.minFeedbackDuration,
+      Math.round(feedbackDuration * SURVIVAL.feedbackSpeedup ** (level - 1)),
+    ),
+  };
+};
+
+// ==================== HINTS ====================
+
+export const HINTS = {
+  FIFTY_FIFTY: 'fiftyFifty',  // Remove one distractor
+  GLOW: 'glow',               // Pulse the correct option (offered after inactivity)
+  CLUE: 'clue',               // Tell where the matching object is found
+};
+
+// Credit lost on a correct answer for each hint used on that question
+export const HINT_PENALTIES = {
+  fiftyFifty: 0.5,
+  glow: 0.5,
+  clue: 0.25,
+};
+
+// Hints available per game when hints are enabled
+export const DEFAULT_HINT_BUDGET = 3;
+
+// ==================== CLOCK ====================
+
+// Default clock backed by the browser timers; tests can pass a fake with the same shape
+export const systemClock = {
+  now: () => Date.now(),
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: (id) => clearTimeout(id),
+  setInterval: (callback, delay) => setInterval(callback, delay),
+  clearInterval: (id) => clearInterval(id),
+};
+
+// ==================== STATE ====================
+
+/**
+ * Create the initial engine state for a mode
+ * @param {string} mode - Game mode key
+ * @param {string} [difficulty] - Difficulty key
+ * @returns {Object} - Idle engine state
+ */
+export const createGameState = (mode = 'classic', difficulty = 'normal') => {
+  const settings = getModeSettings(mode, difficulty);
+  return {
+    status: GAME_STATES.IDLE,
+    mode: MODE_SETTINGS[mode] ? mode : 'classic',
+    difficulty: DIFFICULTY_SETTINGS[difficulty] ? difficulty : 'normal',
+    settings,
+    questions: [],
+    currentIndex: 0,
+    score: 0,
+    selectedOption: null,     // Index of the option picked for the current question
+    selectedOptions: [],      // Options picked so far in a multi-answer round
+    lastAnswerCorrect: null,  // Whether the current question was answered correctly
+    timedOut: false,          // Whether the current question ran out of time
+    hintsRemaining: 0,        // Hint budget left for this game
+    hintsUsed: [],            // Hints used on the current question
+    hiddenOptions: [],        // Option indexes removed by 50/50
+    answers: [],              // One entry per answered question, in order
+    startedAt: null,          // Clock time the game started (ms)
+    finishedAt: null,         // Clock time the game ended (ms)
+    elapsed: 0,               // Whole seconds since start
+    timeLeft: settings.timeLimit || 0,
+    questionStartedAt: null,  // Clock time the current question was shown (ms)
+    questionTimeLeft: settings.questionTime || 0,
+    lives: settings.lives || 0, // Wrong answers left in an endless game
+    level: 1,                 // Survival level of the current round
+    players: [],              // Hot-seat / race player names in turn order (empty for one player)
+    buzzes: [],               // Race answers given so far on the current question
+    finishReason: null,       // 'completed' | 'timeout' | 'out-of-lives'
+  };
+};
+
+// ==================== TURNS ====================
+
+/**
+ * Player who answers a question in a hot-seat game: turns go round the players, one question each
+ * @param {Object} state - Engine state
+ * @param {number} [questionIndex] - Question, defaults to the current one
+ * @returns {number|null} - Index in `state.players`, null for one-player games
+ */
+export const getTurnPlayer = (state, questionIndex = state.currentIndex) =>
+  state.settings.turns && state.players.length > 1 ? questionIndex % state.players.length : null;
+
+// Hot-seat games hand the device over before every turn
+const firstTurnStatus = (settings, players) =>
+  (settings.turns && players.length > 1 ? GAME_STATES.HANDOFF : GAME_STATES.ASKING);
+
+/**
+ * Race players who answered the current question wrong and may not answer again this round
+ * @param {Object} state - Engine state
+ * @returns {Array<number>} - Indexes in `state.players`
+ */
+export const getLockedOutPlayers = (state) =>
+  state.buzzes.filter(buzz => !buzz.correct).map(buzz => buzz.player);
+
+// ==================== REDUCER ====================
+
+const finish = (state, now, reason) => ({
+  ...state,
+  status: GAME_STATES.FINISHED,
+  finishedAt: now,
+  finishReason: reason,
+});
+
+// Credit for a correct answer after hint penalties
+const getCredit = (hintsUsed) =>
+  Math.max(0, 1 - hintsUsed.reduce((total, hint) => total + HINT_PENALTIES[hint], 0));
+
+// Lock in an answer for the current question
+// `optionIndex` is null for timeouts, free-form and multi-answer rounds; `credit` (0-1) defaults to all or nothing;
+// `details` adds mode-specific fields to the answer record; `now` times the reaction
+const answer = (state, { optionIndex = null, correct, timedOut = false, credit = correct ? 1 : 0, response, details, now }) => ({
+  ...state,
+  status: GAME_STATES.FEEDBACK,
+  selectedOption: optionIndex,
+  lastAnswerCorrect: correct,
+  timedOut,
+  lives: state.settings.lives && !correct ? state.lives - 1 : state.lives,
+  score: credit > 0 ? Math.round((state.score + credit * getCredit(state.hintsUsed)) * 100) / 100 : state.score,
+  answers: [
+    ...state.answers,
+    {
+      questionIndex: state.currentIndex,
+      optionIndex,
+      correct,
+      timedOut,
+      hints: state.hintsUsed,
+      credit,
+      reactionMs: now - state.questionStartedAt,
+      ...(getTurnPlayer(state) !== null && { player: getTurnPlayer(state) }),
+      ...(response !== undefined && { response }),
+      ...details,
+    },
+  ],
+});
+
+/**
+ * Score the picks of a multi-answer round
+ * Each false pick cancels a hit; credit is the share of matches found
+ * @param {Array} options - Question options
+ * @param {Array<number>} picks - Picked option indexes
+ * @returns {{hits: number, misses: number, falsePicks: number, credit: number}} - Tally and 0-1 credit
+ */
+export const scoreSelection = (options, picks) => {
+  const matches = options.filter(option => option.isCorrect).length;
+  const hits = picks.filter(index => options[index].isCorrect).length;
+  const falsePicks = picks.length - hits;
+  const credit = matches ? Math.max(0, (hits - falsePicks) / matches) : 0;
+  return { hits, misses: matches - hits, falsePicks, credit: Math.round(credit * 100) / 100 };
+};
+
+// Apply a hint to the current question
+const applyHint = (state, hint) => {
+  const next = {
+    ...state,
+    hintsRemaining: state.hintsRemaining - 1,
+    hintsUsed: [...state.hintsUsed, hint],
+  };
+  if (hint !== HINTS.FIFTY_FIFTY) return next;
+
+  // 50/50 hides the first still-visible distractor (options are already shuffled), never a pick
+  const options = state.questions[state.currentIndex].options;
+  const removed = options.findIndex((option, index) =>
+    !option.isCorrect && !state.hiddenOptions.includes(index) && !state.selectedOptions.includes(index));
+  return removed === -1 ? next : { ...next, hiddenOptions: [...state.hiddenOptions, removed] };
+};
+
+const tick = (state, now) => {
+  const { timeLimit, questionTime } = state.settings;
+  const elapsed = Math.floor((now - state.startedAt) / 1000);
+  const timeLeft = timeLimit ? Math.max(0, timeLimit - elapsed) : 0;
+
+  // The per-question countdown only runs while the player can still answer
+  const questionRunning = questionTime && state.status === GAME_STATES.ASKING;
+  const questionTimeLeft = questionRunning
+    ? Math.max(0, questionTime - Math.floor((now - state.questionStartedAt) / 1000))
+    : state.questionTimeLeft;
+
+  if (elapsed === state.elapsed && timeLeft === state.timeLeft && questionTimeLeft === state.questionTimeLeft) {
+    return state;
+  }
+
+  const next = { ...state, elapsed, timeLeft, questionTimeLeft };
+  if (timeLimit && timeLeft === 0) return finish(next, now, 'timeout');
+  if (questionRunning && questionTimeLeft === 0) return answer(next, { correct: false, timedOut: true, now });
+  return next;
+};
+
+/**
+ * Pure reducer driving the game lifecycle
+ * @param {Object} state - Current engine state
+ * @param {Object} action - One of ACTIONS with its payload
+ * @returns {Object} - Next engine state (same reference when nothing changed)
+ */
+export const gameReducer = (state, action) => {
+  switch (action.type) {
+    case ACTIONS.START: {
+      const players = action.players ?? [];
+      const initial = createGameState(action.mode ?? state.mode, action.difficulty ?? state.difficulty);
+      return {
+        ...initial,
+        status: action.questions.length ? firstTurnStatus(initial.settings, players) : GAME_STATES.IDLE,
+        questions: action.questions,
+        hintsRemaining: action.hintBudget ?? DEFAULT_HINT_BUDGET,
+        players,
+        startedAt: action.now,
+        questionStartedAt: action.now,
+      };
+    }
+
+    case ACTIONS.READY:
+      if (state.status !== GAME_STATES.HANDOFF) return state;
+      // reaction times start when the player is ready, not when the device was passed
+      return {
+        ...state,
+        status: GAME_STATES.ASKING,
+        questionStartedAt: action.now,
+        questionTimeLeft: state.settings.questionTime || 0,
+      };
+
+    case ACTIONS.SELECT: {
+      if (state.status !== GAME_STATES.ASKING) return state;
+
+      const question = state.questions[state.currentIndex];
+      const option = question.options[action.optionIndex];
+      // multi-answer rounds collect picks with TOGGLE and lock them in with CONFIRM; race players BUZZ
+      if (!option || question.type === 'multi' || state.settings.race || state.hiddenOptions.includes(action.optionIndex)) return state;
+
+      return answer(state, { optionIndex: action.optionIndex, correct: option.isCorrect, now: action.now });
+    }
+
+    case ACTIONS.BUZZ: {
+      if (state.status !== GAME_STATES.ASKING || !state.settings.race) return state;
+      if (!state.players[action.player] || getLockedOutPlayers(state).includes(action.player)) return state;
+
+      const option = state.questions[state.currentIndex].options[action.optionIndex];
+      if (!option) return state;
+
+      // the first right answer wins the round; a wrong one locks that player out until the next round
+      const buzzes = [...state.buzzes, {
+        player: action.player,
+        optionIndex: action.optionIndex,
+        correct: option.isCorrect,
+        reactionMs: action.now - state.questionStartedAt,
+      }];
+      if (option.isCorrect) {
+        return answer({ ...state, buzzes }, {
+          optionIndex: action.optionIndex, correct: true, details: { player: action.player, buzzes }, now: action.now,
+        });
+      }
+      const next = { ...state, buzzes };
+      if (getLockedOutPlayers(next).length < state.players.length) return next;
+      // everyone missed: nobody wins the round
+      return answer(next, { correct: false, details: { buzzes }, now: action.now });
+    }
+
+    case ACTIONS.TOGGLE: {
+      if (state.status !== GAME_STATES.ASKING) return state;
+
+      const question = state.questions[state.currentIndex];
+      if (question.type !== 'multi' || !question.options[action.optionIndex]) return state;
+      if (state.hiddenOptions.includes(action.optionIndex)) return state;
+
+      const selectedOptions = state.selectedOptions.includes(action.optionIndex)
+        ? state.selectedOptions.filter(index => index !== action.optionIndex)
+        : [...state.selectedOptions, action.optionIndex];
+      return { ...state, selectedOptions };
+    }
+
+    case ACTIONS.CONFIRM: {
+      if (state.status !== GAME_STATES.ASKING || !state.selectedOptions.length) return state;
+
+      const { hits, misses, falsePicks, credit } = scoreSelection(state.questions[state.currentIndex].options, state.selectedOptions);
+      return answer(state, {
+        correct: credit >= PASS_CREDIT,
+        credit,
+        details: { picks: state.selectedOptions, hits, misses, falsePicks },
+        now: action.now,
+      });
+    }
+
+    case ACTIONS.SUBMIT: {
+      if (state.status !== GAME_STATES.ASKING) return state;
+
+      const credit = Math.min(1, Math.max(0, action.credit));
+      return answer(state, { correct: credit >= PASS_CREDIT, credit, response: action.response, now: action.now });
+    }
+
+    case ACTIONS.ADVANCE:
+      if (state.status === GAME_STATES.FEEDBACK) {
+        return { ...state, status: GAME_STATES.TRANSITION };
+      }
+      if (state.status === GAME_STATES.TRANSITION) {
+        if (state.settings.lives && state.lives <= 0) {
+          return finish(tick(state, action.now), action.now, 'out-of-lives');
+        }
+        if (state.currentIndex + 1 >= state.questions.length) {
+          return finish(tick(state, action.now), action.now, 'completed');
+        }
+        // endless games speed up as they level
+        const level = state.settings.endless ? getSurvivalLevel(state.currentIndex + 1) : state.level;
+        return {
+          ...state,
+          ...(level !== state.level && {
+            level,
+            settings: { ...state.settings, feedbackDuration: getSurvivalRules(level, state.difficulty).feedbackDuration },
+          }),
+          status: firstTurnStatus(state.settings, state.players),
+          currentIndex: state.currentIndex + 1,
+          selectedOption: null,
+          selectedOptions: [],
+          buzzes: [],
+          lastAnswerCorrect: null,
+          timedOut: false,
+          hintsUsed: [],
+          hiddenOptions: [],
+          questionStartedAt: action.now,
+          questionTimeLeft: state.settings.questionTime || 0,
+        };
+      }
+      return state;
+
+    case ACTIONS.EXTEND:
+      if (!state.settings.endless || state.status === GAME_STATES.FINISHED) return state;
+      return { ...state, questions: [...state.questions, ...action.questions] };
+
+    case ACTIONS.TICK:
+      if (state.status === GAME_STATES.IDLE || state.status === GAME_STATES.FINISHED) return state;
+      return tick(state, action.now);
+
+    case ACTIONS.HINT:
+      return canUseHint(state, action.hint) ? applyHint(state, action.hint) : state;
+
+    default:
+      return state;
+  }
+};
+
+// ==================== SELECTORS ====================
+
+/**
+ * Question currently shown to the player
+ * @param {Object} state - Engine state
+ * @returns {Object|undefined} - Current question
+ */
+export const getCurrentQuestion = (state) => state.questions[state.currentIndex];
+
+/**
+ * Whether a hint can be used on the current question
+ * Each hint works once per question and needs budget left
+ * @param {Object} state - Engine state
+ * @param {string} hint - One of HINTS
+ * @returns {boolean} - True when the HINT action would be applied
+ */
+export const canUseHint = (state, hint) => {
+  const question = state.questions[state.currentIndex];
+  if (state.status !== GAME_STATES.ASKING || !question) return false;
+  if (state.hintsRemaining <= 0 || state.hintsUsed.includes(hint)) return false;
+
+  switch (hint) {
+    case HINTS.FIFTY_FIFTY: {
+      // Keep at least one distractor on screen
+      const visibleDistractors = question.options.filter(
+        (option, index) => !option.isCorrect && !state.hiddenOptions.includes(index) && !state.selectedOptions.includes(index)
+      );
+      return visibleDistractors.length >= 2;
+    }
+    case HINTS.CLUE:
+      return Boolean(question.clue);
+    case HINTS.GLOW:
+      return question.options.length > 0;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Rounds that count towards the score: every question, or only those played in an endless game
+ * @param {Object} state - Engine state
+ * @returns {number} - Question total
+ */
+export const getQuestionTotal = (state) =>
+  state.settings.endless ? state.answers.length : state.questions.length;
+
+/**
+ * Score as a rounded percentage of the question total
+ * @param {Object} state - Engine state
+ * @returns {number} - 0-100
+ */
+export const getPercentage = (state) => {
+  const total = getQuestionTotal(state);
+  return total ? Math.round((state.score / total) * 100) : 0;
+};
+
+/**
+ * Smallest shade distance the player answered correctly (Tricky Shades)
+ * @param {Object} state - Engine state
+ * @returns {number|null} - Delta E reached, null when no shade question was solved
+ */
+export const getShadeThreshold = (state) => {
+  const solved = state.answers
+    .filter(answer => answer.correct)
+    .map(answer => state.questions[answer.questionIndex].deltaE)
+    .filter(deltaE => typeof deltaE === 'number');
+  return solved.length ? Math.min(...solved) : null;
+};
+
+// Object a question pairs with its color: the shown object in reverse mode, the right option in picture rounds
+const getQuestionObject = (question) => {
+  if (question.type === 'reverse') return question.label;
+  if (question.type) return undefined;
+  return question.options.find(option => option.isCorrect)?.label;
+};
+
+// Option the player chose: its label, every picked label in multi-answer rounds, null for timeouts and free-form answers
+const getChosenOption = (question, entry) => {
+  if (entry.picks) return entry.picks.map(index => question.options[index].label);
+  return entry.optionIndex !== null ? question.options[entry.optionIndex].label : null;
+};
+
+/**
+ * Build the history record for a finished game
+ * @param {Object} state - Finished engine state
+ * @returns {Object} - Game result ready to be persisted
+ */
+export const buildGameResult = (state) => {
+  const endTime = state.finishedAt ?? Date.now();
+  const duration = state.startedAt !== null ? Math.floor((endTime - state.startedAt) / 1000) : 0;
+  const isShadeGame = state.questions.some(question => question.type === 'shade');
+
+  return {
+    id: endTime,
+    score: state.score,
+    totalQuestions: getQuestionTotal(state),
+    percentage: getPercentage(state),
+    timestamp: new Date(endTime).toISOString(),
+    date: new Date(endTime).toLocaleDateString(),
+    time: new Date(endTime).toLocaleTimeString(),
+    gameMode: state.mode,
+    difficulty: state.difficulty,
+    duration,
+    timeBonus: state.mode === 'speed' ? Math.max(0, 300 - duration) : 0,
+    timeouts: state.answers.filter(entry => entry.timedOut).length,   // Unanswered, not wrong
+    hintsUsed: state.answers.reduce((total, entry) => total + entry.hints.length, 0),
+    // one record per answered round, in the order played
+    answers: state.answers.map(entry => {
+      const question = state.questions[entry.questionIndex];
+      const object = getQuestionObject(question);
+      return {
+        color: question.color,
+        ...(object && { object }),                           // Tracked for mastery
+        options: question.options.map(option => option.label), // As shown, in grid order
+        chosen: getChosenOption(question, entry),
+        correct: entry.correct,
+        reactionMs: entry.reactionMs,                        // From the question appearing to the answer
+        ...(entry.player !== undefined && { player: entry.player }), // Hot-seat: index in `players`; race: round winner
+        // race: every answer given in the round, in order
+        ...(entry.buzzes && {
+          buzzes: entry.buzzes.map(buzz => ({
+            player: buzz.player,
+            chosen: question.options[buzz.optionIndex].label,
+            correct: buzz.correct,
+            reactionMs: buzz.reactionMs,
+          })),
+        }),
+        timedOut: entry.timedOut,
+        hints: entry.hints,
+        // free-form answers keep what was given and the partial credit earned
+        ...(entry.response !== undefined && { response: entry.response, credit: entry.credit }),
+        // multi-answer rounds keep their tally
+        ...(entry.hits !== undefined && { hits: entry.hits, misses: entry.misses, falsePicks: entry.falsePicks, credit: entry.credit }),
+      };
+    }),
+    ...(isShadeGame && { deltaE: getShadeThreshold(state) }),
+    // survival: rounds survived and the highest level reached
+    ...(state.settings.endless && { runLength: state.answers.length, peakLevel: state.level }),
+    // hot-seat and race: who played (hot-seat results are split per player with getPlayerResults)
+    ...(state.players.length > 1 && { players: state.players }),
+  };
+};
+
+// ==================== MULTIPLAYER SCOREBOARD ====================
+
+/**
+ * Rank hot-seat players: highest score first, equal scores broken by the faster total response time
+ * (race players: rounds won first, then the faster total winning time)
+ * Players tied on both share a rank
+ * @param {Array<string>} players - Player names in turn order
+ * @param {Array} answers - Answers tagged with `player` (engine entries or a saved result's answers)
+ * @returns {Array<Object>} - { player, name, score, correct, answered, reactionMs, rank }, best first
+ */
+export const rankPlayers = (players, answers) => {
+  const rows = players.map((name, player) => {
+    const own = answers.filter(answer => answer.player === player);
+    const points = own.reduce((total, answer) => total + (answer.credit ?? (answer.correct ? 1 : 0)) * getCredit(answer.hints), 0);
+    return {
+      player,
+      name,
+      score: Math.round(points * 100) / 100,
+      correct: own.filter(answer => answer.correct).length,
+      answered: own.length,
+      reactionMs: own.reduce((total, answer) => total + answer.reactionMs, 0),
+    };
+  });
+  const isAhead = (a, b) => a.score > b.score || (a.score === b.score && a.reactionMs < b.reactionMs);
+
+  return rows
+    .map(row => ({ ...row, rank: 1 + rows.filter(other => isAhead(other, row)).length }))
+    .sort((a, b) => a.rank - b.rank || a.player - b.player);
+};
+
+/**
+ * Live scoreboard of a hot-seat or race game
+ * @param {Object} state - Engine state
+ * @returns {Array<Object>} - Ranked players (see rankPlayers), empty for one-player games
+ */
+export const getScoreboard = (state) =>
+  state.players.length > 1 ? rankPlayers(state.players, state.answers) : [];
+
+/**
+ * Split a finished hot-seat result into one result per player, so each is saved to their own history
+ * @param {Object} gameResult - Result built by buildGameResult
+ * @returns {Array<Object>} - Results with that player's answers, score, `player` name, `playerIndex` and `rank`
+ */
+export const getPlayerResults = (gameResult) => {
+  const questionsPerPlayer = Math.ceil(gameResult.totalQuestions / gameResult.players.length);
+  return rankPlayers(gameResult.players, gameResult.answers).map(({ player, name, score, rank }) => {
+    const answers = gameResult.answers.filter(answer => answer.player === player);
+    return {
+      ...gameResult,
+      id: `${gameResult.id}-${player}`,                      // Records are keyed by id; strings never clash with numeric game ids
+      player: name,
+      playerIndex: player,
+      rank,
+      score,
+      totalQuestions: questionsPerPlayer,
+      percentage: Math.round((score / questionsPerPlayer) * 100),
+      timeouts: answers.filter(answer => answer.timedOut).length,
+      hintsUsed: answers.reduce((total, answer) => total + answer.hints.length, 0),
+      answers,
+    };
+  });
+};
@@ -0,0 +1,274 @@
+/**
+ * Game engine tests - scoring, timeouts and mode rules, driven through the pure reducer
+ * Time comes from a fake clock passed as `now`, the way useGameEngine injects its clock
+ */
+
+import { describe, expect, it } from 'vitest';
+import {
+  ACTIONS,
+  GAME_STATES,
+  HINTS,
+  buildGameResult,
+  createGameState,
+  gameReducer,
+  getModeSettings,
+  getPercentage,
+  getPlayerResults,
+  getSurvivalRules,
+  getTurnPlayer,
+  rankPlayers,
+} from './gameEngine';
+
+// ==================== HELPERS ====================
+
+// Fake clock: only moves when told to
+const createClock = () => {
+  let time = 1_000_000;
+  return {
+    now: () => time,
+    advance: (ms) => {
+      time += ms;
+      return time;
+    },
+  };
+};
+
+// Picture round with the right answer first (index 0) and two distractors
+const makeQuestion = (color) => ({
+  color,
+  hex: '#000000',
+  options: [
+    { label: `${color} thing`, isCorrect: true },
+    { label: 'Other thing', isCorrect: false },
+    { label: 'Another thing', isCorrect: false },
+  ],
+});
+
+const makeQuestions = (count) => Array.from({ length: count }, (_, index) => makeQuestion(`Color ${index}`));
+
+const start = (clock, { mode = 'classic', questions = makeQuestions(3), ...options } = {}) =>
+  gameReducer(createGameState(mode), { type: ACTIONS.START, mode, questions, hintBudget: 3, now: clock.now(), ...options });
+
+const select = (state, clock, optionIndex) => gameReducer(state, { type: ACTIONS.SELECT, optionIndex, now: clock.now() });
+
+// Feedback -> transition -> next question (or the end of the game)
+const advance = (state, clock) => {
+  const transition = gameReducer(state, { type: ACTIONS.ADVANCE, now: clock.now() });
+  return gameReducer(transition, { type: ACTIONS.ADVANCE, now: clock.now() });
+};
+
+// ==================== LIFECYCLE & SCORING ====================
+
+describe('scoring', () => {
+  it('counts right answers and finishes after the last question', () => {
+    const clock = createClock();
+    let state = start(clock);
+    expect(state.status).toBe(GAME_STATES.ASKING);
+
+    state = select(state, clock, 0);
+    expect(state.status).toBe(GAME_STATES.FEEDBACK);
+    expect(state.lastAnswerCorrect).toBe(true);
+    state = advance(state, clock);
+
+    state = select(state, clock, 1);
+    expect(state.lastAnswerCorrect).toBe(false);
+    state = advance(state, clock);
+
+    state = select(state, clock, 0);
+    state = advance(state, clock);
+
+    expect(state.status).toBe(GAME_STATES.FINISHED);
+    expect(state.finishReason).toBe('completed');
+    expect(state.score).toBe(2);
+    expect(getPercentage(state)).toBe(67);
+  });
+
+  it('ignores answers outside the asking state', () => {
+    const clock = createClock();
+    const answered = select(start(clock), clock, 0);
+    expect(select(answered, clock, 1)).toBe(answered);
+  });
+
+  it('times each answer from when the question was shown', () => {
+    const clock = createClock();
+    let state = start(clock);
+    clock.advance(2500);
+    state = select(state, clock, 0);
+    expect(state.answers[0].reactionMs).toBe(2500);
+  });
+
+  it('takes the hint penalty off a right answer', () => {
+    const clock = createClock();
+    let state = start(clock);
+    state = gameReducer(state, { type: ACTIONS.HINT, hint: HINTS.FIFTY_FIFTY, now: clock.now() });
+    expect(state.hintsRemaining).toBe(2);
+    expect(state.hiddenOptions).toEqual([1]);
+
+    state = select(state, clock, 0);
+    expect(state.score).toBe(0.5);
+    expect(state.answers[0].hints).toEqual([HINTS.FIFTY_FIFTY]);
+  });
+
+  it('does not pick a hidden option', () => {
+    const clock = createClock();
+    const state = gameReducer(start(clock), { type: ACTIONS.HINT, hint: HINTS.FIFTY_FIFTY, now: clock.now() });
+    expect(select(state, clock, 1)).toBe(state);
+  });
+});
+
+// ==================== TIMEOUTS ====================
+
+describe('timeouts', () => {
+  it('ends a timed game when the game clock runs out', () => {
+    const clock = createClock();
+    const { timeLimit } = getModeSettings('timed');
+    let state = start(clock, { mode: 'timed' });
+
+    clock.advance((timeLimit - 1) * 1000);
+    state = gameReducer(state, { type: ACTIONS.TICK, now: clock.now() });
+    expect(state.status).toBe(GAME_STATES.ASKING);
+    expect(state.timeLeft).toBe(1);
+
+    clock.advance(1000);
+    state = gameReducer(state, { type: ACTIONS.TICK, now: clock.now() });
+    expect(state.status).toBe(GAME_STATES.FINISHED);
+    expect(state.finishReason).toBe('timeout');
+  });
+
+  it('locks in an unanswered question when its own timer runs out', () => {
+    const clock = createClock();
+    const { questionTime } = getModeSettings('hard');
+    let state = start(clock, { mode: 'hard' });
+
+    clock.advance(questionTime * 1000);
+    state = gameReducer(state, { type: ACTIONS.TICK, now: clock.now() });
+    expect(state.status).toBe(GAME_STATES.FEEDBACK);
+    expect(state.timedOut).toBe(true);
+    expect(state.answers[0]).toMatchObject({ correct: false, timedOut: true, optionIndex: null });
+
+    // the next question gets a fresh countdown
+    state = advance(state, clock);
+    expect(state.questionTimeLeft).toBe(questionTime);
+    expect(buildGameResult(state).timeouts).toBe(1);
+  });
+
+  it('scales time budgets by difficulty', () => {
+    expect(getModeSettings('timed', 'easy').timeLimit).toBeGreaterThan(getModeSettings('timed', 'hard').timeLimit);
+    expect(createGameState('timed', 'hard').settings).toEqual(getModeSettings('timed', 'hard'));
+  });
+});
+
+// ==================== ENDLESS ====================
+
+describe('endless games', () => {
+  it('takes a life per wrong answer and ends when they run out', () => {
+    const clock = createClock();
+    let state = start(clock, { mode: 'survival', questions: makeQuestions(10) });
+    expect(state.lives).toBe(3);
+
+    for (let round = 0; round < 3; round++) {
+      state = select(state, clock, 1);
+      state = advance(state, clock);
+    }
+    expect(state.status).toBe(GAME_STATES.FINISHED);
+    expect(state.finishReason).toBe('out-of-lives');
+
+    const result = buildGameResult(state);
+    expect(result.totalQuestions).toBe(3);
+    expect(result.runLength).toBe(3);
+    expect(result.peakLevel).toBe(1);
+  });
+
+  it('levels up every few rounds with shorter feedback', () => {
+    const clock = createClock();
+    let state = start(clock, { mode: 'survival', questions: makeQuestions(6) });
+    for (let round = 0; round < 5; round++) {
+      state = select(state, clock, 0);
+      state = advance(state, clock);
+    }
+    expect(state.level).toBe(2);
+    expect(state.settings.feedbackDuration).toBe(getSurvivalRules(2).feedbackDuration);
+    expect(state.settings.feedbackDuration).toBeLessThan(getSurvivalRules(1).feedbackDuration);
+  });
+
+  it('only endless games take extra rounds', () => {
+    const clock = createClock();
+    const survival = start(clock, { mode: 'survival', questions: makeQuestions(1) });
+    expect(gameReducer(survival, { type: ACTIONS.EXTEND, questions: makeQuestions(2) }).questions).toHaveLength(3);
+
+    const classic = start(clock, { questions: makeQuestions(1) });
+    expect(gameReducer(classic, { type: ACTIONS.EXTEND, questions: makeQuestions(2) })).toBe(classic);
+  });
+});
+
+// ==================== HOT-SEAT ====================
+
+describe('hot-seat games', () => {
+  const players = ['Ann', 'Bo'];
+
+  it('hands the device over before every turn', () => {
+    const clock = createClock();
+    let state = start(clock, { mode: 'hotseat', questions: makeQuestions(4), players });
+    expect(state.status).toBe(GAME_STATES.HANDOFF);
+    expect(select(state, clock, 0)).toBe(state);
+
+    // reaction times start once the player is ready
+    clock.advance(5000);
+    state = gameReducer(state, { type: ACTIONS.READY, now: clock.now() });
+    expect(state.status).toBe(GAME_STATES.ASKING);
+    clock.advance(1200);
+    state = select(state, clock, 0);
+    expect(state.answers[0]).toMatchObject({ player: 0, reactionMs: 1200 });
+
+    state = advance(state, clock);
+    expect(state.status).toBe(GAME_STATES.HANDOFF);
+    expect(getTurnPlayer(state)).toBe(1);
+  });
+
+  it('ranks players by score, then by total response time', () => {
+    const answers = [
+      { player: 0, correct: true, hints: [], reactionMs: 3000 },
+      { player: 1, correct: true, hints: [], reactionMs: 1000 },
+      { player: 2, correct: false, hints: [], reactionMs: 500 },
+      { player: 0, correct: true, hints: [], reactionMs: 3000 },
+      { player: 1, correct: true, hints: [], reactionMs: 1000 },
+      { player: 2, correct: true, hints: [], reactionMs: 500 },
+    ];
+    expect(rankPlayers(['Ann', 'Bo', 'Cy'], answers).map(row => [row.name, row.score, row.rank])).toEqual([
+      ['Bo', 2, 1],
+      ['Ann', 2, 2],
+      ['Cy', 1, 3],
+    ]);
+  });
+
+  it('shares a rank between players tied on score and time', () => {
+    const answers = [
+      { player: 0, correct: true, hints: [], reactionMs: 1000 },
+      { player: 1, correct: true, hints: [], reactionMs: 1000 },
+    ];
+    expect(rankPlayers(players, answers).map(row => row.rank)).toEqual([1, 1]);
+  });
+
+  it('splits the finished game into one result per player', () => {
+    const clock = createClock();
+    let state = start(clock, { mode: 'hotseat', questions: makeQuestions(4), players });
+    // Ann answers everything right, Bo misses the second turn
+    [0, 0, 0, 1].forEach(optionIndex => {
+      state = gameReducer(state, { type: ACTIONS.READY, now: clock.now() });
+      clock.advance(1000);
+      state = select(state, clock, optionIndex);
+      state = advance(state, clock);
+    });
+    expect(state.status).toBe(GAME_STATES.FINISHED);
+
+    const gameResult = buildGameResult(state);
+    const results = getPlayerResults(gameResult);
+    expect(results.map(result => [result.player, result.rank, result.score, result.totalQuestions, result.percentage])).toEqual([
+      ['Ann', 1, 2, 2, 100],
+      ['Bo', 2, 1, 2, 50],
+    ]);
+    expect(results.map(result => result.answers.length)).toEqual([2, 2]);
+    // per-player records never share a key with another game's numeric id
+    expect(results.map(result => result.id)).toEqual([`${gameResult.id}-0`, `${gameResult.id}-1`]);
+  });
+});
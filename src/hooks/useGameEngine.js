@@ -0,0 +1,165 @@
+/**
+ * useGameEngine hook - Drives the pure game engine from React
+ * Owns the timers (feedback delay, transition, game clock, glow offer) and reports the finished result
+ */
+
+import { useCallback, useEffect, useReducer, useRef, useState } from 'react';
+import getShuffledQuestions from '../data';
+import {
+  ACTIONS,
+  DEFAULT_HINT_BUDGET,
+  GAME_STATES,
+  HINTS,
+  TRANSITION_DURATION,
+  buildGameResult,
+  createGameState,
+  gameReducer,
+  getCurrentQuestion,
+  getSurvivalLevel,
+  systemClock,
+} from '../engine/gameEngine';
+
+// How often the game clock is sampled while a timer is shown (ms)
+const TICK_INTERVAL = 250;
+
+export const useGameEngine = ({
+  mode = 'classic',
+  difficulty = 'normal',
+  createQuestions = getShuffledQuestions,    // ({ level }) => questions; endless games call it again per level
+  clock = systemClock,
+  hintBudget = DEFAULT_HINT_BUDGET,
+  glowDelay = null,
+  players = [],                               // Hot-seat / race player names, in turn order
+  onFinish,
+} = {}) => {
+  // the idle state before START already uses the chosen difficulty's settings
+  const [state, dispatch] = useReducer(
+    gameReducer,
+    { mode, difficulty },
+    (initial) => createGameState(initial.mode, initial.difficulty),
+  );
+  // state: question (game start and index) the glow hint has been offered on
+  const [glowOfferedOn, setGlowOfferedOn] = useState(null);
+
+  // refs: keep latest callbacks without restarting effects
+  const createQuestionsRef = useRef(createQuestions);
+  const difficultyRef = useRef(difficulty);
+  const hintBudgetRef = useRef(hintBudget);
+  const playersRef = useRef(players);
+  const onFinishRef = useRef(onFinish);
+  const reportedGameRef = useRef(null);
+  useEffect(() => {
+    createQuestionsRef.current = createQuestions;
+    difficultyRef.current = difficulty;
+    hintBudgetRef.current = hintBudget;
+    playersRef.current = players;
+    onFinishRef.current = onFinish;
+  });
+
+  const restart = useCallback(() => {
+    dispatch({
+      type: ACTIONS.START,
+      mode,
+      difficulty: difficultyRef.current,
+      questions: createQuestionsRef.current({ level: 1 }),
+      hintBudget: hintBudgetRef.current,
+      players: playersRef.current,
+      now: clock.now(),
+    });
+  }, [mode, clock]);
+
+  // effect: start a fresh game whenever the mode changes
+  useEffect(() => {
+    restart();
+  }, [restart]);
+
+  const { status, currentIndex, settings, startedAt, hintsRemaining, hintsUsed, questions } = state;
+
+  // effect: endless games get the next level's rounds while the last loaded one is asked
+  const needsRounds = settings.endless && status === GAME_STATES.ASKING && currentIndex === questions.length - 1;
+  useEffect(() => {
+    if (!needsRounds) return;
+    const level = getSurvivalLevel(questions.length);
+    dispatch({ type: ACTIONS.EXTEND, questions: createQuestionsRef.current({ level }) });
+  }, [needsRounds, questions.length]);
+
+  // effect: schedule feedback -> transition -> next question
+  useEffect(() => {
+    if (status !== GAME_STATES.FEEDBACK && status !== GAME_STATES.TRANSITION) return;
+    const delay = status === GAME_STATES.FEEDBACK ? settings.feedbackDuration : TRANSITION_DURATION;
+    const id = clock.setTimeout(() => dispatch({ type: ACTIONS.ADVANCE, now: clock.now() }), delay);
+    return () => clock.clearTimeout(id);
+  }, [status, currentIndex, settings.feedbackDuration, clock]);
+
+  // effect: run the game clock while a game or question timer is active
+  const clockRunning = (settings.showTimer || Boolean(settings.questionTime))
+    && status !== GAME_STATES.IDLE && status !== GAME_STATES.FINISHED;
+  useEffect(() => {
+    if (!clockRunning) return;
+    const id = clock.setInterval(() => dispatch({ type: ACTIONS.TICK, now: clock.now() }), TICK_INTERVAL);
+    return () => clock.clearInterval(id);
+  }, [clockRunning, clock]);
+
+  // effect: offer the glow hint after a period of inactivity; it is only used (and costs a hint) when the player takes it
+  const questionKey = `${startedAt}:${currentIndex}`;
+  const glowPending = glowDelay !== null && status === GAME_STATES.ASKING
+    && hintsRemaining > 0 && !hintsUsed.includes(HINTS.GLOW);
+  useEffect(() => {
+    if (!glowPending) return;
+    const id = clock.setTimeout(() => setGlowOfferedOn(questionKey), glowDelay);
+    return () => clock.clearTimeout(id);
+  }, [glowPending, glowDelay, questionKey, hintsUsed.length, clock]);
+
+  // effect: report each finished game exactly once
+  useEffect(() => {
+    if (status !== GAME_STATES.FINISHED || reportedGameRef.current === startedAt) return;
+    reportedGameRef.current = startedAt;
+    onFinishRef.current?.(buildGameResult(state));
+  }, [status, startedAt, state]);
+
+  const select = useCallback((optionIndex) => {
+    dispatch({ type: ACTIONS.SELECT, optionIndex, now: clock.now() });
+  }, [clock]);
+
+  // multi-answer rounds: pick / unpick options, then lock them in
+  const toggle = useCallback((optionIndex) => {
+    dispatch({ type: ACTIONS.TOGGLE, optionIndex, now: clock.now() });
+  }, [clock]);
+
+  const confirm = useCallback(() => {
+    dispatch({ type: ACTIONS.CONFIRM, now: clock.now() });
+  }, [clock]);
+
+  const takeHint = useCallback((hint) => {
+    dispatch({ type: ACTIONS.HINT, hint, now: clock.now() });
+  }, [clock]);
+
+  // hot-seat: the next player has taken the device
+  const ready = useCallback(() => {
+    dispatch({ type: ACTIONS.READY, now: clock.now() });
+  }, [clock]);
+
+  // race: a player answers the shared question
+  const buzz = useCallback((player, optionIndex) => {
+    dispatch({ type: ACTIONS.BUZZ, player, optionIndex, now: clock.now() });
+  }, [clock]);
+
+  // free-form answers (paint mixes, ...) are scored by the caller
+  const submit = useCallback((credit, response) => {
+    dispatch({ type: ACTIONS.SUBMIT, credit, response, now: clock.now() });
+  }, [clock]);
+
+  return {
+    state,
+    currentQuestion: getCurrentQuestion(state),
+    glowOffered: glowOfferedOn === questionKey,
+    select,
+    submit,
+    toggle,
+    confirm,
+    takeHint,
+    ready,
+    buzz,
+    restart,
+  };
+};
@@ -0,0 +1,44 @@
+/**
+ * useGameSounds hook - Plays answer, countdown and game-over cues for a game engine state
+ */
+
+import { useEffect, useRef } from 'react';
+import { GAME_STATES } from '../engine/gameEngine';
+
+// Countdown ticks start below these values (seconds)
+const GAME_TICK_FROM = 10;
+const QUESTION_TICK_FROM = 5;
+
+export const useGameSounds = (state, play) => {
+  // ref: latest play function, so toggling sound never replays a cue
+  const playRef = useRef(play);
+  useEffect(() => {
+    playRef.current = play;
+  });
+
+  const { status, answers, timeLeft, questionTimeLeft, settings } = state;
+  const isRunning = status !== GAME_STATES.IDLE && status !== GAME_STATES.FINISHED;
+
+  // effect: correct / wrong cue for each new answer (timeouts count as wrong)
+  const lastAnswer = answers[answers.length - 1];
+  useEffect(() => {
+    if (lastAnswer) playRef.current(lastAnswer.correct ? 'correct' : 'wrong');
+  }, [lastAnswer]);
+
+  // effect: tick every second once the game countdown runs low
+  useEffect(() => {
+    if (isRunning && settings.timeLimit && timeLeft > 0 && timeLeft < GAME_TICK_FROM) playRef.current('tick');
+  }, [isRunning, settings.timeLimit, timeLeft]);
+
+  // effect: tick while the per-question countdown runs low
+  useEffect(() => {
+    if (status === GAME_STATES.ASKING && settings.questionTime && questionTimeLeft > 0 && questionTimeLeft <= QUESTION_TICK_FROM) {
+      playRef.current('tick');
+    }
+  }, [status, settings.questionTime, questionTimeLeft]);
+
+  // effect: fanfare when the game ends
+  useEffect(() => {
+    if (status === GAME_STATES.FINISHED) playRef.current('fanfare');
+  }, [status]);
+};
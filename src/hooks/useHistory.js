@@ -0,0 +1,71 @@
+/**
+ * useHistory hook - Live view of the saved game history
+ * Loads from IndexedDB and reloads when a game is saved or the history is cleared, in this tab or another one
+ * Without a profile it shows the active profile's games and follows profile switches
+ * useHistoryTotals does the same for totals folded over the history, without holding the results
+ * Both report a failed load (storage blocked, aborted or full) as error instead of loading forever
+ */
+
+import { useEffect, useState } from 'react';
+import { loadHistory, subscribeHistory } from '../utils/history';
+import { STORAGE_KEYS, subscribe } from '../utils/storage';
+
+// Call refresh after saves, clears and profile switches made anywhere; returns the unsubscribe
+const followHistory = (refresh) => {
+  const unsubscribeHistory = subscribeHistory(refresh);
+  const unsubscribeProfile = subscribe(STORAGE_KEYS.activeProfile, refresh);
+  return () => {
+    unsubscribeHistory();
+    unsubscribeProfile();
+  };
+};
+
+export const useHistory = ({ mode, profile, limit } = {}) => {
+  const [state, setState] = useState({ history: [], loading: true, error: null });
+
+  // effect: load matching results, then follow saves, clears and profile switches made anywhere
+  useEffect(() => {
+    let active = true;
+    const refresh = () => loadHistory({ mode, profile, limit }).then(history => {
+      if (active) setState({ history, loading: false, error: null });
+    }, error => {
+      if (active) setState(current => ({ ...current, loading: false, error }));
+    });
+    refresh();
+    const unfollow = followHistory(refresh);
+    return () => {
+      active = false;
+      unfollow();
+    };
+  }, [mode, profile, limit]);
+
+  return state;
+};
+
+/**
+ * Live totals over the saved history
+ * @param {Function} summarize - Resolves the totals (e.g. with reduceHistory); pass a memoized function,
+ *   a new one reloads
+ * @returns {{totals: *, loading: boolean, error: Error|null}} - totals is null until the first load
+ */
+export const useHistoryTotals = (summarize) => {
+  const [state, setState] = useState({ totals: null, loading: true, error: null });
+
+  // effect: fold the history, then again after saves, clears and profile switches made anywhere
+  useEffect(() => {
+    let active = true;
+    const refresh = () => summarize().then(totals => {
+      if (active) setState({ totals, loading: false, error: null });
+    }, error => {
+      if (active) setState(current => ({ ...current, loading: false, error }));
+    });
+    refresh();
+    const unfollow = followHistory(refresh);
+    return () => {
+      active = false;
+      unfollow();
+    };
+  }, [summarize]);
+
+  return state;
+};
@@ -0,0 +1,18 @@
+/**
+ * useProfiles hook - Live view of the player profiles and which one is playing
+ * Re-renders when a profile is added, changed, deleted or switched, in this tab or another one
+ */
+
+import { useEffect, useState } from 'react';
+import { getActiveProfile, loadProfiles, subscribeProfiles } from '../utils/profiles';
+
+const readProfiles = () => ({ profiles: loadProfiles(), activeProfile: getActiveProfile() });
+
+export const useProfiles = () => {
+  const [state, setState] = useState(readProfiles);
+
+  // effect: follow changes made elsewhere (switcher, profiles page, other tabs)
+  useEffect(() => subscribeProfiles(() => setState(readProfiles())), []);
+
+  return state;
+};
@@ -0,0 +1,20 @@
+/**
+ * useSettings hook - Live view of the player settings
+ * Re-renders when settings change in this tab or another one
+ */
+
+import { useCallback, useEffect, useState } from 'react';
+import { loadSettings, saveSettings, subscribeSettings } from '../utils/settings';
+
+export const useSettings = () => {
+  const [settings, setSettings] = useState(loadSettings);
+
+  // effect: follow changes made elsewhere (settings page, other tabs)
+  useEffect(() => subscribeSettings(() => setSettings(loadSettings())), []);
+
+  const updateSetting = useCallback((key, value) => {
+    saveSettings({ ...loadSettings(), [key]: value });
+  }, []);
+
+  return { settings, updateSetting };
+};
@@ -0,0 +1,16 @@
+/**
+ * useSound hook - Returns a play(cue) function that follows the sound settings live
+ */
+
+import { useCallback } from 'react';
+import { useSettings } from './useSettings';
+import { playSound } from '../utils/audio';
+
+export const useSound = () => {
+  const { settings } = useSettings();
+  const { soundEnabled, volume } = settings;
+
+  return useCallback((cue) => {
+    if (soundEnabled) playSound(cue, volume);
+  }, [soundEnabled, volume]);
+};
@@ -2,6 +2,10 @@ import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
+import { migrateStorage } from './utils/storage'
+
+// upgrade data saved by older versions before any page reads it
+migrateStorage()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
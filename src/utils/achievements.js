@@ -0,0 +1,148 @@
+/**
+ * Achievements
+ * Badges are declared once with a goal and a way to measure progress from totals over a player's
+ * saved history and their mastery; they are checked after every saved game and, once unlocked, keep their
+ * unlock date (per player profile)
+ */
+
+import { colors } from '../catalogue';
+import { STORAGE_KEYS, readValue, subscribe, validateObject, writeValue } from './storage';
+import { MAX_BOX, getMasteryLevel, loadMastery } from './mastery';
+import { SPEED_MIN_PERCENTAGE } from './leaderboard';
+
+// ==================== BADGES ====================
+
+// Speed runs finished faster than this (in seconds) earn the Lightning badge
+export const SPEED_BADGE_SECONDS = 30;
+
+// Each badge unlocks once getProgress(stats) reaches goal
+export const ACHIEVEMENTS = [
+  {
+    id: 'first-perfect',
+    icon: '🏆',
+    name: 'Flawless',
+    description: 'Score 100% in a game',
+    goal: 1,
+    getProgress: (stats) => stats.perfectGames,
+  },
+  {
+    id: 'games-10',
+    icon: '🎮',
+    name: 'Regular',
+    description: 'Play 10 games',
+    goal: 10,
+    getProgress: (stats) => stats.gamesPlayed,
+  },
+  {
+    id: 'speed-30',
+    icon: '⚡',
+    name: 'Lightning',
+    description: `Finish a Speed Run in under ${SPEED_BADGE_SECONDS} seconds with at least ${SPEED_MIN_PERCENTAGE}% right`,
+    goal: 1,
+    getProgress: (stats) => (stats.bestSpeedTime !== null && stats.bestSpeedTime < SPEED_BADGE_SECONDS ? 1 : 0),
+  },
+  {
+    id: 'all-colors-mastered',
+    icon: '🌈',
+    name: 'Color Master',
+    description: 'Master every color in practice',
+    goal: colors.length,
+    getProgress: (stats) => stats.masteredColors,
+  },
+];
+
+// ==================== PROGRESS ====================
+
+/**
+ * Running totals the badges are measured from, before any game
+ * @returns {Object} - { gamesPlayed, perfectGames, bestSpeedTime (seconds or null) }
+ */
+export const createAchievementTotals = () => ({ gamesPlayed: 0, perfectGames: 0, bestSpeedTime: null });
+
+/**
+ * Add one saved result to the achievement totals (a reducer for reduceHistory)
+ * @param {Object} totals - From createAchievementTotals (updated in place)
+ * @param {Object} game - Saved result
+ * @returns {Object} - The same totals
+ */
+export const addToAchievementTotals = (totals, game) => {
+  totals.gamesPlayed++;
+  if (game.percentage === 100) totals.perfectGames++;
+  if (game.gameMode === 'speed' && game.percentage >= SPEED_MIN_PERCENTAGE && typeof game.duration === 'number') {
+    totals.bestSpeedTime = totals.bestSpeedTime === null ? game.duration : Math.min(totals.bestSpeedTime, game.duration);
+  }
+  return totals;
+};
+
+/**
+ * Measures the badges are checked against
+ * @param {Object} totals - One player's achievement totals
+ * @param {Object} mastery - That player's mastery cards
+ * @returns {Object} - { gamesPlayed, perfectGames, bestSpeedTime (seconds or null), masteredColors }
+ */
+export const getAchievementStats = (totals, mastery) => ({
+  ...totals,
+  masteredColors: colors.filter(color => getMasteryLevel(mastery.colors[color.name]) === MAX_BOX).length,
+});
+
+/**
+ * Every badge with the player's progress, for the gallery
+ * @param {Object} stats - From getAchievementStats
+ * @param {Object} unlocked - Badge id -> unlock date (ISO string)
+ * @returns {Array<Object>} - Badges with progress (capped at the goal) and unlockedAt (null while locked)
+ */
+export const getAchievementProgress = (stats, unlocked) => ACHIEVEMENTS.map(achievement => ({
+  ...achievement,
+  progress: Math.min(achievement.goal, achievement.getProgress(stats)),
+  unlockedAt: unlocked[achievement.id] || null,
+}));
+
+// ==================== PERSISTENCE ====================
+
+const unlockListeners = new Set();
+
+/**
+ * Load a player's unlocked badges
+ * @param {string} [profileId] - Player profile (the active one by default)
+ * @returns {Object} - Badge id -> unlock date (ISO string)
+ */
+export const loadUnlockedAchievements = (profileId) =>
+  readValue(STORAGE_KEYS.achievements, {}, validateObject, profileId);
+
+/**
+ * Unlock every badge a player has newly earned
+ * @param {Object} totals - Achievement totals over the player's saved results, including the game just saved
+ * @param {string} profileId - Player profile
+ * @returns {Array<Object>} - Badges unlocked by this check (usually none)
+ */
+export const checkAchievements = (totals, profileId) => {
+  const unlocked = loadUnlockedAchievements(profileId);
+  const stats = getAchievementStats(totals, loadMastery(profileId));
+  const earned = ACHIEVEMENTS.filter(achievement => !unlocked[achievement.id] && achievement.getProgress(stats) >= achievement.goal);
+  if (!earned.length) return earned;
+
+  const now = new Date().toISOString();
+  writeValue(STORAGE_KEYS.achievements, {
+    ...unlocked,
+    ...Object.fromEntries(earned.map(achievement => [achievement.id, now])),
+  }, profileId);
+  unlockListeners.forEach(listener => listener({ profileId, achievements: earned }));
+  return earned;
+};
+
+/**
+ * Follow changes to the unlocked badges (unlocks, profile switches, other tabs)
+ * @param {Function} listener - Called after every change
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeAchievements = (listener) => subscribe(STORAGE_KEYS.achievements, listener);
+
+/**
+ * Hear about badges as they unlock in this tab (for the unlock toast)
+ * @param {Function} listener - Called with { profileId, achievements }
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeUnlocks = (listener) => {
+  unlockListeners.add(listener);
+  return () => unlockListeners.delete(listener);
+};
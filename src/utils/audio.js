@@ -0,0 +1,88 @@
+/**
+ * Sound effects engine
+ * Synthesizes every cue with the Web Audio API, so no audio files are shipped
+ */
+
+// ==================== CUES ====================
+
+// Each cue is a list of notes; times in seconds, frequencies in Hz
+const CUES = {
+  select: [
+    { frequency: 660, duration: 0.06, type: 'triangle', gain: 0.2 },
+  ],
+  correct: [
+    { frequency: 523.25, start: 0, duration: 0.12, type: 'triangle' },      // C5
+    { frequency: 783.99, start: 0.1, duration: 0.22, type: 'triangle' },    // G5
+  ],
+  wrong: [
+    { frequency: 220, endFrequency: 140, duration: 0.32, type: 'sawtooth', gain: 0.12 },
+  ],
+  tick: [
+    { frequency: 1200, duration: 0.03, type: 'square', gain: 0.06 },
+  ],
+  fanfare: [
+    { frequency: 523.25, start: 0, duration: 0.14, type: 'square', gain: 0.12 },     // C5
+    { frequency: 659.25, start: 0.14, duration: 0.14, type: 'square', gain: 0.12 },  // E5
+    { frequency: 783.99, start: 0.28, duration: 0.14, type: 'square', gain: 0.12 },  // G5
+    { frequency: 1046.5, start: 0.42, duration: 0.5, type: 'triangle', gain: 0.25 }, // C6
+    { frequency: 783.99, start: 0.42, duration: 0.5, type: 'triangle', gain: 0.15 }, // G5
+  ],
+};
+
+export const SOUND_CUES = Object.keys(CUES);
+
+// ==================== AUDIO CONTEXT ====================
+
+let audioContext = null;
+
+// Created lazily: browsers only allow audio after a user gesture
+const getAudioContext = () => {
+  if (!audioContext) {
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return null;
+    audioContext = new AudioContextClass();
+  }
+  if (audioContext.state === 'suspended') audioContext.resume();
+  return audioContext;
+};
+
+// ==================== PLAYBACK ====================
+
+const playNote = (context, destination, note, startTime) => {
+  const { frequency, endFrequency, start = 0, duration, type = 'sine', gain = 0.3 } = note;
+  const begin = startTime + start;
+  const end = begin + duration;
+
+  const oscillator = context.createOscillator();
+  oscillator.type = type;
+  oscillator.frequency.setValueAtTime(frequency, begin);
+  if (endFrequency) oscillator.frequency.exponentialRampToValueAtTime(endFrequency, end);
+
+  // Short attack and exponential release to avoid clicks
+  const envelope = context.createGain();
+  envelope.gain.setValueAtTime(0.0001, begin);
+  envelope.gain.exponentialRampToValueAtTime(gain, begin + 0.01);
+  envelope.gain.exponentialRampToValueAtTime(0.0001, end);
+
+  oscillator.connect(envelope).connect(destination);
+  oscillator.start(begin);
+  oscillator.stop(end + 0.05);
+};
+
+/**
+ * Play a synthesized cue
+ * Silently does nothing when Web Audio is unavailable
+ * @param {string} cue - One of SOUND_CUES
+ * @param {number} [volume] - Master volume 0-1
+ */
+export const playSound = (cue, volume = 1) => {
+  const notes = CUES[cue];
+  const context = notes && volume > 0 ? getAudioContext() : null;
+  if (!context) return;
+
+  const master = context.createGain();
+  master.gain.value = Math.min(1, Math.max(0, volume));
+  master.connect(context.destination);
+
+  notes.forEach(note => playNote(context, master, note, context.currentTime));
+};
@@ -0,0 +1,136 @@
+/**
+ * Chart data helpers for the Statistics page
+ * Fold saved results into running totals and turn those into the series drawn by the SVG charts,
+ * plus the colors each theme draws them in
+ */
+
+import { colors } from '../catalogue';
+
+// ==================== THEME ====================
+
+// Series colors per app theme; grid lines and labels use the card's text color
+// (bars for catalogue colors use the color itself)
+export const CHART_THEMES = {
+  dark: { line: '#4ade80', average: '#facc15', bar: '#60a5fa' },
+  light: { line: '#16a34a', average: '#ca8a04', bar: '#2563eb' },
+};
+
+// Score bands of the per-mode distribution, lowest first
+export const SCORE_BANDS = [
+  { label: '0-49%', min: 0, color: '#ef4444' },
+  { label: '50-69%', min: 50, color: '#f97316' },
+  { label: '70-89%', min: 70, color: '#3b82f6' },
+  { label: '90-100%', min: 90, color: '#22c55e' },
+];
+
+// ==================== SERIES ====================
+
+// Games averaged into each point of the score trend
+export const MOVING_AVERAGE_WINDOW = 5;
+
+// Reaction times are grouped in half seconds; slower answers share the last bin
+export const REACTION_BIN_MS = 500;
+export const REACTION_MAX_MS = 5000;
+
+// Reaction time bins; the last one is open-ended
+const REACTION_BIN_COUNT = REACTION_MAX_MS / REACTION_BIN_MS;
+
+// Survival runs are ranked by length, so their percentage is left out of score charts
+const isScored = (game) => typeof game.runLength !== 'number';
+
+/**
+ * Trailing average of each value and up to size - 1 values before it
+ * @param {Array<number>} values - Values in order
+ * @param {number} [size] - Window size
+ * @returns {Array<number>} - One average per value (rounded)
+ */
+export const movingAverage = (values, size = MOVING_AVERAGE_WINDOW) => values.map((_, index) => {
+  const recent = values.slice(Math.max(0, index - size + 1), index + 1);
+  return Math.round(recent.reduce((sum, value) => sum + value, 0) / recent.length);
+});
+
+// ==================== TOTALS ====================
+
+/**
+ * Running totals the charts are drawn from, before any game
+ * Only what the charts need is kept, so results can be folded in straight from the history cursor
+ * @returns {Object} - { scores, bandCounts, colorCredits, reactionCounts }
+ */
+export const createChartTotals = () => ({
+  scores: [],
+  bandCounts: {},
+  colorCredits: {},
+  reactionCounts: Array.from({ length: REACTION_BIN_COUNT + 1 }, () => 0),
+});
+
+/**
+ * Add one saved result to the chart totals (a reducer for reduceHistory, results newest first)
+ * Results without a usable time (old records whose date could not be recovered) stay out of the score series
+ * @param {Object} totals - From createChartTotals (updated in place)
+ * @param {Object} game - Saved result
+ * @returns {Object} - The same totals
+ */
+export const addToChartTotals = (totals, game) => {
+  if (isScored(game)) {
+    const time = Date.parse(game.timestamp);
+    if (!Number.isNaN(time)) totals.scores.push({ time, score: game.percentage });
+    const counts = (totals.bandCounts[game.gameMode] = totals.bandCounts[game.gameMode] || SCORE_BANDS.map(() => 0));
+    counts[SCORE_BANDS.findLastIndex(band => game.percentage >= band.min)]++;
+  }
+  game.answers.forEach(answer => {
+    const credits = (totals.colorCredits[answer.color] = totals.colorCredits[answer.color] || { answers: 0, credit: 0 });
+    credits.answers++;
+    credits.credit += answer.credit ?? (answer.correct ? 1 : 0);
+    // timed-out rounds and results saved before reaction times were kept have no reaction time
+    if (typeof answer.reactionMs === 'number' && !answer.timedOut) {
+      totals.reactionCounts[Math.min(REACTION_BIN_COUNT, Math.floor(answer.reactionMs / REACTION_BIN_MS))]++;
+    }
+  });
+  return totals;
+};
+
+// ==================== CHART DATA ====================
+
+/**
+ * Score of every game, oldest first, with its moving average
+ * @param {Object} totals - Chart totals
+ * @returns {Array<Object>} - { time, score, average }
+ */
+export const getScoreSeries = (totals) => {
+  const points = [...totals.scores].reverse();
+  const averages = movingAverage(points.map(point => point.score));
+  return points.map((point, index) => ({ ...point, average: averages[index] }));
+};
+
+/**
+ * Games per score band for each mode, most played mode first
+ * @param {Object} totals - Chart totals
+ * @returns {Array<Object>} - { mode, total, counts } with counts in SCORE_BANDS order
+ */
+export const getScoreDistribution = (totals) => Object.entries(totals.bandCounts)
+  .map(([mode, counts]) => ({ mode, total: counts.reduce((sum, count) => sum + count, 0), counts }))
+  .sort((a, b) => b.total - a.total);
+
+/**
+ * Accuracy per target color over every answer (partial credit counts in part), weakest first
+ * @param {Object} totals - Chart totals
+ * @returns {Array<Object>} - { color, hex (null outside the catalogue), answers, accuracy }
+ */
+export const getColorAccuracy = (totals) => Object.entries(totals.colorCredits)
+  .map(([color, { answers, credit }]) => ({
+    color,
+    hex: colors.find(catalogueColor => catalogueColor.name === color)?.hex || null,
+    answers,
+    accuracy: Math.round((credit / answers) * 100),
+  }))
+  .sort((a, b) => a.accuracy - b.accuracy || a.color.localeCompare(b.color));
+
+/**
+ * Answers per reaction-time bin
+ * @param {Object} totals - Chart totals
+ * @returns {Array<Object>} - { label, count } fastest first, the last bin open-ended
+ */
+export const getReactionHistogram = (totals) => totals.reactionCounts.map((count, index) => ({
+  label: index === REACTION_BIN_COUNT ? `${REACTION_MAX_MS / 1000}s+` : `${(index * REACTION_BIN_MS) / 1000}s`,
+  count,
+}));
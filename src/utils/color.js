@@ -0,0 +1,164 @@
+/**
+ * Color science helpers
+ * sRGB <-> CIELAB conversion and CIEDE2000 perceptual distance
+ */
+
+// ==================== HEX / RGB ====================
+
+/**
+ * Parse a #rrggbb (or #rgb) string
+ * @param {string} hex - Hex color
+ * @returns {{r: number, g: number, b: number}} - Channels 0-255
+ */
+export const hexToRgb = (hex) => {
+  let value = hex.replace('#', '');
+  if (value.length === 3) value = value.split('').map(char => char + char).join('');
+  const number = parseInt(value, 16);
+  return { r: (number >> 16) & 255, g: (number >> 8) & 255, b: number & 255 };
+};
+
+/**
+ * Format channels as #rrggbb, clamping out-of-gamut values
+ * @param {{r: number, g: number, b: number}} rgb - Channels 0-255
+ * @returns {string} - Hex color
+ */
+export const rgbToHex = ({ r, g, b }) =>
+  '#' + [r, g, b]
+    .map(channel => Math.round(Math.min(255, Math.max(0, channel))).toString(16).padStart(2, '0'))
+    .join('');
+
+// ==================== CIELAB ====================
+
+// D65 reference white
+const WHITE = { x: 0.95047, y: 1, z: 1.08883 };
+
+const toLinear = (channel) => {
+  const c = channel / 255;
+  return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+};
+
+const fromLinear = (value) => {
+  const c = value <= 0.0031308 ? value * 12.92 : 1.055 * value ** (1 / 2.4) - 0.055;
+  return c * 255;
+};
+
+const labF = (t) => (t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116);
+const labFInverse = (t) => (t ** 3 > 216 / 24389 ? t ** 3 : (116 * t - 16) / (24389 / 27));
+
+/**
+ * Convert sRGB to CIELAB (D65)
+ * @param {{r: number, g: number, b: number}} rgb - Channels 0-255
+ * @returns {{l: number, a: number, b: number}} - Lab color
+ */
+export const rgbToLab = ({ r, g, b }) => {
+  const [lr, lg, lb] = [toLinear(r), toLinear(g), toLinear(b)];
+  const x = (lr * 0.4124564 + lg * 0.3575761 + lb * 0.1804375) / WHITE.x;
+  const y = (lr * 0.2126729 + lg * 0.7151522 + lb * 0.0721750) / WHITE.y;
+  const z = (lr * 0.0193339 + lg * 0.1191920 + lb * 0.9503041) / WHITE.z;
+  const [fx, fy, fz] = [labF(x), labF(y), labF(z)];
+  return { l: 116 * fy - 16, a: 500 * (fx - fy), b: 200 * (fy - fz) };
+};
+
+/**
+ * Convert CIELAB (D65) to sRGB; channels may fall outside 0-255
+ * @param {{l: number, a: number, b: number}} lab - Lab color
+ * @returns {{r: number, g: number, b: number}} - Unclamped channels
+ */
+export const labToRgb = ({ l, a, b }) => {
+  const fy = (l + 16) / 116;
+  const fx = fy + a / 500;
+  const fz = fy - b / 200;
+  const x = labFInverse(fx) * WHITE.x;
+  const y = labFInverse(fy) * WHITE.y;
+  const z = labFInverse(fz) * WHITE.z;
+  return {
+    r: fromLinear(x * 3.2404542 - y * 1.5371385 - z * 0.4985314),
+    g: fromLinear(-x * 0.9692660 + y * 1.8760108 + z * 0.0415560),
+    b: fromLinear(x * 0.0556434 - y * 0.2040259 + z * 1.0572252),
+  };
+};
+
+export const hexToLab = (hex) => rgbToLab(hexToRgb(hex));
+export const labToHex = (lab) => rgbToHex(labToRgb(lab));
+
+/**
+ * Whether a Lab color can be shown on an sRGB screen without clamping
+ * @param {{l: number, a: number, b: number}} lab - Lab color
+ * @returns {boolean} - True when every channel is within 0-255
+ */
+export const isInGamut = (lab) => {
+  const { r, g, b } = labToRgb(lab);
+  return [r, g, b].every(channel => channel >= -0.5 && channel <= 255.5);
+};
+
+// ==================== CIEDE2000 ====================
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+/**
+ * Perceptual distance between two Lab colors (CIEDE2000, kL = kC = kH = 1)
+ * Roughly: < 1 invisible, 2-3 barely noticeable, > 10 clearly different
+ * @param {{l: number, a: number, b: number}} lab1 - First color
+ * @param {{l: number, a: number, b: number}} lab2 - Second color
+ * @returns {number} - Delta E 2000
+ */
+export const deltaE2000 = (lab1, lab2) => {
+  const c1 = Math.hypot(lab1.a, lab1.b);
+  const c2 = Math.hypot(lab2.a, lab2.b);
+  const cMean = (c1 + c2) / 2;
+  const g = 0.5 * (1 - Math.sqrt(cMean ** 7 / (cMean ** 7 + 25 ** 7)));
+
+  const a1 = lab1.a * (1 + g);
+  const a2 = lab2.a * (1 + g);
+  const c1p = Math.hypot(a1, lab1.b);
+  const c2p = Math.hypot(a2, lab2.b);
+  const h1p = c1p === 0 ? 0 : (toDegrees(Math.atan2(lab1.b, a1)) + 360) % 360;
+  const h2p = c2p === 0 ? 0 : (toDegrees(Math.atan2(lab2.b, a2)) + 360) % 360;
+
+  const deltaL = lab2.l - lab1.l;
+  const deltaC = c2p - c1p;
+  let deltaH = 0;
+  if (c1p * c2p !== 0) {
+    deltaH = h2p - h1p;
+    if (deltaH > 180) deltaH -= 360;
+    else if (deltaH < -180) deltaH += 360;
+  }
+  const deltaHp = 2 * Math.sqrt(c1p * c2p) * Math.sin(toRadians(deltaH / 2));
+
+  const lMean = (lab1.l + lab2.l) / 2;
+  const cpMean = (c1p + c2p) / 2;
+  let hpMean = h1p + h2p;
+  if (c1p * c2p !== 0) {
+    hpMean = Math.abs(h1p - h2p) > 180
+      ? (h1p + h2p + (h1p + h2p < 360 ? 360 : -360)) / 2
+      : (h1p + h2p) / 2;
+  }
+
+  const t = 1
+    - 0.17 * Math.cos(toRadians(hpMean - 30))
+    + 0.24 * Math.cos(toRadians(2 * hpMean))
+    + 0.32 * Math.cos(toRadians(3 * hpMean + 6))
+    - 0.20 * Math.cos(toRadians(4 * hpMean - 63));
+  const deltaTheta = 30 * Math.exp(-(((hpMean - 275) / 25) ** 2));
+  const rc = 2 * Math.sqrt(cpMean ** 7 / (cpMean ** 7 + 25 ** 7));
+  const sl = 1 + (0.015 * (lMean - 50) ** 2) / Math.sqrt(20 + (lMean - 50) ** 2);
+  const sc = 1 + 0.045 * cpMean;
+  const sh = 1 + 0.015 * cpMean * t;
+  const rt = -Math.sin(toRadians(2 * deltaTheta)) * rc;
+
+  return Math.sqrt(
+    (deltaL / sl) ** 2 +
+    (deltaC / sc) ** 2 +
+    (deltaHp / sh) ** 2 +
+    rt * (deltaC / sc) * (deltaHp / sh)
+  );
+};
+
+/**
+ * Perceptual distance between two hex colors
+ * @param {string} hex1 - First color
+ * @param {string} hex2 - Second color
+ * @returns {number} - Delta E 2000
+ */
+export const deltaEHex = (hex1, hex2) => deltaE2000(hexToLab(hex1), hexToLab(hex2));
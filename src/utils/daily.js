@@ -0,0 +1,45 @@
+/**
+ * Daily Challenge helpers
+ * Derives the shared question set from the local date and tracks today's attempt
+ */
+
+import getShuffledQuestions from '../data';
+import { createRandom } from './random';
+
+/**
+ * Local calendar date used as the puzzle id
+ * @param {Date} [date] - Defaults to now
+ * @returns {string} - YYYY-MM-DD
+ */
+export const getDailyKey = (date = new Date()) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Questions for a given day; identical for every player
+ * @param {string} dailyKey - Date key from getDailyKey
+ * @returns {Array} - Seeded question set
+ */
+export const getDailyQuestions = (dailyKey) =>
+  getShuffledQuestions({ random: createRandom(`colorquest-daily-${dailyKey}`) });
+
+/**
+ * Find the scored attempt for a day in the saved history
+ * @param {Array} history - Saved game results
+ * @param {string} dailyKey - Date key from getDailyKey
+ * @returns {Object|undefined} - Today's result if already played
+ */
+export const findDailyResult = (history, dailyKey) =>
+  history.find(game => game.gameMode === 'daily' && game.dailyKey === dailyKey);
+
+/**
+ * Milliseconds until the next puzzle unlocks (local midnight)
+ * @param {Date} [date] - Defaults to now
+ * @returns {number} - Remaining milliseconds
+ */
+export const msUntilNextDaily = (date = new Date()) => {
+  const nextMidnight = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+  return nextMidnight.getTime() - date.getTime();
+};
@@ -0,0 +1,269 @@
+/**
+ * Game history persistence helpers
+ * Finished games and their answer logs are kept in IndexedDB without a size cap,
+ * indexed by date, mode and player profile (each game belongs to the profile that played it);
+ * results from older builds (a capped list in localStorage) are moved over once
+ */
+
+import {
+  DEFAULT_PROFILE_ID, STORAGE_KEYS, getActiveProfileId, normalizeGameResult, readValue, removeValue, validateHistory,
+} from './storage';
+import { addToAchievementTotals, checkAchievements, createAchievementTotals } from './achievements';
+
+const DB_NAME = 'colorquest-history';
+const DB_VERSION = 2;
+const STORE = 'games';
+
+// Mode and profile indexes are compound with the date so both can be paged newest first
+const INDEXES = {
+  date: { name: 'date', keyPath: 'timestamp' },
+  mode: { name: 'mode', keyPath: ['gameMode', 'timestamp'] },
+  profile: { name: 'profile', keyPath: ['profile', 'timestamp'] },
+};
+
+// Every [value, timestamp] key of a compound index for one value
+const datedRange = (value) => IDBKeyRange.bound([value, ''], [value, '\uffff']);
+
+// ==================== DATABASE ====================
+
+let dbPromise = null;
+
+// Wrap an IDBRequest in a promise
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+// Resolve once a transaction has committed
+const complete = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error);
+});
+
+// Every record needs a timestamp to show up in the date indexes, and a profile for the profile index
+const toRecord = (gameResult, profile) => ({
+  ...gameResult,
+  timestamp: gameResult.timestamp || new Date(gameResult.id || 0).toISOString(),
+  profile: gameResult.profile || profile,
+});
+
+// One-time move of the localStorage history kept by older builds
+const migrateLegacyHistory = async (db) => {
+  const legacy = readValue(STORAGE_KEYS.history, [], validateHistory);
+  if (legacy.length) {
+    const tx = db.transaction(STORE, 'readwrite');
+    legacy.forEach(gameResult => tx.objectStore(STORE).put(toRecord(gameResult, DEFAULT_PROFILE_ID)));
+    await complete(tx);
+  }
+  removeValue(STORAGE_KEYS.history);
+};
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = (event) => {
+      if (event.oldVersion < 1) {
+        const store = req.result.createObjectStore(STORE, { keyPath: 'id' });
+        Object.values(INDEXES).forEach(({ name, keyPath }) => store.createIndex(name, keyPath));
+      }
+      // v2: games saved before profiles existed belong to the default profile
+      if (event.oldVersion === 1) {
+        const cursorRequest = req.transaction.objectStore(STORE).openCursor();
+        cursorRequest.onsuccess = () => {
+          const cursor = cursorRequest.result;
+          if (!cursor) return;
+          if (!cursor.value.profile) cursor.update({ ...cursor.value, profile: DEFAULT_PROFILE_ID });
+          cursor.continue();
+        };
+      }
+    };
+    dbPromise = request(req).then(async (db) => {
+      await migrateLegacyHistory(db);
+      return db;
+    });
+  }
+  return dbPromise;
+};
+
+// ==================== CHANGE NOTIFICATIONS ====================
+
+const listeners = new Set();
+// other tabs: saves made there are announced on a broadcast channel
+const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(DB_NAME) : null;
+
+const notify = () => listeners.forEach(listener => listener());
+if (channel) channel.onmessage = notify;
+
+const announceChange = () => {
+  notify();
+  channel?.postMessage('change');
+};
+
+/**
+ * Follow changes to the saved history (in this tab or another one)
+ * @param {Function} listener - Called after every save or clear; re-read what you need
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeHistory = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// ==================== PUBLIC API ====================
+
+// Walk matching results newest first, from the start or below a page position; visit returns false to stop
+const walkHistory = async ({ mode, profile = getActiveProfileId(), filter = () => true, after = null }, visit) => {
+  const db = await openDatabase();
+  const store = db.transaction(STORE).objectStore(STORE);
+
+  // walk the most selective index; a second condition is checked per record
+  const [index, range] = profile !== null
+    ? [INDEXES.profile, datedRange(profile)]
+    : mode !== undefined
+    ? [INDEXES.mode, datedRange(mode)]
+    : [INDEXES.date, null];
+  const matches = (gameResult) => (mode === undefined || gameResult.gameMode === mode) && filter(gameResult);
+
+  // resume at the last key seen; records sharing it (saved in the same millisecond) come in
+  // descending id order, so the ones up to the last id seen are skipped
+  const bounded = !after ? range
+    : range ? IDBKeyRange.bound(range.lower, after.key)
+    : IDBKeyRange.upperBound(after.key);
+  const seen = (cursor) => after !== null
+    && indexedDB.cmp(cursor.key, after.key) === 0
+    && indexedDB.cmp(cursor.primaryKey, after.id) >= 0;
+
+  return new Promise((resolve, reject) => {
+    const req = store.index(index.name).openCursor(bounded, 'prev');
+    req.onerror = () => reject(req.error);
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      const gameResult = seen(cursor) ? null : normalizeGameResult(cursor.value);
+      if (gameResult && matches(gameResult) && visit(gameResult, cursor) === false) {
+        resolve();
+        return;
+      }
+      cursor.continue();
+    };
+  });
+};
+
+/**
+ * Load one page of saved results, newest first
+ * @param {Object} [query] - What to load
+ * @param {string} [query.mode] - Only this game mode
+ * @param {string|null} [query.profile] - Only this player profile (the active one by default, null for everyone)
+ * @param {Function} [query.filter] - Extra condition on each result
+ * @param {Object|null} [query.after] - Start after this position (the `next` of the previous page)
+ * @param {number} [query.limit] - Page size (unlimited by default)
+ * @returns {Promise<{games: Array, hasMore: boolean, next: Object|null}>} - The page, whether more results match
+ *   and where the next page starts
+ */
+export const loadHistoryPage = async ({ limit = Infinity, ...query } = {}) => {
+  const games = [];
+  let next = null;
+  let hasMore = false;
+  await walkHistory(query, (gameResult, cursor) => {
+    if (games.length === limit) {
+      hasMore = true;
+      return false;
+    }
+    games.push(gameResult);
+    next = { key: cursor.key, id: cursor.primaryKey };
+    return true;
+  });
+  return { games, hasMore, next: hasMore ? next : null };
+};
+
+/**
+ * Load saved results, newest first
+ * @param {Object} [query] - mode, profile, filter and limit, as for loadHistoryPage
+ * @returns {Promise<Array>} - Matching results
+ */
+export const loadHistory = async (query) => (await loadHistoryPage(query)).games;
+
+/**
+ * Fold matching saved results into running totals, newest first, without keeping the results
+ * @param {Object} query - mode, profile and filter, as for loadHistoryPage
+ * @param {Function} reducer - (totals, gameResult) => totals
+ * @param {*} initial - Totals before the first result
+ * @returns {Promise<*>} - Totals over every matching result
+ */
+export const reduceHistory = async (query, reducer, initial) => {
+  let totals = initial;
+  await walkHistory(query, (gameResult) => {
+    totals = reducer(totals, gameResult);
+    return true;
+  });
+  return totals;
+};
+
+/**
+ * Save a finished game with its answer log, then unlock any achievements it earned its player
+ * @param {Object} gameResult - Result built by the game engine (saved for the active profile unless it names one)
+ * @returns {Promise<Object>} - The saved result; rejects only when the game itself could not be stored
+ */
+export const saveGameResult = async (gameResult) => {
+  const record = toRecord(gameResult, getActiveProfileId());
+  const db = await openDatabase();
+  const tx = db.transaction(STORE, 'readwrite');
+  tx.objectStore(STORE).put(record);
+  await complete(tx);
+  announceChange();
+
+  // the game is stored by now, so a failed badge check must not fail the save; every later save checks again
+  try {
+    const totals = await reduceHistory({ profile: record.profile }, addToAchievementTotals, createAchievementTotals());
+    checkAchievements(totals, record.profile);
+  } catch {
+    // badges earned here unlock with the next saved game
+  }
+  return record;
+};
+
+/**
+ * Change fields of a saved result (e.g. the name entered for the leaderboard)
+ * @param {number|string} id - Result id (per-player hot-seat results have string ids)
+ * @param {Object} changes - Fields to set
+ * @returns {Promise<Object|null>} - The updated result, null when it is not saved
+ */
+export const updateGameResult = async (id, changes) => {
+  const db = await openDatabase();
+  const tx = db.transaction(STORE, 'readwrite');
+  const store = tx.objectStore(STORE);
+  const record = await request(store.get(id));
+  const updated = record ? { ...record, ...changes } : null;
+  if (updated) store.put(updated);
+  await complete(tx);
+  announceChange();
+  return updated;
+};
+
+/**
+ * Delete saved game results
+ * @param {string|null} [profile] - Only this profile's results (the active one by default, null for everyone)
+ * @returns {Promise<void>}
+ */
+export const clearHistory = async (profile = getActiveProfileId()) => {
+  const db = await openDatabase();
+  const tx = db.transaction(STORE, 'readwrite');
+  const store = tx.objectStore(STORE);
+  if (profile === null) {
+    store.clear();
+  } else {
+    const req = store.index(INDEXES.profile.name).openKeyCursor(datedRange(profile));
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      store.delete(cursor.primaryKey);
+      cursor.continue();
+    };
+  }
+  await complete(tx);
+  announceChange();
+};
@@ -0,0 +1,71 @@
+/**
+ * Image store for the question pack editor
+ * Uploaded pictures are kept as Blobs in IndexedDB (too large for localStorage)
+ */
+
+const DB_NAME = 'colorquest-images';
+const DB_VERSION = 1;
+const STORE = 'images';
+
+// ==================== DATABASE ====================
+
+let dbPromise = null;
+
+// Wrap an IDBRequest in a promise
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+    dbPromise = request(req);
+  }
+  return dbPromise;
+};
+
+const withStore = async (mode, operation) => {
+  const db = await openDatabase();
+  return request(operation(db.transaction(STORE, mode).objectStore(STORE)));
+};
+
+// ==================== PUBLIC API ====================
+
+/**
+ * Store an uploaded image
+ * @param {Blob} blob - Image file
+ * @returns {Promise<string>} - Id to reference the image by
+ */
+export const putImage = async (blob) => {
+  const id = `img-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  await withStore('readwrite', store => store.put(blob, id));
+  return id;
+};
+
+/**
+ * Read a stored image
+ * @param {string} id - Image id
+ * @returns {Promise<Blob|undefined>} - The image, or undefined when missing
+ */
+export const getImage = (id) => withStore('readonly', store => store.get(id));
+
+/**
+ * Delete a stored image
+ * @param {string} id - Image id
+ * @returns {Promise<void>}
+ */
+export const deleteImage = (id) => withStore('readwrite', store => store.delete(id));
+
+/**
+ * Encode an image as a data URI, as embedded in exported packs
+ * @param {Blob} blob - Image
+ * @returns {Promise<string>} - data:image/...;base64 URI
+ */
+export const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(reader.result);
+  reader.onerror = () => reject(reader.error);
+  reader.readAsDataURL(blob);
+});
@@ -0,0 +1,97 @@
+/**
+ * Local leaderboard helpers
+ * Boards are ranked from the saved history of every profile on this device, one board per mode,
+ * each with its own measure of a good game
+ */
+
+import { getDailyKey } from './daily';
+
+// ==================== BOARDS ====================
+
+// Places shown per board
+export const LEADERBOARD_SIZE = 10;
+
+// Speed runs only count when most answers were right, so tapping at random cannot top the board
+export const SPEED_MIN_PERCENTAGE = 50;
+
+// Minutes and seconds, for completion times
+const formatDuration = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+// Per-mode ranking: the value compared, whether lower is better, and how to show it
+export const LEADERBOARDS = {
+  classic: {
+    label: 'Percentage',
+    getValue: (result) => result.percentage,
+    format: (value) => `${value}%`,
+  },
+  speed: {
+    label: 'Completion time',
+    getValue: (result) => (result.percentage >= SPEED_MIN_PERCENTAGE ? result.duration : null),
+    lowerIsBetter: true,
+    format: formatDuration,
+  },
+  timed: {
+    label: 'Score',
+    getValue: (result) => result.score,
+    format: (value) => `${value} pts`,
+  },
+  survival: {
+    label: 'Run length',
+    getValue: (result) => result.runLength ?? result.answers.length,
+    format: (value) => `${value} ${value === 1 ? 'round' : 'rounds'}`,
+  },
+};
+
+export const LEADERBOARD_MODES = Object.keys(LEADERBOARDS);
+
+// ==================== PERIODS ====================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const PERIODS = {
+  today: { label: 'Today', includes: (time, now) => getDailyKey(new Date(time)) === getDailyKey(now) },
+  week: { label: 'This Week', includes: (time, now) => now.getTime() - time < 7 * DAY_MS },
+  all: { label: 'All Time', includes: () => true },
+};
+
+// ==================== RANKING ====================
+
+/**
+ * Name shown for a result: the one entered on the end screen, else the hot-seat player or profile name
+ * @param {Object} result - Saved game result
+ * @param {Object} profileNames - Profile id -> name
+ * @returns {string} - Display name
+ */
+export const getEntryName = (result, profileNames) =>
+  result.leaderboardName || result.player || profileNames[result.profile] || 'Player';
+
+/**
+ * Top results of one mode
+ * Equal values rank the earlier game first
+ * @param {Array} history - Saved results (any modes and profiles)
+ * @param {string} mode - One of LEADERBOARD_MODES
+ * @param {Object} [options] - { period: key of PERIODS, now: Date, size: places }
+ * @returns {Array<Object>} - { result, value, rank } best first
+ */
+export const getLeaderboard = (history, mode, { period = 'all', now = new Date(), size = LEADERBOARD_SIZE } = {}) => {
+  const board = LEADERBOARDS[mode];
+  if (!board) return [];
+  const direction = board.lowerIsBetter ? 1 : -1;
+
+  return history
+    .filter(result => result.gameMode === mode && PERIODS[period].includes(Date.parse(result.timestamp), now))
+    .map(result => ({ result, value: board.getValue(result) }))
+    .filter(({ value }) => typeof value === 'number')
+    .sort((a, b) => direction * (a.value - b.value) || Date.parse(a.result.timestamp) - Date.parse(b.result.timestamp))
+    .slice(0, size)
+    .map((entry, index) => ({ ...entry, rank: index + 1 }));
+};
+
+/**
+ * Place a just-saved result takes on its mode's all-time board
+ * @param {Array} history - Saved results of the mode, including this one
+ * @param {Object} result - The saved result
+ * @returns {number|null} - Rank, null when it did not make the board
+ */
+export const getLeaderboardRank = (history, result) =>
+  getLeaderboard(history, result.gameMode).find(entry => entry.result.id === result.id)?.rank ?? null;
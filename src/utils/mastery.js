@@ -0,0 +1,116 @@
+/**
+ * Mastery tracking and practice scheduling
+ * Every color and object has a Leitner card: right answers move it up a box,
+ * a miss sends it back to box 1, and higher boxes come back less often
+ * Time is counted in games played (sessions), not days
+ */
+
+import { STORAGE_KEYS, readValue, subscribe, validateObject, writeValue } from './storage';
+
+// ==================== LEITNER BOXES ====================
+
+// Games between reviews for boxes 1-5
+export const LEITNER_INTERVALS = [1, 2, 4, 8, 16];
+export const MAX_BOX = LEITNER_INTERVALS.length;
+
+// Shade and paint rounds test perception, not which color things are
+const SKIPPED_MODES = ['hard', 'mix'];
+
+export const MASTERY_LABELS = ['New', 'Learning', 'Practicing', 'Improving', 'Good', 'Mastered'];
+
+const EMPTY_MASTERY = { session: 0, colors: {}, objects: {} };
+
+/**
+ * Update a card after an answer
+ * A card moves up at most one box per game; a miss always sends it back to box 1
+ * @param {Object} [card] - Current card (undefined for a first answer)
+ * @param {boolean} correct - Whether the answer was right
+ * @param {number} session - Game the answer was given in
+ * @returns {Object} - { box, seen, correct, due, lastSeen }
+ */
+export const reviewCard = (card, correct, session) => {
+  const current = card || { box: 1, seen: 0, correct: 0, due: session, lastSeen: null };
+  const box = !correct ? 1
+    : current.lastSeen === session ? current.box
+    : Math.min(MAX_BOX, current.box + 1);
+
+  return {
+    box,
+    seen: current.seen + 1,
+    correct: current.correct + (correct ? 1 : 0),
+    due: session + LEITNER_INTERVALS[box - 1],
+    lastSeen: session,
+  };
+};
+
+// ==================== PERSISTENCE ====================
+
+/**
+ * Load the saved mastery cards
+ * @param {string} [profileId] - Player profile (the active one by default)
+ * @returns {Object} - { session, colors, objects }
+ */
+export const loadMastery = (profileId) => ({ ...EMPTY_MASTERY, ...readValue(STORAGE_KEYS.mastery, {}, validateObject, profileId) });
+
+/**
+ * Update mastery from a finished game
+ * @param {Object} gameResult - Result built by the game engine
+ * @returns {Object} - Updated mastery
+ */
+export const recordMastery = (gameResult) => {
+  const mastery = loadMastery();
+  if (SKIPPED_MODES.includes(gameResult.gameMode)) return mastery;
+
+  const session = mastery.session + 1;
+  const colors = { ...mastery.colors };
+  const objects = { ...mastery.objects };
+  (gameResult.answers || []).forEach(answer => {
+    colors[answer.color] = reviewCard(colors[answer.color], answer.correct, session);
+    if (answer.object) objects[answer.object] = reviewCard(objects[answer.object], answer.correct, session);
+  });
+
+  const updated = { session, colors, objects };
+  writeValue(STORAGE_KEYS.mastery, updated);
+  return updated;
+};
+
+/**
+ * Follow mastery changes (finished games, profile switches, other tabs)
+ * @param {Function} listener - Called after every change
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeMastery = (listener) => subscribe(STORAGE_KEYS.mastery, listener);
+
+// ==================== SCHEDULING ====================
+
+/**
+ * Mastery level of a card for display
+ * @param {Object} [card] - Leitner card
+ * @returns {number} - 0 (never answered) to MAX_BOX (mastered)
+ */
+export const getMasteryLevel = (card) => (card ? card.box : 0);
+
+/**
+ * Whether a card should be reviewed in the next game
+ * @param {Object} [card] - Leitner card
+ * @param {number} session - Games played so far
+ * @returns {boolean} - True for new and due cards
+ */
+export const isDue = (card, session) => !card || card.due <= session + 1;
+
+// Lower is asked sooner: due before not due, then low boxes, then low accuracy
+const cardPriority = (card, session) => {
+  if (!card) return 1;                                       // New cards rank with box 1
+  const accuracy = card.seen ? card.correct / card.seen : 0;
+  return (isDue(card, session) ? 0 : MAX_BOX + 1) + card.box + accuracy;
+};
+
+/**
+ * Practice ranking for (color, object) pairs, driven by the weaker of the two cards
+ * @param {Object} mastery - Saved mastery
+ * @returns {Function} - (color, object) => priority, lower is asked sooner
+ */
+export const getPracticePriority = (mastery) => (color, object) => Math.min(
+  cardPriority(mastery.colors[color.name], mastery.session),
+  cardPriority(mastery.objects[object.label], mastery.session),
+);
@@ -0,0 +1,27 @@
+/**
+ * Game mode display info
+ * Names, icons and accent colors shared by the game screen and the Statistics page
+ */
+
+export const GAME_MODE_INFO = {
+  classic: { name: 'Classic Mode', icon: '🎨', color: 'green' },
+  timed: { name: 'Timed Challenge', icon: '⏱️', color: 'yellow' },
+  speed: { name: 'Speed Run', icon: '💨', color: 'green' },
+  hard: { name: 'Tricky Shades', icon: '🧠', color: 'red' },
+  daily: { name: 'Daily Challenge', icon: '📅', color: 'blue' },
+  reverse: { name: 'Reverse Mode', icon: '🔄', color: 'purple' },
+  mix: { name: 'Paint Mixer', icon: '🖌️', color: 'yellow' },
+  spell: { name: 'Spell It', icon: '✏️', color: 'blue' },
+  multi: { name: 'Find Them All', icon: '🧺', color: 'green' },
+  survival: { name: 'Survival', icon: '❤️', color: 'red' },
+  practice: { name: 'Practice', icon: '🎯', color: 'blue' },
+  hotseat: { name: 'Pass & Play', icon: '👫', color: 'purple' },
+  race: { name: 'Race', icon: '🏁', color: 'yellow' },
+};
+
+/**
+ * Display info for a mode (games saved before modes existed count as classic)
+ * @param {string} [mode] - Game mode
+ * @returns {Object} - { name, icon, color }
+ */
+export const getGameModeInfo = (mode) => GAME_MODE_INFO[mode] || GAME_MODE_INFO.classic;
@@ -0,0 +1,256 @@
+/**
+ * Question pack helpers
+ * Validates the versioned pack JSON format and manages installed packs in localStorage
+ * Format reference: see "Question Packs" in README.md
+ */
+
+import { colors, objects } from '../catalogue';
+import { STORAGE_KEYS, readValue, validateList, validateObject, writeValue } from './storage';
+
+// ==================== FORMAT ====================
+
+export const PACK_FORMAT = 'colorquest-pack';
+export const PACK_VERSION = 1;
+
+const HEX_PATTERN = /^#[0-9a-f]{6}$/i;
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+// Images: http(s) URLs, same-origin paths (not protocol-relative //host or /\host) and base64 data URIs
+const IMAGE_PATTERN = /^(https?:\/\/|\/(?![/\\])|data:image\/[a-z+.-]+;base64,)/i;
+
+// The catalogue shipped with the game, exposed as a pack
+export const BUILTIN_PACK = {
+  format: PACK_FORMAT,
+  version: PACK_VERSION,
+  id: 'builtin',
+  name: 'Everyday Colors',
+  description: 'Fruits, vegetables and nature',
+  colors,
+  items: objects,
+};
+
+// ==================== VALIDATION ====================
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Validate a parsed pack
+ * Errors name the exact field, e.g. `items[2].colors[0]: unknown color "pink"`
+ * @param {*} data - Parsed JSON
+ * @returns {{pack: Object|null, errors: Array<string>}} - Normalized pack when valid
+ */
+export const validatePack = (data) => {
+  const errors = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { pack: null, errors: ['pack: must be a JSON object'] };
+  }
+
+  // metadata
+  if (data.format !== PACK_FORMAT) errors.push(`format: must be "${PACK_FORMAT}"`);
+  if (!Number.isInteger(data.version)) {
+    errors.push('version: must be an integer');
+  } else if (data.version > PACK_VERSION) {
+    errors.push(`version: ${data.version} is newer than this game supports (${PACK_VERSION})`);
+  } else if (data.version < 1) {
+    errors.push('version: must be 1 or higher');
+  }
+  if (typeof data.id !== 'string' || !ID_PATTERN.test(data.id)) {
+    errors.push('id: must use lowercase letters, digits and dashes');
+  } else if (data.id === BUILTIN_PACK.id) {
+    errors.push(`id: "${BUILTIN_PACK.id}" is reserved`);
+  }
+  if (!isNonEmptyString(data.name)) errors.push('name: must be a non-empty string');
+  if (data.description !== undefined && typeof data.description !== 'string') {
+    errors.push('description: must be a string');
+  }
+
+  // colors
+  const colorNames = new Set();
+  if (!Array.isArray(data.colors) || data.colors.length === 0) {
+    errors.push('colors: must be a non-empty array');
+  } else {
+    data.colors.forEach((color, index) => {
+      const path = `colors[${index}]`;
+      if (!color || typeof color !== 'object') {
+        errors.push(`${path}: must be an object`);
+        return;
+      }
+      if (!isNonEmptyString(color.name)) {
+        errors.push(`${path}.name: must be a non-empty string`);
+      } else if (colorNames.has(color.name.toLowerCase())) {
+        errors.push(`${path}.name: duplicate color "${color.name}"`);
+      } else {
+        colorNames.add(color.name.toLowerCase());
+      }
+      if (typeof color.hex !== 'string' || !HEX_PATTERN.test(color.hex)) {
+        errors.push(`${path}.hex: must look like #a1b2c3`);
+      }
+      if (color.aliases !== undefined && (!Array.isArray(color.aliases) || !color.aliases.every(isNonEmptyString))) {
+        errors.push(`${path}.aliases: must be an array of strings`);
+      }
+    });
+  }
+
+  // items
+  if (!Array.isArray(data.items)) {
+    errors.push('items: must be an array');
+  } else {
+    if (data.items.length < 2) errors.push('items: must contain at least 2 items');
+    data.items.forEach((item, index) => {
+      const path = `items[${index}]`;
+      if (!item || typeof item !== 'object') {
+        errors.push(`${path}: must be an object`);
+        return;
+      }
+      if (!isNonEmptyString(item.label)) errors.push(`${path}.label: must be a non-empty string`);
+      if (typeof item.image !== 'string' || !IMAGE_PATTERN.test(item.image)) {
+        errors.push(`${path}.image: must be an http(s) URL, a same-origin absolute path or a data:image/...;base64 URI`);
+      }
+      if (!Array.isArray(item.colors) || item.colors.length === 0) {
+        errors.push(`${path}.colors: must be a non-empty array of color names`);
+      } else {
+        item.colors.forEach((name, colorIndex) => {
+          if (typeof name !== 'string' || !colorNames.has(name.toLowerCase())) {
+            errors.push(`${path}.colors[${colorIndex}]: unknown color ${JSON.stringify(name)}`);
+          }
+        });
+      }
+      if (item.category !== undefined && typeof item.category !== 'string') {
+        errors.push(`${path}.category: must be a string`);
+      }
+      if (item.clue !== undefined && typeof item.clue !== 'string') {
+        errors.push(`${path}.clue: must be a string`);
+      }
+    });
+  }
+
+  if (errors.length) return { pack: null, errors };
+
+  // normalized pack: lowercase color references
+  const pack = {
+    format: PACK_FORMAT,
+    version: PACK_VERSION,
+    id: data.id,
+    name: data.name.trim(),
+    description: data.description || '',
+    author: typeof data.author === 'string' ? data.author : '',
+    colors: data.colors.map(color => ({
+      name: color.name.toLowerCase(),
+      hex: color.hex.toLowerCase(),
+      aliases: (color.aliases || []).map(alias => alias.toLowerCase()),
+    })),
+    items: data.items.map(item => ({
+      label: item.label.trim(),
+      image: item.image,
+      colors: item.colors.map(name => name.toLowerCase()),
+      category: item.category || 'custom',
+      ...(item.clue && { clue: item.clue }),
+    })),
+  };
+
+  // playability: every round needs a distractor with a different color
+  const playable = pack.items.some(answer =>
+    pack.items.some(other => !other.colors.some(name => answer.colors.includes(name)))
+  );
+  if (!playable) errors.push('items: need at least two items that do not share a color');
+
+  return errors.length ? { pack: null, errors } : { pack, errors };
+};
+
+/**
+ * Parse and validate pack JSON text
+ * @param {string} text - File contents
+ * @returns {{pack: Object|null, errors: Array<string>}} - Validation result
+ */
+export const parsePack = (text) => {
+  try {
+    return validatePack(JSON.parse(text));
+  } catch (error) {
+    return { pack: null, errors: [`JSON: ${error.message}`] };
+  }
+};
+
+// ==================== INSTALLED PACKS ====================
+
+// Stored packs are checked again on every read, so packs installed under older, looser rules
+// (e.g. protocol-relative image URLs) are dropped instead of played
+const validateInstalledPacks = (value) =>
+  validateList(value)?.map(stored => validatePack(stored).pack).filter(Boolean);
+
+/**
+ * Packs installed on this device
+ * @returns {Array} - Installed packs that still pass validation (built-in excluded)
+ */
+export const loadInstalledPacks = () => readValue(STORAGE_KEYS.packs, [], validateInstalledPacks);
+
+/**
+ * All packs a game can be started from, built-in first
+ * @returns {Array} - Packs
+ */
+export const getAvailablePacks = () => [BUILTIN_PACK, ...loadInstalledPacks()];
+
+/**
+ * Look up a pack by id, falling back to the built-in catalogue
+ * @param {string} [packId] - Pack id
+ * @returns {Object} - Pack
+ */
+export const getPack = (packId) =>
+  loadInstalledPacks().find(pack => pack.id === packId) || BUILTIN_PACK;
+
+/**
+ * Install (or replace) a validated pack
+ * @param {Object} pack - Pack returned by validatePack
+ * @returns {Array} - Installed packs
+ * @throws {Error} - When localStorage is full (large embedded images)
+ */
+export const installPack = (pack) => {
+  const packs = [...loadInstalledPacks().filter(installed => installed.id !== pack.id), pack];
+  try {
+    writeValue(STORAGE_KEYS.packs, packs);
+  } catch {
+    throw new Error('Not enough local storage for this pack - try smaller or linked images');
+  }
+  return packs;
+};
+
+/**
+ * Remove an installed pack
+ * @param {string} packId - Pack id
+ * @returns {Array} - Installed packs
+ */
+export const removePack = (packId) => {
+  const packs = loadInstalledPacks().filter(pack => pack.id !== packId);
+  writeValue(STORAGE_KEYS.packs, packs);
+  return packs;
+};
+
+// ==================== EDITOR DRAFT ====================
+
+// Work in progress in the pack editor; items reference uploaded images by id (see utils/imageStore.js)
+export const EMPTY_PACK_DRAFT = {
+  name: '',
+  description: '',
+  author: '',
+  colors: [],                 // { name, hex }
+  items: [],                  // { key, label, imageId, colors, clue }
+};
+
+/**
+ * Derive a pack id from its name, e.g. "Local Fruits!" -> "local-fruits"
+ * @param {string} name - Pack name
+ * @returns {string} - Pack id
+ */
+export const toPackId = (name) =>
+  name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+/**
+ * Load the pack editor draft
+ * @returns {Object} - Draft (empty when none is saved)
+ */
+export const loadPackDraft = () => ({ ...EMPTY_PACK_DRAFT, ...readValue(STORAGE_KEYS.packDraft, {}, validateObject) });
+
+/**
+ * Save the pack editor draft
+ * @param {Object} draft - Draft to keep
+ */
+export const savePackDraft = (draft) => writeValue(STORAGE_KEYS.packDraft, draft);
@@ -0,0 +1,95 @@
+/**
+ * Paint mixing helpers for the color mixing mode
+ * Mixes like pigments on the artist's RYB color wheel (blue + yellow = green),
+ * not by averaging RGB values
+ */
+
+import { deltaEHex, rgbToHex } from './color';
+
+// ==================== PAINTS ====================
+
+// RYB corner colors as RGB 0-1 (Gosset & Chen, "Paint Inspired Color Mixing and Compositing")
+const RYB_CUBE = {
+  white: [1, 1, 1],           // no pigment
+  red: [1, 0, 0],
+  yellow: [1, 1, 0],
+  blue: [0.163, 0.373, 0.6],
+  orange: [1, 0.5, 0],        // red + yellow
+  purple: [0.5, 0, 0.5],      // red + blue
+  green: [0, 0.66, 0.2],      // yellow + blue
+  black: [0.2, 0.094, 0],     // all three
+};
+
+/**
+ * Convert an RYB pigment amount to RGB by trilinear interpolation of the RYB cube
+ * @param {number} r - Red pigment 0-1
+ * @param {number} y - Yellow pigment 0-1
+ * @param {number} b - Blue pigment 0-1
+ * @returns {Array<number>} - RGB 0-1
+ */
+const rybToRgb = (r, y, b) => {
+  const mix = (from, to, t) => from.map((value, i) => value + (to[i] - value) * t);
+  const noBlue = mix(mix(RYB_CUBE.white, RYB_CUBE.red, r), mix(RYB_CUBE.yellow, RYB_CUBE.orange, r), y);
+  const withBlue = mix(mix(RYB_CUBE.blue, RYB_CUBE.purple, r), mix(RYB_CUBE.green, RYB_CUBE.black, r), y);
+  return mix(noBlue, withBlue, b);
+};
+
+const toHex = ([r, g, b]) => rgbToHex({ r: Math.round(r * 255), g: Math.round(g * 255), b: Math.round(b * 255) });
+
+// Paints offered in the mixing palette; white and black tint and shade instead of adding pigment
+export const PAINTS = [
+  { name: 'red', ryb: [1, 0, 0] },
+  { name: 'yellow', ryb: [0, 1, 0] },
+  { name: 'blue', ryb: [0, 0, 1] },
+  { name: 'white', tint: [1, 1, 1] },
+  { name: 'black', tint: [0.1, 0.1, 0.1] },
+].map(paint => ({ ...paint, hex: toHex(paint.ryb ? rybToRgb(...paint.ryb) : paint.tint) }));
+
+// ==================== MIXING ====================
+
+/**
+ * Mix paint drops
+ * Colored pigments combine on the RYB wheel at full strength, then white and black
+ * dilute the result in proportion to their share of the drops
+ * @param {Object} drops - Drop count per paint name, e.g. { blue: 1, yellow: 1 }
+ * @returns {string|null} - Mixed hex color, null for an empty bowl
+ */
+export const mixPaints = (drops) => {
+  const used = PAINTS.filter(paint => drops[paint.name] > 0);
+  const total = used.reduce((sum, paint) => sum + drops[paint.name], 0);
+  if (!total) return null;
+
+  const pigments = used.filter(paint => paint.ryb);
+  const tints = used.filter(paint => paint.tint);
+
+  // Pigment share per RYB channel, scaled so the strongest pigment is at full strength
+  const ryb = [0, 1, 2].map(channel => pigments.reduce((sum, paint) => sum + paint.ryb[channel] * drops[paint.name], 0));
+  const strongest = Math.max(...ryb);
+  const base = strongest ? rybToRgb(...ryb.map(amount => amount / strongest)) : null;
+
+  // Weighted blend of the pigment color with the white / black drops
+  const parts = [
+    ...(base ? [{ rgb: base, weight: pigments.reduce((sum, paint) => sum + drops[paint.name], 0) }] : []),
+    ...tints.map(paint => ({ rgb: paint.tint, weight: drops[paint.name] })),
+  ];
+  return toHex([0, 1, 2].map(channel => parts.reduce((sum, part) => sum + part.rgb[channel] * part.weight, 0) / total));
+};
+
+// ==================== SCORING ====================
+
+// CIEDE2000 distances for full and zero credit
+export const MIX_PERFECT_DELTA_E = 3;
+export const MIX_ZERO_DELTA_E = 25;
+
+/**
+ * Credit for a mix: 1 when indistinguishable from the target, falling to 0 as it drifts away
+ * @param {string} targetHex - Color to reproduce
+ * @param {string|null} mixHex - Player's mix
+ * @returns {number} - 0-1, rounded to 2 decimals
+ */
+export const getMixCredit = (targetHex, mixHex) => {
+  if (!mixHex) return 0;
+  const distance = deltaEHex(targetHex, mixHex);
+  const credit = (MIX_ZERO_DELTA_E - distance) / (MIX_ZERO_DELTA_E - MIX_PERFECT_DELTA_E);
+  return Math.round(Math.min(1, Math.max(0, credit)) * 100) / 100;
+};
@@ -0,0 +1,127 @@
+/**
+ * Player profile helpers
+ * Several players can share one device: each profile has its own history, settings,
+ * theme, mastery and achievements, and one profile is active at a time
+ */
+
+import {
+  DEFAULT_PROFILE_ID, STORAGE_KEYS, getActiveProfileId, readValue, removeProfileData, setActiveProfileId,
+  subscribe, validateList, writeValue,
+} from './storage';
+import { clearHistory } from './history';
+
+// ==================== APPEARANCE ====================
+
+export const PROFILE_AVATARS = ['🦊', '🐼', '🐸', '🦁', '🐙', '🦄', '🐢', '🐝', '🐧', '🐶', '🐱', '🦖'];
+
+// Badge background per profile color (full class names so Tailwind keeps them)
+export const PROFILE_COLORS = {
+  green: 'bg-green-500',
+  blue: 'bg-blue-500',
+  purple: 'bg-purple-500',
+  pink: 'bg-pink-500',
+  orange: 'bg-orange-500',
+  yellow: 'bg-yellow-400',
+  red: 'bg-red-500',
+  teal: 'bg-teal-500',
+};
+
+export const MAX_NAME_LENGTH = 20;
+
+// Owns everything saved before profiles existed; used until another profile is added
+export const DEFAULT_PROFILE = { id: DEFAULT_PROFILE_ID, name: 'Player 1', avatar: '🦊', color: 'green' };
+
+// ==================== PERSISTENCE ====================
+
+const isProfile = (profile) =>
+  typeof profile.id === 'string' && typeof profile.name === 'string' && profile.name.trim().length > 0;
+
+/**
+ * Load every profile on this device
+ * @returns {Array<Object>} - Profiles ({ id, name, avatar, color }), never empty
+ */
+export const loadProfiles = () => {
+  const profiles = readValue(STORAGE_KEYS.profiles, [], validateList).filter(isProfile);
+  return profiles.length ? profiles : [DEFAULT_PROFILE];
+};
+
+/**
+ * Profile currently playing
+ * @returns {Object} - Active profile (the first one when the saved id is gone)
+ */
+export const getActiveProfile = () => {
+  const profiles = loadProfiles();
+  return profiles.find(profile => profile.id === getActiveProfileId()) || profiles[0];
+};
+
+/**
+ * Make a profile the active one
+ * @param {string} profileId - Profile to switch to
+ */
+export const switchProfile = (profileId) => setActiveProfileId(profileId);
+
+// Trimmed name, avatar and color, falling back to the defaults
+const cleanDetails = ({ name, avatar, color }) => ({
+  name: String(name).trim().slice(0, MAX_NAME_LENGTH),
+  avatar: PROFILE_AVATARS.includes(avatar) ? avatar : DEFAULT_PROFILE.avatar,
+  color: color in PROFILE_COLORS ? color : DEFAULT_PROFILE.color,
+});
+
+/**
+ * Add a profile
+ * @param {Object} details - { name, avatar, color }
+ * @returns {Object} - The new profile
+ * @throws {Error} - When the name is empty
+ */
+export const createProfile = (details) => {
+  // random suffix: several profiles can be added in the same millisecond (hot-seat setup)
+  const id = `player-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  const profile = { id, ...cleanDetails(details) };
+  if (!profile.name) throw new Error('Please enter a name');
+  writeValue(STORAGE_KEYS.profiles, [...loadProfiles(), profile]);
+  return profile;
+};
+
+/**
+ * Change a profile's name, avatar or color
+ * @param {string} profileId - Profile to change
+ * @param {Object} details - { name, avatar, color }
+ * @throws {Error} - When the name is empty
+ */
+export const updateProfile = (profileId, details) => {
+  const changes = cleanDetails(details);
+  if (!changes.name) throw new Error('Please enter a name');
+  writeValue(STORAGE_KEYS.profiles, loadProfiles().map(profile =>
+    profile.id === profileId ? { ...profile, ...changes } : profile
+  ));
+};
+
+/**
+ * Delete a profile with its history, settings, theme, mastery and achievements; other profiles keep theirs
+ * @param {string} profileId - Profile to delete
+ * @returns {Promise<void>}
+ * @throws {Error} - When it is the only profile
+ */
+export const deleteProfile = async (profileId) => {
+  const remaining = loadProfiles().filter(profile => profile.id !== profileId);
+  if (!remaining.length) throw new Error('The last profile cannot be deleted');
+
+  await clearHistory(profileId);
+  removeProfileData(profileId);
+  writeValue(STORAGE_KEYS.profiles, remaining);
+  if (getActiveProfileId() === profileId) switchProfile(remaining[0].id);
+};
+
+/**
+ * Follow changes to the profile list and the active profile (in this tab or another one)
+ * @param {Function} listener - Called after every change
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeProfiles = (listener) => {
+  const unsubscribeList = subscribe(STORAGE_KEYS.profiles, listener);
+  const unsubscribeActive = subscribe(STORAGE_KEYS.activeProfile, listener);
+  return () => {
+    unsubscribeList();
+    unsubscribeActive();
+  };
+};
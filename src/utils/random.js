@@ -0,0 +1,35 @@
+/**
+ * Seedable random number helpers
+ * Same seed -> same sequence, so every player can get the same game
+ */
+
+/**
+ * Hash a string into a 32-bit unsigned seed (FNV-1a)
+ * @param {string} text - Any string, e.g. a date key
+ * @returns {number} - Seed value
+ */
+export const hashString = (text) => {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Create a deterministic PRNG (mulberry32)
+ * Drop-in replacement for Math.random
+ * @param {number|string} seed - Numeric seed or string to hash
+ * @returns {Function} - Returns floats in [0, 1)
+ */
+export const createRandom = (seed) => {
+  let state = (typeof seed === 'string' ? hashString(seed) : seed) >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
@@ -0,0 +1,38 @@
+/**
+ * Player settings persistence helpers
+ * Settings are kept by the storage module, which notifies open screens so they update live
+ */
+
+import { STORAGE_KEYS, readValue, removeValue, subscribe, validateObject, writeValue } from './storage';
+
+export const DEFAULT_SETTINGS = {
+  difficulty: 'normal',
+  soundEnabled: true,
+  volume: 0.7,                // Master volume for sound effects, 0-1
+  hintsEnabled: true,
+  readingMode: false,         // Show color names under the swatches in Reverse mode
+};
+
+/**
+ * Load saved settings merged over the defaults
+ * @returns {Object} - Current settings
+ */
+export const loadSettings = () => ({ ...DEFAULT_SETTINGS, ...readValue(STORAGE_KEYS.settings, {}, validateObject) });
+
+/**
+ * Persist settings and notify listeners
+ * @param {Object} settings - Complete settings object
+ */
+export const saveSettings = (settings) => writeValue(STORAGE_KEYS.settings, settings);
+
+/**
+ * Remove saved settings, reverting to the defaults
+ */
+export const resetSettings = () => removeValue(STORAGE_KEYS.settings);
+
+/**
+ * Follow settings changes (settings page, other tabs)
+ * @param {Function} listener - Called after every change
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeSettings = (listener) => subscribe(STORAGE_KEYS.settings, listener);
@@ -0,0 +1,58 @@
+/**
+ * Spelling helpers for the type-the-color-name mode
+ * Typed answers are matched against a color's name and aliases with typo tolerance
+ */
+
+// ==================== MATCHING ====================
+
+// Lowercase, letters only, single spaces ("  Sky-Blue " -> "sky blue")
+const normalize = (text) =>
+  text.toLowerCase().replace(/[^a-z]+/g, ' ').trim();
+
+/**
+ * Optimal string alignment distance: insertions, deletions, substitutions
+ * and swaps of neighbouring letters ("oragne") each count as one typo
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} - Number of typos
+ */
+export const typoDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+};
+
+// Typos forgiven for a word: none for short words like "red", more for longer ones
+const allowedTypos = (word) => (word.length <= 3 ? 0 : word.length <= 7 ? 1 : 2);
+
+// Credit lost per forgiven typo
+export const TYPO_PENALTY = 0.25;
+
+/**
+ * Score a typed color name
+ * @param {string} typed - What the player typed
+ * @param {Object} color - Color with `name` and optional `aliases`
+ * @returns {{credit: number, typos: number|null, closest: string}} - Credit 0-1, typos in the
+ *   closest accepted spelling (null when too far off) and that spelling
+ */
+export const scoreSpelling = (typed, color) => {
+  const answer = normalize(typed);
+  const accepted = [color.name, ...(color.aliases || [])].map(normalize);
+
+  const [closest, typos] = accepted
+    .map(word => [word, typoDistance(answer, word)])
+    .reduce((best, candidate) => (candidate[1] < best[1] ? candidate : best));
+
+  if (!answer || typos > allowedTypos(closest)) return { credit: 0, typos: null, closest };
+  return { credit: 1 - typos * TYPO_PENALTY, typos, closest };
+};
@@ -0,0 +1,221 @@
+/**
+ * Storage module - the only place that touches localStorage
+ * Owns every key, versions the stored schema, migrates old records, validates what is read
+ * and notifies subscribers when a value changes (in this tab or another one)
+ * Profile keys (PROFILE_KEYS) are transparently kept per player profile
+ */
+
+// ==================== KEYS & VERSION ====================
+
+export const STORAGE_KEYS = {
+  history: 'colorquest-history',   // Results saved before history moved to IndexedDB (see utils/history.js)
+  settings: 'colorquest-settings',
+  theme: 'colorquest-theme',
+  packs: 'colorquest-packs',
+  packDraft: 'colorquest-pack-draft',
+  mastery: 'colorquest-mastery',
+  profiles: 'colorquest-profiles',
+  activeProfile: 'colorquest-active-profile',
+  achievements: 'colorquest-achievements',
+};
+
+// Kept once per player profile, stored as "<key>:<profile id>"; everything else is shared
+export const PROFILE_KEYS = [STORAGE_KEYS.settings, STORAGE_KEYS.theme, STORAGE_KEYS.mastery, STORAGE_KEYS.achievements];
+
+// Profile that owns data saved before profiles existed
+export const DEFAULT_PROFILE_ID = 'default';
+
+const VERSION_KEY = 'colorquest-schema-version';
+
+// Bump with a new entry in MIGRATIONS whenever a stored shape changes
+export const SCHEMA_VERSION = 3;
+
+// ==================== READ & WRITE ====================
+
+const listeners = new Map();                                 // key -> Set of callbacks
+
+const notify = (key) => listeners.get(key)?.forEach(listener => listener());
+
+/**
+ * Profile whose settings, theme, mastery and achievements are read and written
+ * @returns {string} - Active profile id
+ */
+export const getActiveProfileId = () =>
+  readValue(STORAGE_KEYS.activeProfile, DEFAULT_PROFILE_ID, (value) => (typeof value === 'string' ? value : undefined));
+
+// localStorage name of a key: profile keys get the (active) profile id appended
+const storageName = (key, profileId) =>
+  PROFILE_KEYS.includes(key) ? `${key}:${profileId ?? getActiveProfileId()}` : key;
+
+/**
+ * Read a stored value
+ * Missing, unparseable or invalid values give the fallback instead of throwing
+ * @param {string} key - One of STORAGE_KEYS
+ * @param {*} fallback - Value used when nothing valid is stored
+ * @param {Function} [validate] - Returns the cleaned value, or undefined when invalid
+ * @param {string} [profileId] - Profile a profile key is read for (the active one by default)
+ * @returns {*} - Stored value or fallback
+ */
+export const readValue = (key, fallback, validate = (value) => value, profileId) => {
+  const saved = localStorage.getItem(storageName(key, profileId));
+  if (saved === null) return fallback;
+  try {
+    const value = validate(JSON.parse(saved));
+    return value === undefined ? fallback : value;
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * Store a value and notify subscribers
+ * @param {string} key - One of STORAGE_KEYS
+ * @param {*} value - JSON-serializable value
+ * @param {string} [profileId] - Profile a profile key is written for (the active one by default)
+ * @throws {Error} - When localStorage is full
+ */
+export const writeValue = (key, value, profileId) => {
+  localStorage.setItem(storageName(key, profileId), JSON.stringify(value));
+  notify(key);
+};
+
+/**
+ * Remove a stored value and notify subscribers
+ * @param {string} key - One of STORAGE_KEYS
+ */
+export const removeValue = (key) => {
+  localStorage.removeItem(storageName(key));
+  notify(key);
+};
+
+/**
+ * Switch the profile that profile keys are read from and written to
+ * Subscribers to those keys are notified, since their values change with it
+ * @param {string} profileId - Profile to activate
+ */
+export const setActiveProfileId = (profileId) => {
+  localStorage.setItem(STORAGE_KEYS.activeProfile, JSON.stringify(profileId));
+  [STORAGE_KEYS.activeProfile, ...PROFILE_KEYS].forEach(notify);
+};
+
+/**
+ * Remove every profile key saved for one profile
+ * @param {string} profileId - Profile whose data is removed
+ */
+export const removeProfileData = (profileId) => {
+  PROFILE_KEYS.forEach(key => localStorage.removeItem(storageName(key, profileId)));
+  PROFILE_KEYS.forEach(notify);
+};
+
+/**
+ * Follow changes to a key
+ * @param {string} key - One of STORAGE_KEYS
+ * @param {Function} listener - Called with no arguments after every change; re-read the value
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribe = (key, listener) => {
+  if (!listeners.has(key)) listeners.set(key, new Set());
+  listeners.get(key).add(listener);
+  return () => listeners.get(key).delete(listener);
+};
+
+// other tabs: the browser reports their writes (a null key means storage was cleared);
+// profile keys arrive with their profile id, and a profile switch changes all of them
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (event) => {
+    if (event.key === null) listeners.forEach((_, key) => notify(key));
+    else if (event.key === STORAGE_KEYS.activeProfile) [event.key, ...PROFILE_KEYS].forEach(notify);
+    else notify(event.key.split(':')[0]);
+  });
+}
+
+// ==================== VALIDATION ====================
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Recover the end time of a result: the engine uses it as the id, older builds only kept locale strings
+const getResultTime = (record) => {
+  if (typeof record.timestamp === 'string' && !Number.isNaN(Date.parse(record.timestamp))) return Date.parse(record.timestamp);
+  if (typeof record.id === 'number' && record.id > Date.UTC(2000, 0, 1)) return record.id;
+  const parsed = Date.parse(`${record.date} ${record.time}`);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+/**
+ * Clean up a saved game result, filling fields older versions did not write
+ * @param {*} record - Stored result
+ * @returns {Object|null} - Result in the current shape, null when unusable
+ */
+export const normalizeGameResult = (record) => {
+  if (!isObject(record) || typeof record.score !== 'number' || typeof record.totalQuestions !== 'number') return null;
+
+  const time = getResultTime(record);
+  return {
+    ...record,
+    id: record.id ?? time ?? 0,
+    percentage: typeof record.percentage === 'number'
+      ? record.percentage
+      : record.totalQuestions ? Math.round((record.score / record.totalQuestions) * 100) : 0,
+    timestamp: time !== null ? new Date(time).toISOString() : null,
+    gameMode: record.gameMode || 'classic',
+    difficulty: record.difficulty || 'normal',
+    answers: Array.isArray(record.answers) ? record.answers.filter(isObject) : [],
+  };
+};
+
+/**
+ * Validate a stored history list, dropping unusable records
+ * @param {*} value - Parsed history
+ * @returns {Array|undefined} - Clean history, undefined when not a list
+ */
+export const validateHistory = (value) =>
+  Array.isArray(value) ? value.map(normalizeGameResult).filter(Boolean) : undefined;
+
+/**
+ * Validate a stored object (settings, mastery, drafts)
+ * @param {*} value - Parsed value
+ * @returns {Object|undefined} - The object, undefined otherwise
+ */
+export const validateObject = (value) => (isObject(value) ? value : undefined);
+
+/**
+ * Validate a stored list of objects (installed packs, profiles)
+ * @param {*} value - Parsed value
+ * @returns {Array|undefined} - Objects in the list, undefined when not a list
+ */
+export const validateList = (value) => (Array.isArray(value) ? value.filter(isObject) : undefined);
+
+// ==================== MIGRATIONS ====================
+
+// Upgrades from the previous version; each runs once, in order
+const MIGRATIONS = {
+  // v2: results get gameMode, difficulty, answers and an ISO timestamp; corrupt records are dropped
+  // and the theme, saved as a bare string, is stored as JSON like every other key
+  2: () => {
+    if (localStorage.getItem(STORAGE_KEYS.history) !== null) {
+      writeValue(STORAGE_KEYS.history, readValue(STORAGE_KEYS.history, [], validateHistory));
+    }
+    const theme = localStorage.getItem(STORAGE_KEYS.theme);
+    if (theme === 'dark' || theme === 'light') localStorage.setItem(STORAGE_KEYS.theme, JSON.stringify(theme));
+  },
+  // v3: settings, theme and mastery become per profile; what was saved so far belongs to the default profile
+  // (the keys are listed here, not taken from PROFILE_KEYS: keys added later, like achievements, start out per profile)
+  3: () => {
+    [STORAGE_KEYS.settings, STORAGE_KEYS.theme, STORAGE_KEYS.mastery].forEach(key => {
+      const saved = localStorage.getItem(key);
+      if (saved !== null) localStorage.setItem(storageName(key, DEFAULT_PROFILE_ID), saved);
+      localStorage.removeItem(key);
+    });
+  },
+};
+
+/**
+ * Bring stored data up to SCHEMA_VERSION (unversioned storage counts as version 1)
+ * @returns {number} - Version the storage was at before migrating
+ */
+export const migrateStorage = () => {
+  const from = readValue(VERSION_KEY, 1, (value) => (Number.isInteger(value) ? value : undefined));
+  for (let version = from + 1; version <= SCHEMA_VERSION; version++) MIGRATIONS[version]?.();
+  if (from < SCHEMA_VERSION) localStorage.setItem(VERSION_KEY, JSON.stringify(SCHEMA_VERSION));
+  return from;
+};